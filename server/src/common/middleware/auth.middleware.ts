@@ -32,6 +32,7 @@ export const authenticate = async (
         name: true,
         role: true,
         organizationId: true,
+        stationId: true,
       },
     });
 
@@ -74,6 +75,7 @@ export const optionalAuth = async (
         name: true,
         role: true,
         organizationId: true,
+        stationId: true,
       },
     });
 
@@ -1,10 +1,10 @@
 import { Request, Response, NextFunction, RequestHandler } from 'express';
-import { ZodSchema, ZodError } from 'zod';
+import { ZodType, ZodTypeDef, ZodError } from 'zod';
 
 type ValidateTarget = 'body' | 'query' | 'params';
 
 export const validate = <T>(
-  schema: ZodSchema<T>,
+  schema: ZodType<T, ZodTypeDef, unknown>, // Input may differ from T (defaults, transforms)
   target: ValidateTarget = 'body'
 ): RequestHandler => {
   return (req: Request, _res: Response, next: NextFunction) => {
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { csvLine, escapeFormula, parseCsv } from './csv.js';
+
+describe('escapeFormula', () => {
+  it('prefixes text a spreadsheet would run as a formula', () => {
+    expect(escapeFormula('=HYPERLINK("http://evil","x")')).toBe('\'=HYPERLINK("http://evil","x")');
+    expect(escapeFormula('+1')).toBe('\'+1');
+    expect(escapeFormula('-2')).toBe('\'-2');
+    expect(escapeFormula('@SUM(A1)')).toBe('\'@SUM(A1)');
+    expect(escapeFormula('\tTab')).toBe('\'\tTab');
+    expect(escapeFormula('\rReturn')).toBe('\'\rReturn');
+  });
+
+  it('leaves ordinary text alone', () => {
+    expect(escapeFormula('Masala chai')).toBe('Masala chai');
+    expect(escapeFormula('a=b')).toBe('a=b');
+    expect(escapeFormula('')).toBe('');
+  });
+
+  it('leaves numbers and empty values alone', () => {
+    expect(escapeFormula(-2)).toBe(-2);
+    expect(escapeFormula(null)).toBeNull();
+    expect(escapeFormula(undefined)).toBeUndefined();
+  });
+
+  it('still quotes escaped cells that contain delimiters', () => {
+    expect(csvLine([escapeFormula('=1,2'), 3])).toBe('"\'=1,2",3\r\n');
+  });
+});
+
+describe('parseCsv', () => {
+  it('splits records and fields', () => {
+    expect(parseCsv('a,b,c\r\n1,2,3\n4,,6')).toEqual([['a', 'b', 'c'], ['1', '2', '3'], ['4', '', '6']]);
+  });
+
+  it('reads quoted fields with commas, escaped quotes and line breaks', () => {
+    expect(parseCsv('name,notes\n"Chai, masala","Say ""hot""\nplease"\n')).toEqual([
+      ['name', 'notes'],
+      ['Chai, masala', 'Say "hot"\nplease'],
+    ]);
+  });
+
+  it('skips blank lines and the byte order mark', () => {
+    expect(parseCsv('\ufeffkey\n\nchai\r\n\r\n')).toEqual([['key'], ['chai']]);
+  });
+
+  it('keeps a trailing empty field', () => {
+    expect(parseCsv('a,')).toEqual([['a', '']]);
+  });
+
+  it('reads back what csvLine writes', () => {
+    const values = ['=1,2', 'He said "hi"', 'two\nlines', ''];
+    expect(parseCsv(csvLine(values))).toEqual([values]);
+  });
+
+  it('rejects an unterminated quoted field', () => {
+    expect(() => parseCsv('a,b\n"open,c')).toThrow('Unterminated quoted field in CSV record 2');
+  });
+});
@@ -0,0 +1,67 @@
+import { BadRequestError } from '../errors.js';
+
+// One CSV cell, quoted when it contains a delimiter, quote or line break
+export function csvCell(value: string | number | boolean | null | undefined) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Text a spreadsheet would run as a formula, e.g. a guest named
+// "=HYPERLINK(...)", is prefixed with ' so it opens as plain text
+export function escapeFormula<T>(value: T): T | string {
+  return typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+export function csvLine(values: Array<string | number | boolean | null | undefined>) {
+  return values.map(csvCell).join(',') + '\r\n';
+}
+
+// RFC 4180 records: quoted fields may contain commas, quotes ("") and line
+// breaks. Blank lines are skipped.
+export function parseCsv(text: string): string[][] {
+  const records: string[][] = [];
+  let record: string[] = [];
+  let field = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; // Excel's byte order mark
+
+  const endRecord = () => {
+    record.push(field);
+    if (record.length > 1 || record[0] !== '') records.push(record);
+    record = [];
+    field = '';
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new BadRequestError(`Unterminated quoted field in CSV record ${records.length + 1}`);
+  }
+  if (field !== '' || record.length > 0) endRecord();
+
+  return records;
+}
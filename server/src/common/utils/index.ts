@@ -1 +1,16 @@
 export { sendSuccess, sendCreated, sendNoContent } from './response.js';
+export {
+  timeOfDaySchema,
+  localDateSchema,
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  formatLocalDate,
+  parseLocalDate,
+  minutesOfDay,
+  addDays,
+  pad,
+} from './time.js';
+export type { ZonedParts } from './time.js';
+export { csvCell, csvLine, escapeFormula, parseCsv } from './csv.js';
+export { listOf } from './query.js';
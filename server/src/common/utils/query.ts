@@ -0,0 +1,8 @@
+import { z } from 'zod';
+
+// Query string lists: "PENDING,ACCEPTED" or repeated ?status= params
+export const listOf = <T extends z.ZodTypeAny>(schema: T) =>
+  z.preprocess(
+    (value) => (typeof value === 'string' ? value.split(',').filter(Boolean) : value),
+    z.array(schema)
+  );
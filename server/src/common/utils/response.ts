@@ -8,6 +8,7 @@ interface SuccessResponse<T> {
     limit?: number;
     total?: number;
     hasMore?: boolean;
+    cursor?: string | null;
   };
 }
 
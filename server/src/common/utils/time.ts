@@ -0,0 +1,103 @@
+import { z } from 'zod';
+
+// "HH:MM" on a 24 hour clock
+export const timeOfDaySchema = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Expected HH:MM');
+
+// "YYYY-MM-DD" calendar date
+export const localDateSchema = z.string().regex(/^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/, 'Expected YYYY-MM-DD');
+
+export interface ZonedParts {
+  year: number;
+  month: number; // 1-12
+  day: number;
+  hour: number;
+  minute: number;
+  weekday: number; // 0 = Sunday
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export function isValidTimeZone(timeZone: string) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Wall-clock date and time of an instant in the given IANA timezone
+export function getZonedParts(date: Date, timeZone: string): ZonedParts {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+
+  const get = (type: Intl.DateTimeFormatPartTypes) =>
+    parts.find((part) => part.type === type)?.value ?? '';
+
+  return {
+    year: Number(get('year')),
+    month: Number(get('month')),
+    day: Number(get('day')),
+    hour: Number(get('hour')),
+    minute: Number(get('minute')),
+    weekday: WEEKDAYS.indexOf(get('weekday')),
+  };
+}
+
+// Difference between wall-clock time in the zone and UTC at an instant
+function zoneOffset(date: Date, timeZone: string) {
+  const local = getZonedParts(date, timeZone);
+  const wall = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute);
+  return wall - Math.floor(date.getTime() / 60000) * 60000;
+}
+
+// The instant at which the zone's wall clock shows the given date and time
+export function zonedTimeToUtc(
+  date: Pick<ZonedParts, 'year' | 'month' | 'day'>,
+  time: string,
+  timeZone: string
+) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const wall = Date.UTC(date.year, date.month - 1, date.day, hours, minutes);
+
+  // Second pass corrects for a DST change between the guess and the answer
+  const guess = wall - zoneOffset(new Date(wall), timeZone);
+  return new Date(wall - zoneOffset(new Date(guess), timeZone));
+}
+
+export function formatLocalDate(date: Pick<ZonedParts, 'year' | 'month' | 'day'>) {
+  return `${date.year}-${pad(date.month)}-${pad(date.day)}`;
+}
+
+export function parseLocalDate(value: string) {
+  const [year, month, day] = value.split('-').map(Number);
+  return { year, month, day };
+}
+
+export function minutesOfDay(time: string) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Calendar arithmetic on a local date, independent of any timezone
+export function addDays(parts: Pick<ZonedParts, 'year' | 'month' | 'day'>, days: number) {
+  const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + days));
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay(),
+  };
+}
+
+export function pad(value: number, length = 2) {
+  return String(value).padStart(length, '0');
+}
@@ -28,11 +28,16 @@ const envSchema = z.object({
   AZURE_AD_CLIENT_ID: z.string().optional(),
   AZURE_AD_CLIENT_SECRET: z.string().optional(),
 
-  // Storage
+  // Storage - S3-compatible (MinIO locally) or the local disk; defaults to S3
+  // when an endpoint is set
+  STORAGE_DRIVER: z.enum(['s3', 'local']).optional(),
   S3_ENDPOINT: z.string().optional(),
+  S3_REGION: z.string().default('us-east-1'),
   S3_ACCESS_KEY: z.string().optional(),
   S3_SECRET_KEY: z.string().optional(),
   S3_BUCKET: z.string().default('pantry'),
+  S3_PUBLIC_URL: z.string().optional(), // e.g. a CDN in front of the bucket
+  UPLOADS_DIR: z.string().default('uploads'),
 
   // Razorpay
   RAZORPAY_KEY_ID: z.string().optional(),
@@ -86,10 +91,14 @@ export const config = {
   },
 
   storage: {
+    driver: env.STORAGE_DRIVER ?? (env.S3_ENDPOINT ? 's3' : 'local'),
     endpoint: env.S3_ENDPOINT,
+    region: env.S3_REGION,
     accessKey: env.S3_ACCESS_KEY,
     secretKey: env.S3_SECRET_KEY,
     bucket: env.S3_BUCKET,
+    publicUrl: env.S3_PUBLIC_URL,
+    uploadsDir: env.UPLOADS_DIR,
   },
 
   payment: {
@@ -7,6 +7,7 @@ declare namespace Express {
       name: string | null;
       role: string;
       organizationId: string;
+      stationId: string | null;
     };
   }
 }
\ No newline at end of file
@@ -14,10 +14,20 @@ import { authRoutes } from './modules/auth/index.js';
 import { organizationRoutes } from './modules/organization/index.js';
 import { spaceRoutes } from './modules/space/index.js';
 import { inventoryRoutes } from './modules/inventory/index.js';
+import { StockService } from './modules/inventory/stock.js';
 import { sessionRoutes } from './modules/session/index.js';
 import { orderRoutes } from './modules/order/index.js';
 import { paymentRoutes } from './modules/payment/index.js';
 import { couponRoutes } from './modules/coupon/index.js';
+import { standingOrderRoutes } from './modules/standing-order/index.js';
+import { groupRoutes } from './modules/group/index.js';
+import { cartRoutes } from './modules/cart/index.js';
+import { slaRoutes } from './modules/sla/index.js';
+import { stationRoutes } from './modules/station/index.js';
+import { ratingRoutes } from './modules/rating/index.js';
+import { favouriteRoutes } from './modules/favourite/index.js';
+
+import { startJobs, stopJobs } from './jobs/index.js';
 
 const app = express();
 const httpServer = createServer(app);
@@ -37,6 +47,15 @@ app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Uploaded images when they are kept on the local disk; see modules/media
+if (config.storage.driver === 'local') {
+  app.use('/uploads', express.static(config.storage.uploadsDir, {
+    immutable: true,
+    maxAge: '1y',
+    setHeaders: (res) => res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin'),
+  }));
+}
+
 // Health check
 app.get('/health', (_req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
@@ -52,10 +71,17 @@ apiRouter.use('/auth', authRoutes());
 apiRouter.use('/organizations', organizationRoutes());
 apiRouter.use('/spaces', spaceRoutes());
 apiRouter.use('/inventory', inventoryRoutes());
+apiRouter.use('/sessions/:id/cart', cartRoutes());
 apiRouter.use('/sessions', sessionRoutes());
 apiRouter.use('/orders', orderRoutes());
 apiRouter.use('/payments', paymentRoutes());
 apiRouter.use('/coupons', couponRoutes());
+apiRouter.use('/standing-orders', standingOrderRoutes());
+apiRouter.use('/groups', groupRoutes());
+apiRouter.use('/sla', slaRoutes());
+apiRouter.use('/stations', stationRoutes());
+apiRouter.use('/ratings', ratingRoutes());
+apiRouter.use('/favourites', favouriteRoutes());
 
 app.use(config.app.apiPrefix, apiRouter);
 
@@ -77,18 +103,44 @@ io.on('connection', (socket) => {
     socket.leave(`org:${orgId}`);
   });
 
+  // Join station room for orders routed to one pantry station
+  socket.on('join:station', (stationId: string) => {
+    socket.join(`station:${stationId}`);
+  });
+
+  socket.on('leave:station', (stationId: string) => {
+    socket.leave(`station:${stationId}`);
+  });
+
+  // Join session room for group cart updates
+  socket.on('join:session', (sessionId: string) => {
+    socket.join(`session:${sessionId}`);
+  });
+
+  socket.on('leave:session', (sessionId: string) => {
+    socket.leave(`session:${sessionId}`);
+  });
+
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
   });
 });
 
-// Subscribe to Redis for order updates
+// Subscribe to Redis for order and session updates
 const subscriber = redis.duplicate();
-subscriber.subscribe('orders:*');
-subscriber.on('message', (channel, message) => {
-  const orgId = channel.split(':')[1];
+subscriber.psubscribe('orders:*', 'sessions:*');
+subscriber.on('pmessage', (_pattern, channel, message) => {
+  const [kind, id] = channel.split(':');
   const data = JSON.parse(message);
-  io.to(`org:${orgId}`).emit('order:update', data);
+
+  if (kind === 'sessions') {
+    io.to(`session:${id}`).emit('session:update', data);
+  } else {
+    io.to(`org:${id}`).emit('order:update', data);
+    for (const stationId of data.stationIds ?? []) {
+      io.to(`station:${stationId}`).emit('order:update', data);
+    }
+  }
 });
 
 // ============================================
@@ -108,11 +160,20 @@ async function start() {
     await prisma.$connect();
     console.log('✅ Database connected');
 
+    // Stock tracked before the ledger existed gets its opening movement
+    const opened = await new StockService().recordOpeningBalances();
+    if (opened > 0) {
+      console.log(`📒 Recorded opening stock for ${opened} item(s)`);
+    }
+
     // Start HTTP server
     httpServer.listen(config.app.port, () => {
       console.log(`🚀 Server running on port ${config.app.port}`);
       console.log(`📡 API available at http://localhost:${config.app.port}${config.app.apiPrefix}`);
     });
+
+    // Start background jobs
+    startJobs();
   } catch (error) {
     console.error('Failed to start server:', error);
     process.exit(1);
@@ -122,6 +183,7 @@ async function start() {
 // Handle shutdown
 process.on('SIGINT', async () => {
   console.log('Shutting down...');
+  stopJobs();
   await prisma.$disconnect();
   await redis.quit();
   process.exit(0);
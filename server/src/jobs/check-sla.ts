@@ -0,0 +1,12 @@
+// Escalates open orders that have overrun their organisation's SLA targets
+
+import { SlaService } from '../modules/sla/index.js';
+
+const slaService = new SlaService();
+
+export async function checkSla() {
+  const escalated = await slaService.checkBreaches();
+  if (escalated > 0) {
+    console.log(`Escalated ${escalated} SLA breach(es)`);
+  }
+}
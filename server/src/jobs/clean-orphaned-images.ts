@@ -0,0 +1,13 @@
+// Deletes uploaded images nothing uses any more, once they are an hour old so
+// an upload in progress is never caught
+
+import { MediaService } from '../modules/media/index.js';
+
+const mediaService = new MediaService();
+
+export async function cleanOrphanedImages() {
+  const removed = await mediaService.removeOrphans(new Date(Date.now() - 60 * 60 * 1000));
+  if (removed > 0) {
+    console.log(`Deleted ${removed} orphaned image(s)`);
+  }
+}
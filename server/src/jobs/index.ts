@@ -0,0 +1,42 @@
+// Background jobs - simple in-process intervals. Each job must be safe to run
+// on every API replica at once.
+
+import { releaseScheduledOrders } from './release-scheduled-orders.js';
+import { runStandingOrders } from './run-standing-orders.js';
+import { refreshKitchenEtas } from './refresh-kitchen-etas.js';
+import { checkSla } from './check-sla.js';
+import { wakeStockAlerts } from './wake-stock-alerts.js';
+import { cleanOrphanedImages } from './clean-orphaned-images.js';
+
+const timers: NodeJS.Timeout[] = [];
+
+function schedule(name: string, intervalMs: number, task: () => Promise<unknown>) {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return; // Skip a tick rather than overlap a slow run
+    running = true;
+    try {
+      await task();
+    } catch (error) {
+      console.error(`Job ${name} failed:`, error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timers.push(timer);
+}
+
+export function startJobs() {
+  schedule('release-scheduled-orders', 30 * 1000, releaseScheduledOrders);
+  schedule('run-standing-orders', 60 * 1000, runStandingOrders);
+  schedule('refresh-kitchen-etas', 60 * 1000, refreshKitchenEtas);
+  schedule('check-sla', 60 * 1000, checkSla);
+  schedule('wake-stock-alerts', 60 * 1000, wakeStockAlerts);
+  schedule('clean-orphaned-images', 15 * 60 * 1000, cleanOrphanedImages);
+}
+
+export function stopJobs() {
+  timers.splice(0).forEach((timer) => clearInterval(timer));
+}
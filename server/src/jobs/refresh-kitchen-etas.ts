@@ -0,0 +1,11 @@
+// Re-estimates ready times as the clock runs, so late orders push the queue back
+
+import { KitchenQueueService } from '../modules/order/queue.js';
+
+const queueService = new KitchenQueueService();
+
+export async function refreshKitchenEtas() {
+  for (const orgId of await queueService.activeOrganizations()) {
+    await queueService.refreshEtas(orgId);
+  }
+}
@@ -0,0 +1,12 @@
+// Releases scheduled pre-orders to the pantry feed once their lead time is reached
+
+import { OrderService } from '../modules/order/index.js';
+
+const orderService = new OrderService();
+
+export async function releaseScheduledOrders() {
+  const released = await orderService.releaseDueOrders();
+  if (released > 0) {
+    console.log(`Released ${released} scheduled order(s)`);
+  }
+}
@@ -0,0 +1,12 @@
+// Materialises standing orders into real orders ahead of each occurrence
+
+import { StandingOrderService } from '../modules/standing-order/index.js';
+
+const standingOrderService = new StandingOrderService();
+
+export async function runStandingOrders() {
+  const created = await standingOrderService.materializeDue();
+  if (created > 0) {
+    console.log(`Created ${created} order(s) from standing orders`);
+  }
+}
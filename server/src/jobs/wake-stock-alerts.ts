@@ -0,0 +1,12 @@
+// Re-opens snoozed stock alerts whose snooze has ended
+
+import { StockAlertService } from '../modules/inventory/alerts.js';
+
+const alertService = new StockAlertService();
+
+export async function wakeStockAlerts() {
+  const woken = await alertService.wakeSnoozed();
+  if (woken > 0) {
+    console.log(`Re-opened ${woken} snoozed stock alert(s)`);
+  }
+}
@@ -9,6 +9,7 @@ import { BadRequestError, NotFoundError, UnauthorizedError } from '../../common/
 import { validate, authenticate } from '../../common/middleware/index.js';
 import { sendSuccess } from '../../common/utils/index.js';
 import type { StringValue } from "ms";
+import { dietaryProfileSchema } from '../inventory/dietary.js';
 
 // ============================================
 // SCHEMAS
@@ -110,6 +111,15 @@ export class AuthService {
     return user;
   }
 
+  // Menu items that conflict with it are flagged, see SessionService.getMenu
+  async updateDietaryProfile(userId: string, data: z.infer<typeof dietaryProfileSchema>) {
+    return prisma.user.update({
+      where: { id: userId },
+      data,
+      select: { avoidsAllergens: true, dietaryNeeds: true },
+    });
+  }
+
   private generateToken(userId: string, organizationId: string, role: string): string {
     return jwt.sign(
       { userId, organizationId, role },
@@ -143,6 +153,12 @@ export class AuthController {
     const profile = await this.authService.getProfile(req.user.id);
     sendSuccess(res, profile);
   };
+
+  updateDietaryProfile = async (req: Request, res: Response) => {
+    if (!req.user) throw new UnauthorizedError();
+    const profile = await this.authService.updateDietaryProfile(req.user.id, req.body);
+    sendSuccess(res, profile);
+  };
 }
 
 // ============================================
@@ -156,6 +172,7 @@ export function authRoutes() {
   router.post('/login', validate(loginSchema), controller.login);
   router.post('/guest', validate(guestLoginSchema), controller.guestLogin);
   router.get('/profile', authenticate, controller.getProfile);
+  router.put('/profile/dietary', authenticate, validate(dietaryProfileSchema), controller.updateDietaryProfile);
 
   return router;
 }
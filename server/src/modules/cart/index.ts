@@ -0,0 +1,394 @@
+// Cart module - server-side cart per session, kept in Redis until checkout
+
+import { z } from 'zod';
+import { randomUUID } from 'crypto';
+import { Router, Response, Request } from 'express';
+import { Decimal } from '@prisma/client/runtime/library';
+import { prisma, redis } from '../../config/index.js';
+import { NotFoundError, BadRequestError, ForbiddenError } from '../../common/errors.js';
+import { validate, optionalAuth } from '../../common/middleware/index.js';
+import { sendSuccess, sendCreated } from '../../common/utils/index.js';
+import { SessionService } from '../session/index.js';
+import { CouponService } from '../coupon/index.js';
+import { findOptionErrors, resolveOptions, unitPriceFor, parseItemOptions, selectedOptionsSchema, SelectedOptions } from '../inventory/options.js';
+import { OrderService, orderItemSchema, actorFrom } from '../order/index.js';
+import { StatusActor } from '../order/status.js';
+import { locationForSpace, stockAtLocation } from '../inventory/stock.js';
+import { checkAvailability, unavailableMessage } from '../inventory/availability.js';
+import { parseOrgSettings } from '../organization/index.js';
+
+// ============================================
+// SCHEMAS
+// ============================================
+
+export const addCartLineSchema = orderItemSchema.omit({ participantId: true });
+
+export const updateCartLineSchema = z.object({
+  quantity: z.number().int().min(1).max(20).optional(),
+  options: selectedOptionsSchema.optional(),
+  notes: z.string().max(200).nullable().optional(),
+});
+
+export const updateCartSchema = z.object({
+  couponCode: z.string().nullable().optional(),
+  notes: z.string().max(500).nullable().optional(),
+  chairNumber: z.number().int().positive().nullable().optional(),
+});
+
+export const checkoutCartSchema = z.object({
+  scheduledFor: z.coerce.date().optional(),
+});
+
+interface CartLine {
+  id: string;
+  itemId: string;
+  quantity: number;
+  options?: SelectedOptions;
+  notes?: string;
+  addedAt: string;
+}
+
+interface StoredCart {
+  lines: CartLine[];
+  couponCode?: string;
+  notes?: string;
+  chairNumber?: number;
+}
+
+// Each line and cart field is its own hash field, so concurrent changes from
+// several tabs or devices never overwrite each other
+const LINE_FIELD = 'line:';
+const MAX_LINES = 50;
+
+export type CartIssueCode = 'UNAVAILABLE' | 'INSUFFICIENT_STOCK' | 'INVALID_OPTIONS';
+
+export interface CartIssue {
+  code: CartIssueCode;
+  message: string;
+}
+
+// ============================================
+// SERVICE
+// ============================================
+
+export class CartService {
+  private readonly CART_PREFIX = 'session-cart:';
+  private sessionService = new SessionService();
+  private couponService = new CouponService();
+  private orderService = new OrderService();
+
+  // Returns the cart repriced from current item data, with problems flagged per
+  // line. Availability is checked at `at`, the delivery time of a pre-order.
+  async get(sessionId: string, userId?: string, at = new Date()) {
+    const session = await this.findSession(sessionId, userId);
+    const cart = await this.load(sessionId);
+    const organizationId = session.space.organizationId;
+
+    const items = await prisma.item.findMany({
+      where: {
+        id: { in: [...new Set(cart.lines.map((line) => line.itemId))] },
+        category: { organizationId },
+      },
+      include: { category: { select: { availability: true } } },
+    });
+    const settings = parseOrgSettings(session.space.organization.settings);
+    const context = { timeZone: settings.timezone, holidays: settings.holidays };
+    const closedMessage = (item: (typeof items)[number]) => {
+      const schedule = checkAvailability([item.category.availability, item.availability], at, context);
+      return schedule.available ? null : unavailableMessage(item.name, schedule.nextAt, settings.timezone);
+    };
+
+    // Stock is shared by every line for the same item, at the location serving the space
+    const stock = await stockAtLocation(prisma, await locationForSpace(prisma, session.spaceId), items);
+    const requested = new Map<string, number>();
+    for (const line of cart.lines) {
+      requested.set(line.itemId, (requested.get(line.itemId) ?? 0) + line.quantity);
+    }
+
+    let subtotal = new Decimal(0);
+
+    const lines = cart.lines.map((line) => {
+      const item = items.find((candidate) => candidate.id === line.itemId);
+      const left = stock.get(line.itemId) ?? null;
+      const issues: CartIssue[] = [];
+
+      const closed = item && closedMessage(item);
+
+      if (!item || !item.isActive || !item.isAvailable) {
+        issues.push({ code: 'UNAVAILABLE', message: `${item?.name ?? 'This item'} is no longer available` });
+      } else if (closed) {
+        issues.push({ code: 'UNAVAILABLE', message: closed });
+      } else if (left !== null && requested.get(item.id)! > left) {
+        issues.push({
+          code: 'INSUFFICIENT_STOCK',
+          message: left === 0 ? `${item.name} is out of stock` : `Only ${left} ${item.name} left`,
+        });
+      }
+
+      const resolved = item && resolveOptions(item.options, line.options);
+      for (const message of resolved?.errors ?? []) {
+        issues.push({ code: 'INVALID_OPTIONS', message });
+      }
+
+      const unitPrice = item && resolved ? unitPriceFor(item, resolved.priceDelta) : new Decimal(0);
+      const total = unitPrice.mul(line.quantity);
+      if (issues.length === 0) {
+        subtotal = subtotal.add(total);
+      }
+
+      return {
+        ...line,
+        item: item && { id: item.id, name: item.name, image: item.image, icon: item.icon, options: parseItemOptions(item.options) },
+        unitPrice,
+        total,
+        issues,
+      };
+    });
+
+    let discount = new Decimal(0);
+    let couponError: string | undefined;
+
+    if (cart.couponCode && subtotal.greaterThan(0)) {
+      try {
+        const result = await this.couponService.validate(organizationId, cart.couponCode, subtotal.toNumber(), userId);
+        discount = new Decimal(result.discount);
+      } catch (error) {
+        couponError = error instanceof Error ? error.message : 'Coupon cannot be applied';
+      }
+    }
+
+    return {
+      sessionId,
+      lines,
+      couponCode: cart.couponCode ?? null,
+      couponError: couponError ?? null,
+      notes: cart.notes ?? null,
+      chairNumber: cart.chairNumber ?? null,
+      subtotal,
+      discount,
+      total: subtotal.sub(discount),
+      canCheckout: lines.length > 0 && lines.every((line) => line.issues.length === 0),
+      expiresAt: session.expiresAt,
+    };
+  }
+
+  async addLine(sessionId: string, data: z.infer<typeof addCartLineSchema>, userId?: string) {
+    const session = await this.findSession(sessionId, userId);
+
+    const item = await prisma.item.findUnique({ where: { id: data.itemId }, include: { category: true } });
+    if (!item || item.category.organizationId !== session.space.organizationId) {
+      throw new NotFoundError('Item not found');
+    }
+
+    const [optionError] = findOptionErrors(item.options, data.options);
+    if (optionError) {
+      throw new BadRequestError(`${item.name}: ${optionError}`);
+    }
+
+    const cart = await this.load(sessionId);
+    if (cart.lines.length >= MAX_LINES) {
+      throw new BadRequestError(`A cart can hold at most ${MAX_LINES} lines`);
+    }
+
+    const line: CartLine = { ...data, id: randomUUID(), addedAt: new Date().toISOString() };
+    await this.save(sessionId, { [`${LINE_FIELD}${line.id}`]: JSON.stringify(line) }, session.expiresAt);
+
+    return this.get(sessionId, userId);
+  }
+
+  async updateLine(sessionId: string, lineId: string, data: z.infer<typeof updateCartLineSchema>, userId?: string) {
+    const session = await this.findSession(sessionId, userId);
+    const raw = await redis.hget(this.key(sessionId), `${LINE_FIELD}${lineId}`);
+    if (!raw) {
+      throw new NotFoundError('Cart line not found');
+    }
+    const line: CartLine = JSON.parse(raw);
+
+    if (data.options) {
+      const item = await prisma.item.findUnique({ where: { id: line.itemId } });
+      const [optionError] = findOptionErrors(item?.options, data.options);
+      if (optionError) {
+        throw new BadRequestError(`${item?.name ?? 'Item'}: ${optionError}`);
+      }
+      line.options = data.options;
+    }
+    if (data.quantity !== undefined) line.quantity = data.quantity;
+    if (data.notes !== undefined) line.notes = data.notes ?? undefined;
+
+    await this.save(sessionId, { [`${LINE_FIELD}${line.id}`]: JSON.stringify(line) }, session.expiresAt);
+
+    return this.get(sessionId, userId);
+  }
+
+  async removeLine(sessionId: string, lineId: string, userId?: string) {
+    await this.findSession(sessionId, userId);
+
+    const removed = await redis.hdel(this.key(sessionId), `${LINE_FIELD}${lineId}`);
+    if (removed === 0) {
+      throw new NotFoundError('Cart line not found');
+    }
+
+    return this.get(sessionId, userId);
+  }
+
+  async update(sessionId: string, data: z.infer<typeof updateCartSchema>, userId?: string) {
+    const session = await this.findSession(sessionId, userId);
+
+    // Only the named fields are written; null clears a field
+    const fields: Record<string, string | null> = {};
+    if (data.couponCode !== undefined) fields.couponCode = data.couponCode;
+    if (data.notes !== undefined) fields.notes = data.notes;
+    if (data.chairNumber !== undefined) fields.chairNumber = data.chairNumber === null ? null : String(data.chairNumber);
+
+    await this.save(sessionId, fields, session.expiresAt);
+
+    return this.get(sessionId, userId);
+  }
+
+  async clear(sessionId: string, userId?: string) {
+    await this.findSession(sessionId, userId);
+    await redis.del(this.key(sessionId));
+  }
+
+  // Places the order through the normal order path, which re-checks price and
+  // stock atomically; the cart is only cleared once the order exists
+  async checkout(sessionId: string, data: z.infer<typeof checkoutCartSchema>, actor: StatusActor) {
+    const cart = await this.get(sessionId, actor.userId, data.scheduledFor);
+
+    if (cart.lines.length === 0) {
+      throw new BadRequestError('Your cart is empty');
+    }
+
+    const problem = cart.lines.flatMap((line) => line.issues)[0];
+    if (problem) {
+      throw new BadRequestError(problem.message);
+    }
+
+    if (cart.couponError) {
+      throw new BadRequestError(cart.couponError);
+    }
+
+    const order = await this.orderService.create(
+      {
+        sessionId,
+        items: cart.lines.map((line) => ({
+          itemId: line.itemId,
+          quantity: line.quantity,
+          options: line.options,
+          notes: line.notes,
+        })),
+        couponCode: cart.couponCode ?? undefined,
+        notes: cart.notes ?? undefined,
+        chairNumber: cart.chairNumber ?? undefined,
+        scheduledFor: data.scheduledFor,
+      },
+      actor
+    );
+
+    await redis.del(this.key(sessionId));
+
+    return order;
+  }
+
+  private async findSession(sessionId: string, userId?: string) {
+    const session = await this.sessionService.findById(sessionId);
+
+    if (session.userId && session.userId !== userId) {
+      throw new ForbiddenError('Cannot access the cart of another user');
+    }
+
+    return session;
+  }
+
+  private key(sessionId: string) {
+    return `${this.CART_PREFIX}${sessionId}`;
+  }
+
+  private async load(sessionId: string): Promise<StoredCart> {
+    const { couponCode, notes, chairNumber, ...fields } = await redis.hgetall(this.key(sessionId));
+
+    const lines = Object.entries(fields)
+      .filter(([field]) => field.startsWith(LINE_FIELD))
+      .map(([, raw]) => JSON.parse(raw) as CartLine)
+      .sort((a, b) => a.addedAt.localeCompare(b.addedAt));
+
+    return { lines, couponCode, notes, chairNumber: chairNumber ? Number(chairNumber) : undefined };
+  }
+
+  // Writes or, for null, deletes the given fields. The cart expires together with its session.
+  private async save(sessionId: string, fields: Record<string, string | null>, expiresAt: Date) {
+    const key = this.key(sessionId);
+    const ttl = Math.max(1, Math.ceil((expiresAt.getTime() - Date.now()) / 1000));
+    const pipeline = redis.multi();
+
+    for (const [field, value] of Object.entries(fields)) {
+      if (value === null) pipeline.hdel(key, field);
+      else pipeline.hset(key, field, value);
+    }
+
+    await pipeline.expire(key, ttl).exec();
+  }
+}
+
+// ============================================
+// CONTROLLER
+// ============================================
+
+export class CartController {
+  constructor(private cartService = new CartService()) { }
+
+  get = async (req: Request, res: Response) => {
+    const cart = await this.cartService.get(req.params.id, req.user?.id);
+    sendSuccess(res, cart);
+  };
+
+  update = async (req: Request, res: Response) => {
+    const cart = await this.cartService.update(req.params.id, req.body, req.user?.id);
+    sendSuccess(res, cart);
+  };
+
+  clear = async (req: Request, res: Response) => {
+    await this.cartService.clear(req.params.id, req.user?.id);
+    sendSuccess(res, { cleared: true });
+  };
+
+  addLine = async (req: Request, res: Response) => {
+    const cart = await this.cartService.addLine(req.params.id, req.body, req.user?.id);
+    sendCreated(res, cart);
+  };
+
+  updateLine = async (req: Request, res: Response) => {
+    const cart = await this.cartService.updateLine(req.params.id, req.params.lineId, req.body, req.user?.id);
+    sendSuccess(res, cart);
+  };
+
+  removeLine = async (req: Request, res: Response) => {
+    const cart = await this.cartService.removeLine(req.params.id, req.params.lineId, req.user?.id);
+    sendSuccess(res, cart);
+  };
+
+  checkout = async (req: Request, res: Response) => {
+    const order = await this.cartService.checkout(req.params.id, req.body, actorFrom(req));
+    sendCreated(res, order);
+  };
+}
+
+// ============================================
+// ROUTES
+// ============================================
+
+// Mounted under /sessions/:id/cart
+export function cartRoutes() {
+  const router = Router({ mergeParams: true });
+  const controller = new CartController();
+
+  router.get('/', optionalAuth, controller.get);
+  router.patch('/', optionalAuth, validate(updateCartSchema), controller.update);
+  router.delete('/', optionalAuth, controller.clear);
+  router.post('/lines', optionalAuth, validate(addCartLineSchema), controller.addLine);
+  router.patch('/lines/:lineId', optionalAuth, validate(updateCartLineSchema), controller.updateLine);
+  router.delete('/lines/:lineId', optionalAuth, controller.removeLine);
+  router.post('/checkout', optionalAuth, validate(checkoutCartSchema), controller.checkout);
+
+  return router;
+}
@@ -2,6 +2,7 @@
 
 import { z } from 'zod';
 import { Router, Response, Request } from 'express';
+import { Coupon, Prisma } from '@prisma/client';
 import { Decimal } from '@prisma/client/runtime/library';
 import { prisma } from '../../config/index.js';
 import { NotFoundError, BadRequestError, ForbiddenError, ConflictError } from '../../common/errors.js';
@@ -119,6 +120,7 @@ export class CouponService {
         where: {
           couponId: coupon.id,
           userId,
+          status: { not: 'CANCELLED' },
         },
       });
       if (userUsage >= coupon.perUserLimit) {
@@ -156,6 +158,30 @@ export class CouponService {
     };
   }
 
+  // Counts one use of the coupon inside the caller's transaction. The limit is
+  // re-checked in the same statement so concurrent orders cannot overshoot it.
+  async redeem(db: Prisma.TransactionClient, coupon: Coupon) {
+    const { count } = await db.coupon.updateMany({
+      where: {
+        id: coupon.id,
+        ...(coupon.usageLimit && { usageCount: { lt: coupon.usageLimit } }),
+      },
+      data: { usageCount: { increment: 1 } },
+    });
+
+    if (count === 0) {
+      throw new ConflictError(`Coupon "${coupon.code}" usage limit reached`);
+    }
+  }
+
+  // Gives a use back when the order that redeemed the coupon is cancelled
+  async release(db: Prisma.TransactionClient, couponId: string) {
+    await db.coupon.updateMany({
+      where: { id: couponId, usageCount: { gt: 0 } },
+      data: { usageCount: { decrement: 1 } },
+    });
+  }
+
   async update(id: string, orgId: string, data: z.infer<typeof updateCouponSchema>) {
     await this.findById(id, orgId);
 
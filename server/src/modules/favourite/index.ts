@@ -0,0 +1,239 @@
+// Favourite module - items users save with their usual options, and "your usuals"
+
+import { z } from 'zod';
+import { Router, Response, Request } from 'express';
+import { Prisma } from '@prisma/client';
+import { prisma } from '../../config/index.js';
+import { NotFoundError, BadRequestError, ForbiddenError } from '../../common/errors.js';
+import { validate, authenticate } from '../../common/middleware/index.js';
+import { sendSuccess, sendCreated, sendNoContent } from '../../common/utils/index.js';
+import { findOptionErrors, selectedOptionsSchema, SelectedOptions } from '../inventory/options.js';
+
+// ============================================
+// SCHEMAS
+// ============================================
+
+export const createFavouriteSchema = z.object({
+  itemId: z.string().uuid(),
+  name: z.string().min(1).max(100).optional(),
+  quantity: z.number().int().min(1).max(20).default(1),
+  options: selectedOptionsSchema.optional(),
+  notes: z.string().max(200).optional(),
+});
+
+export const updateFavouriteSchema = createFavouriteSchema.omit({ itemId: true }).partial();
+
+// ============================================
+// SERVICE
+// ============================================
+
+const USUALS_LIMIT = 8;
+const FREQUENT_WINDOW_DAYS = 60;
+const FREQUENT_MIN_ORDERS = 2; // A one-off is not a usual
+
+const favouriteInclude = {
+  item: { include: { category: { select: { id: true, name: true, organizationId: true } } } },
+} satisfies Prisma.FavouriteInclude;
+
+export class FavouriteService {
+  async create(user: { id: string; organizationId: string }, data: z.infer<typeof createFavouriteSchema>) {
+    const item = await prisma.item.findUnique({ where: { id: data.itemId }, include: { category: true } });
+
+    if (!item || !item.isActive || item.category.organizationId !== user.organizationId) {
+      throw new NotFoundError('Item not found');
+    }
+    this.assertValidOptions(item, data.options);
+
+    return prisma.favourite.create({
+      data: {
+        userId: user.id,
+        itemId: item.id,
+        name: data.name,
+        quantity: data.quantity,
+        options: data.options,
+        notes: data.notes,
+      },
+      include: favouriteInclude,
+    });
+  }
+
+  async findByUser(userId: string) {
+    return prisma.favourite.findMany({
+      where: { userId },
+      include: favouriteInclude,
+      orderBy: { createdAt: 'asc' },
+    });
+  }
+
+  async findById(id: string, userId: string) {
+    const favourite = await prisma.favourite.findUnique({ where: { id }, include: favouriteInclude });
+
+    if (!favourite || favourite.userId !== userId) {
+      throw new NotFoundError('Favourite not found');
+    }
+
+    return favourite;
+  }
+
+  async update(id: string, userId: string, data: z.infer<typeof updateFavouriteSchema>) {
+    const favourite = await this.findById(id, userId);
+    if (data.options) {
+      this.assertValidOptions(favourite.item, data.options);
+    }
+
+    return prisma.favourite.update({
+      where: { id },
+      data,
+      include: favouriteInclude,
+    });
+  }
+
+  async delete(id: string, userId: string) {
+    await this.findById(id, userId);
+    await prisma.favourite.delete({ where: { id } });
+  }
+
+  // Favourites first, then what the user orders most often with the same
+  // options. Only lines that can be ordered right now are returned.
+  async usuals(userId: string, orgId: string) {
+    const since = new Date(Date.now() - FREQUENT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+    const [favourites, frequent] = await Promise.all([
+      this.findByUser(userId),
+      prisma.$queryRaw<Array<{ itemId: string; options: SelectedOptions | null; timesOrdered: number; quantity: number }>>`
+        SELECT oi."itemId" AS "itemId",
+               oi."options" AS "options",
+               COUNT(DISTINCT o."id")::int AS "timesOrdered",
+               MODE() WITHIN GROUP (ORDER BY oi."quantity")::int AS "quantity"
+        FROM "OrderItem" oi
+        JOIN "Order" o ON o."id" = oi."orderId"
+        WHERE o."userId" = ${userId}
+          AND o."organizationId" = ${orgId}
+          AND o."status" <> 'CANCELLED'
+          AND o."placedAt" >= ${since}
+        GROUP BY oi."itemId", oi."options"
+        HAVING COUNT(DISTINCT o."id") >= ${FREQUENT_MIN_ORDERS}
+        ORDER BY "timesOrdered" DESC, MAX(o."placedAt") DESC
+        LIMIT ${USUALS_LIMIT * 2}
+      `,
+    ]);
+
+    const items = await prisma.item.findMany({
+      where: {
+        id: { in: frequent.map((row) => row.itemId) },
+        isActive: true,
+        isAvailable: true,
+        category: { organizationId: orgId, isActive: true },
+      },
+    });
+
+    const usuals = [];
+    const seen = new Set<string>();
+    const keyOf = (itemId: string, options: unknown) => `${itemId}:${optionsKey(options)}`;
+
+    for (const favourite of favourites) {
+      const { item } = favourite;
+      if (!item.isActive || !item.isAvailable || item.category.organizationId !== orgId) continue;
+      if (findOptionErrors(item.options, toOptions(favourite.options)).length > 0) continue;
+
+      seen.add(keyOf(item.id, favourite.options));
+      usuals.push({
+        source: 'FAVOURITE' as const,
+        favouriteId: favourite.id,
+        name: favourite.name ?? item.name,
+        item,
+        quantity: favourite.quantity,
+        options: toOptions(favourite.options),
+        notes: favourite.notes,
+      });
+    }
+
+    for (const row of frequent) {
+      const item = items.find((candidate) => candidate.id === row.itemId);
+      if (!item || seen.has(keyOf(row.itemId, row.options))) continue;
+      if (findOptionErrors(item.options, toOptions(row.options)).length > 0) continue;
+
+      seen.add(keyOf(row.itemId, row.options));
+      usuals.push({
+        source: 'FREQUENT' as const,
+        name: item.name,
+        item,
+        quantity: row.quantity,
+        options: toOptions(row.options),
+        timesOrdered: row.timesOrdered,
+      });
+    }
+
+    return usuals.slice(0, USUALS_LIMIT);
+  }
+
+  private assertValidOptions(item: { name: string; options: Prisma.JsonValue }, options?: SelectedOptions) {
+    const [optionError] = findOptionErrors(item.options, options);
+    if (optionError) {
+      throw new BadRequestError(`${item.name}: ${optionError}`);
+    }
+  }
+}
+
+function toOptions(options: unknown) {
+  return options && typeof options === 'object' && !Array.isArray(options)
+    ? (options as SelectedOptions)
+    : undefined;
+}
+
+// Same choices in any order are the same usual
+function optionsKey(options: unknown) {
+  return JSON.stringify(
+    Object.entries(toOptions(options) ?? {})
+      .map(([name, choice]) => [name, Array.isArray(choice) ? [...choice].sort() : choice])
+      .sort(([a], [b]) => String(a).localeCompare(String(b)))
+  );
+}
+
+// ============================================
+// CONTROLLER
+// ============================================
+
+export class FavouriteController {
+  constructor(private favouriteService = new FavouriteService()) { }
+
+  create = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const favourite = await this.favouriteService.create(req.user, req.body);
+    sendCreated(res, favourite);
+  };
+
+  list = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const favourites = await this.favouriteService.findByUser(req.user.id);
+    sendSuccess(res, favourites);
+  };
+
+  update = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const favourite = await this.favouriteService.update(req.params.id, req.user.id, req.body);
+    sendSuccess(res, favourite);
+  };
+
+  delete = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    await this.favouriteService.delete(req.params.id, req.user.id);
+    sendNoContent(res);
+  };
+}
+
+// ============================================
+// ROUTES
+// ============================================
+
+export function favouriteRoutes() {
+  const router = Router();
+  const controller = new FavouriteController();
+
+  router.get('/', authenticate, controller.list);
+  router.post('/', authenticate, validate(createFavouriteSchema), controller.create);
+  router.patch('/:id', authenticate, validate(updateFavouriteSchema), controller.update);
+  router.delete('/:id', authenticate, controller.delete);
+
+  return router;
+}
@@ -0,0 +1,371 @@
+// Group module - shared cart for everyone ordering from the same meeting room session
+
+import { z } from 'zod';
+import { randomUUID } from 'crypto';
+import { Router, Response, Request } from 'express';
+import { SessionParticipant } from '@prisma/client';
+import { prisma, redis } from '../../config/index.js';
+import { NotFoundError, BadRequestError, ForbiddenError, ConflictError } from '../../common/errors.js';
+import { validate, optionalAuth } from '../../common/middleware/index.js';
+import { sendSuccess, sendCreated } from '../../common/utils/index.js';
+import { SessionService } from '../session/index.js';
+import { publishSessionEvent } from '../session/events.js';
+import { ItemService } from '../inventory/index.js';
+import { findOptionErrors, SelectedOptions } from '../inventory/options.js';
+import { OrderService, orderItemSchema, actorFrom } from '../order/index.js';
+import { StatusActor } from '../order/status.js';
+
+// ============================================
+// SCHEMAS
+// ============================================
+
+export const startGroupSchema = z.object({
+  sessionId: z.string().uuid(),
+  hostName: z.string().min(1).max(50),
+  chairNumber: z.number().int().positive().optional(),
+});
+
+export const joinGroupSchema = z.object({
+  name: z.string().min(1).max(50),
+  chairNumber: z.number().int().positive().optional(),
+});
+
+export const addGroupLineSchema = orderItemSchema.omit({ participantId: true }).extend({
+  participantToken: z.string().uuid(),
+});
+
+export const removeGroupLineSchema = z.object({
+  participantToken: z.string().uuid(),
+});
+
+export const submitGroupSchema = z.object({
+  participantToken: z.string().uuid(),
+  couponCode: z.string().optional(),
+  notes: z.string().max(500).optional(),
+  scheduledFor: z.coerce.date().optional(),
+});
+
+export interface GroupLine {
+  id: string;
+  participantId: string;
+  participantName: string;
+  chairNumber: number | null;
+  itemId: string;
+  itemName: string;
+  quantity: number;
+  options?: SelectedOptions;
+  notes?: string;
+  addedAt: string;
+}
+
+// ============================================
+// SERVICE
+// ============================================
+
+export class GroupService {
+  private readonly CART_PREFIX = 'group-cart:';
+  private sessionService = new SessionService();
+  private itemService = new ItemService();
+  private orderService = new OrderService();
+
+  // Turns a session into a group session; whoever starts it becomes the host
+  async start(data: z.infer<typeof startGroupSchema>, userId?: string) {
+    const session = await this.sessionService.findById(data.sessionId);
+
+    if (session.userId && session.userId !== userId) {
+      throw new ForbiddenError('Only the session owner can start a group order');
+    }
+
+    const existingHost = await prisma.sessionParticipant.findFirst({
+      where: { sessionId: session.id, isHost: true },
+    });
+    if (existingHost) {
+      throw new BadRequestError('This session already has a group order');
+    }
+
+    const [, host] = await prisma.$transaction([
+      prisma.session.update({ where: { id: session.id }, data: { isGroup: true, groupStatus: 'OPEN' } }),
+      prisma.sessionParticipant.create({
+        data: {
+          sessionId: session.id,
+          name: data.hostName,
+          chairNumber: data.chairNumber ?? session.chairNumber,
+          isHost: true,
+          userId,
+        },
+      }),
+    ]);
+
+    return { sessionId: session.id, participant: host };
+  }
+
+  // Lets attendees scanning the room QR find the group that is already running
+  async findActiveByQrCode(qrCode: string) {
+    const session = await prisma.session.findFirst({
+      where: {
+        isGroup: true,
+        groupStatus: 'OPEN',
+        status: 'ACTIVE',
+        expiresAt: { gt: new Date() },
+        space: { qrCode, isActive: true },
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    if (!session) {
+      throw new NotFoundError('No group order is running in this space');
+    }
+
+    return this.getState(session.id);
+  }
+
+  async join(sessionId: string, data: z.infer<typeof joinGroupSchema>, userId?: string) {
+    const session = await this.findGroupSession(sessionId, { open: true });
+
+    const participant = await prisma.sessionParticipant.create({
+      data: {
+        sessionId: session.id,
+        name: data.name,
+        chairNumber: data.chairNumber,
+        userId,
+      },
+    });
+
+    await publishSessionEvent(sessionId, 'PARTICIPANT_JOINED', { participant: this.toPublic(participant) });
+
+    return participant;
+  }
+
+  async getState(sessionId: string) {
+    const session = await this.findGroupSession(sessionId);
+    const participants = await prisma.sessionParticipant.findMany({
+      where: { sessionId },
+      orderBy: { joinedAt: 'asc' },
+    });
+
+    return {
+      sessionId: session.id,
+      status: session.groupStatus,
+      expiresAt: session.expiresAt,
+      participants: participants.map((participant) => this.toPublic(participant)),
+      lines: await this.getLines(sessionId),
+    };
+  }
+
+  async addLine(sessionId: string, data: z.infer<typeof addGroupLineSchema>) {
+    const session = await this.findGroupSession(sessionId, { open: true });
+    const participant = await this.findParticipant(sessionId, data.participantToken);
+    const item = await this.itemService.findById(data.itemId);
+
+    if (item.category.organizationId !== session.space.organizationId || !item.isActive || !item.isAvailable) {
+      throw new BadRequestError(`Item "${item.name}" is not available`);
+    }
+
+    const [optionError] = findOptionErrors(item.options, data.options);
+    if (optionError) {
+      throw new BadRequestError(`${item.name}: ${optionError}`);
+    }
+
+    const line: GroupLine = {
+      id: randomUUID(),
+      participantId: participant.id,
+      participantName: participant.name,
+      chairNumber: participant.chairNumber,
+      itemId: item.id,
+      itemName: item.name,
+      quantity: data.quantity,
+      options: data.options,
+      notes: data.notes,
+      addedAt: new Date().toISOString(),
+    };
+
+    const key = `${this.CART_PREFIX}${sessionId}`;
+    const ttl = Math.max(1, Math.ceil((session.expiresAt.getTime() - Date.now()) / 1000));
+    await redis.multi().hset(key, line.id, JSON.stringify(line)).expire(key, ttl).exec();
+
+    await publishSessionEvent(sessionId, 'GROUP_LINE_ADDED', { line });
+
+    return line;
+  }
+
+  // Participants remove their own lines; the host can remove anyone's
+  async removeLine(sessionId: string, lineId: string, participantToken: string) {
+    await this.findGroupSession(sessionId, { open: true });
+    const participant = await this.findParticipant(sessionId, participantToken);
+
+    const key = `${this.CART_PREFIX}${sessionId}`;
+    const raw = await redis.hget(key, lineId);
+    if (!raw) {
+      throw new NotFoundError('Line not found');
+    }
+
+    const line: GroupLine = JSON.parse(raw);
+    if (line.participantId !== participant.id && !participant.isHost) {
+      throw new ForbiddenError('You can only remove your own lines');
+    }
+
+    await redis.hdel(key, lineId);
+    await publishSessionEvent(sessionId, 'GROUP_LINE_REMOVED', { lineId });
+  }
+
+  // The host places one order for the whole room, keeping per-person attribution
+  async submit(sessionId: string, data: z.infer<typeof submitGroupSchema>, actor: StatusActor) {
+    await this.findGroupSession(sessionId);
+    const participant = await this.findParticipant(sessionId, data.participantToken);
+
+    if (!participant.isHost) {
+      throw new ForbiddenError('Only the host can submit the group order');
+    }
+
+    // Claim the group so a second submit cannot place the order again
+    const { count } = await prisma.session.updateMany({
+      where: { id: sessionId, groupStatus: 'OPEN' },
+      data: { groupStatus: 'SUBMITTED' },
+    });
+    if (count === 0) {
+      throw new ConflictError('This group order has already been submitted');
+    }
+
+    const lines = await this.getLines(sessionId);
+    if (lines.length === 0) {
+      await this.reopen(sessionId);
+      throw new BadRequestError('The group cart is empty');
+    }
+
+    let order;
+    try {
+      order = await this.orderService.create(
+        {
+          sessionId,
+          items: lines.map((line) => ({
+            itemId: line.itemId,
+            quantity: line.quantity,
+            options: line.options,
+            notes: line.notes,
+            participantId: line.participantId,
+          })),
+          couponCode: data.couponCode,
+          notes: data.notes,
+          scheduledFor: data.scheduledFor,
+        },
+        actor
+      );
+    } catch (error) {
+      await this.reopen(sessionId);
+      throw error;
+    }
+
+    await redis.del(`${this.CART_PREFIX}${sessionId}`);
+    await publishSessionEvent(sessionId, 'GROUP_SUBMITTED', { orderId: order.id, orderNumber: order.orderNumber });
+
+    return order;
+  }
+
+  // Lets the host fix the cart and try again after a failed submit
+  private async reopen(sessionId: string) {
+    await prisma.session.update({ where: { id: sessionId }, data: { groupStatus: 'OPEN' } });
+  }
+
+  private async getLines(sessionId: string) {
+    const raw = await redis.hvals(`${this.CART_PREFIX}${sessionId}`);
+    return raw
+      .map((value) => JSON.parse(value) as GroupLine)
+      .sort((a, b) => a.addedAt.localeCompare(b.addedAt));
+  }
+
+  private async findGroupSession(sessionId: string, options: { open?: boolean } = {}) {
+    const session = await this.sessionService.findById(sessionId);
+
+    if (!session.isGroup) {
+      throw new BadRequestError('This session is not a group order');
+    }
+    if (options.open && session.groupStatus !== 'OPEN') {
+      throw new BadRequestError('This group order has already been submitted');
+    }
+
+    return session;
+  }
+
+  private async findParticipant(sessionId: string, token: string) {
+    const participant = await prisma.sessionParticipant.findUnique({ where: { token } });
+
+    if (!participant || participant.sessionId !== sessionId) {
+      throw new ForbiddenError('You are not part of this group order');
+    }
+
+    return participant;
+  }
+
+  // The token is a secret; only its owner gets it back, on start or join
+  private toPublic(participant: SessionParticipant) {
+    return {
+      id: participant.id,
+      name: participant.name,
+      chairNumber: participant.chairNumber,
+      isHost: participant.isHost,
+      joinedAt: participant.joinedAt,
+    };
+  }
+}
+
+// ============================================
+// CONTROLLER
+// ============================================
+
+export class GroupController {
+  constructor(private groupService = new GroupService()) { }
+
+  start = async (req: Request, res: Response) => {
+    const result = await this.groupService.start(req.body, req.user?.id);
+    sendCreated(res, result);
+  };
+
+  findByQrCode = async (req: Request, res: Response) => {
+    const group = await this.groupService.findActiveByQrCode(req.params.qrCode);
+    sendSuccess(res, group);
+  };
+
+  getState = async (req: Request, res: Response) => {
+    const group = await this.groupService.getState(req.params.sessionId);
+    sendSuccess(res, group);
+  };
+
+  join = async (req: Request, res: Response) => {
+    const participant = await this.groupService.join(req.params.sessionId, req.body, req.user?.id);
+    sendCreated(res, participant);
+  };
+
+  addLine = async (req: Request, res: Response) => {
+    const line = await this.groupService.addLine(req.params.sessionId, req.body);
+    sendCreated(res, line);
+  };
+
+  removeLine = async (req: Request, res: Response) => {
+    await this.groupService.removeLine(req.params.sessionId, req.params.lineId, req.body.participantToken);
+    sendSuccess(res, { removed: true });
+  };
+
+  submit = async (req: Request, res: Response) => {
+    const order = await this.groupService.submit(req.params.sessionId, req.body, actorFrom(req));
+    sendCreated(res, order);
+  };
+}
+
+// ============================================
+// ROUTES
+// ============================================
+
+export function groupRoutes() {
+  const router = Router();
+  const controller = new GroupController();
+
+  router.post('/', optionalAuth, validate(startGroupSchema), controller.start);
+  router.get('/qr/:qrCode', controller.findByQrCode);
+  router.get('/:sessionId', controller.getState);
+  router.post('/:sessionId/participants', optionalAuth, validate(joinGroupSchema), controller.join);
+  router.post('/:sessionId/lines', validate(addGroupLineSchema), controller.addLine);
+  router.delete('/:sessionId/lines/:lineId', validate(removeGroupLineSchema), controller.removeLine);
+  router.post('/:sessionId/submit', optionalAuth, validate(submitGroupSchema), controller.submit);
+
+  return router;
+}
@@ -0,0 +1,329 @@
+// Stock alerts - low and out-of-stock warnings for items and ingredients, per
+// location where stock is kept at several, with an acknowledge/snooze workflow
+
+import { z } from 'zod';
+import { IngredientUnit, Prisma, StockAlert, StockAlertStatus, StockAlertType } from '@prisma/client';
+import { prisma } from '../../config/index.js';
+import { NotFoundError, BadRequestError } from '../../common/errors.js';
+import { publishOrderEvent } from '../order/events.js';
+import { NotificationService } from '../notification/index.js';
+
+// ============================================
+// SCHEMAS
+// ============================================
+
+export const listStockAlertsQuerySchema = z.object({
+  status: z.nativeEnum(StockAlertStatus).optional(), // Default: everything unresolved
+  itemId: z.string().uuid().optional(),
+  ingredientId: z.string().uuid().optional(),
+  locationId: z.string().uuid().optional(),
+  limit: z.coerce.number().int().min(1).max(100).default(50),
+  offset: z.coerce.number().int().min(0).default(0),
+});
+
+export const snoozeStockAlertSchema = z.object({
+  minutes: z.number().int().min(5).max(7 * 24 * 60),
+});
+
+// ============================================
+// SERVICE
+// ============================================
+
+const alertInclude = {
+  item: { select: { id: true, name: true, icon: true, image: true, stock: true, lowStockThreshold: true } },
+  ingredient: { select: { id: true, name: true, unit: true, stock: true, lowStockThreshold: true } },
+  location: { select: { id: true, name: true } },
+  acknowledgedBy: { select: { id: true, name: true } },
+} satisfies Prisma.StockAlertInclude;
+
+type AlertWithSubject = Prisma.StockAlertGetPayload<{ include: typeof alertInclude }>;
+
+interface AlertSubject {
+  kind: 'item' | 'ingredient';
+  id: string;
+  locationId?: string;
+  organizationId: string;
+  stock: number;
+  threshold: number;
+  open?: StockAlert;
+}
+
+const UNIT_LABELS: Record<IngredientUnit, string> = { GRAM: 'g', MILLILITRE: 'ml', PIECE: 'pcs' };
+
+export class StockAlertService {
+  private notificationService = new NotificationService();
+
+  // Runs the checks after the response has gone out. The stock change has
+  // already committed, so a failed check or slow webhook must not fail or hold
+  // up the request; the next change to the same stock checks it again.
+  checkSoon(itemIds: string[]) {
+    this.check(itemIds).catch((error) => console.error('Stock alert check failed:', error));
+  }
+
+  checkIngredientsSoon(ingredientIds: string[]) {
+    this.checkIngredients(ingredientIds).catch((error) => console.error('Stock alert check failed:', error));
+  }
+
+  // Checks items after their stock changed, along with the ingredients their
+  // recipes use. Items held at locations are checked at each one.
+  async check(itemIds: string[]) {
+    const items = await prisma.item.findMany({
+      where: { id: { in: [...new Set(itemIds)] } },
+      include: {
+        category: { select: { organizationId: true } },
+        stockAlerts: { where: { resolvedAt: null } },
+        recipe: { select: { ingredientId: true } },
+        locationStock: true,
+      },
+    });
+
+    const subjects: AlertSubject[] = [];
+    for (const item of items) {
+      if (item.stock === null) continue;
+
+      const subject = {
+        kind: 'item' as const,
+        id: item.id,
+        organizationId: item.category.organizationId,
+        threshold: item.lowStockThreshold,
+      };
+
+      if (item.locationStock.length === 0) {
+        subjects.push({ ...subject, stock: item.stock, open: item.stockAlerts.find((alert) => !alert.locationId) });
+        continue;
+      }
+
+      // An alert from before the stock was split over locations no longer applies
+      const unlocated = item.stockAlerts.find((alert) => !alert.locationId);
+      if (unlocated) await this.resolve(unlocated);
+
+      for (const held of item.locationStock) {
+        subjects.push({
+          ...subject,
+          locationId: held.locationId,
+          stock: held.stock,
+          open: item.stockAlerts.find((alert) => alert.locationId === held.locationId),
+        });
+      }
+    }
+
+    await this.evaluate(subjects);
+
+    const ingredientIds = items.flatMap((item) => item.recipe.map((line) => line.ingredientId));
+    if (ingredientIds.length > 0) {
+      await this.checkIngredients(ingredientIds);
+    }
+  }
+
+  async checkIngredients(ingredientIds: string[]) {
+    const ingredients = await prisma.ingredient.findMany({
+      where: { id: { in: [...new Set(ingredientIds)] }, stock: { not: null } },
+      include: { stockAlerts: { where: { resolvedAt: null } } },
+    });
+
+    await this.evaluate(
+      ingredients.map((ingredient) => ({
+        kind: 'ingredient' as const,
+        id: ingredient.id,
+        organizationId: ingredient.organizationId,
+        stock: ingredient.stock!,
+        threshold: ingredient.lowStockThreshold,
+        open: ingredient.stockAlerts[0],
+      }))
+    );
+  }
+
+  // Raises an alert when none is open, escalates low stock to out of stock and
+  // resolves the alert once stock is back above the threshold
+  private async evaluate(subjects: AlertSubject[]) {
+    for (const subject of subjects) {
+      const { stock, open } = subject;
+
+      if (stock > subject.threshold) {
+        if (open) await this.resolve(open);
+        continue;
+      }
+
+      const type: StockAlertType = stock === 0 ? 'OUT_OF_STOCK' : 'LOW_STOCK';
+
+      if (!open) {
+        await this.raise(subject, type);
+      } else if (type === 'OUT_OF_STOCK' && open.type === 'LOW_STOCK') {
+        await this.escalate(open, stock);
+      } else if (type === 'LOW_STOCK' && open.type === 'OUT_OF_STOCK') {
+        // Partly restocked: still low, but nobody needs another ping
+        await prisma.stockAlert.update({ where: { id: open.id }, data: { type, stockLevel: stock } });
+      }
+    }
+  }
+
+  async findByOrg(orgId: string, query: z.infer<typeof listStockAlertsQuerySchema>) {
+    const where: Prisma.StockAlertWhereInput = {
+      organizationId: orgId,
+      ...(query.status ? { status: query.status } : { resolvedAt: null }),
+      ...(query.itemId && { itemId: query.itemId }),
+      ...(query.ingredientId && { ingredientId: query.ingredientId }),
+      ...(query.locationId && { locationId: query.locationId }),
+    };
+
+    const [alerts, total] = await Promise.all([
+      prisma.stockAlert.findMany({
+        where,
+        include: alertInclude,
+        // Out of stock first, then the newest
+        orderBy: [{ type: 'desc' }, { updatedAt: 'desc' }],
+        take: query.limit,
+        skip: query.offset,
+      }),
+      prisma.stockAlert.count({ where }),
+    ]);
+
+    return { alerts, total };
+  }
+
+  async acknowledge(id: string, orgId: string, userId: string) {
+    const alert = await this.findOpen(id, orgId);
+
+    const updated = await prisma.stockAlert.update({
+      where: { id: alert.id },
+      data: { status: 'ACKNOWLEDGED', acknowledgedAt: new Date(), acknowledgedById: userId, snoozedUntil: null },
+      include: alertInclude,
+    });
+
+    await publishOrderEvent(orgId, 'STOCK_ALERT_UPDATED', { alert: updated });
+    return updated;
+  }
+
+  // Hides the alert until the snooze ends; it then re-opens and notifies again
+  async snooze(id: string, orgId: string, userId: string, minutes: number) {
+    const alert = await this.findOpen(id, orgId);
+
+    const updated = await prisma.stockAlert.update({
+      where: { id: alert.id },
+      data: {
+        status: 'SNOOZED',
+        snoozedUntil: new Date(Date.now() + minutes * 60 * 1000),
+        acknowledgedAt: new Date(),
+        acknowledgedById: userId,
+      },
+      include: alertInclude,
+    });
+
+    await publishOrderEvent(orgId, 'STOCK_ALERT_UPDATED', { alert: updated });
+    return updated;
+  }
+
+  // Re-opens alerts whose snooze ran out. Each one is claimed with a
+  // conditional update, so replicas running this together notify once.
+  async wakeSnoozed(now = new Date()) {
+    const due = await prisma.stockAlert.findMany({
+      where: { status: 'SNOOZED', snoozedUntil: { lte: now } },
+      select: { id: true },
+    });
+
+    let woken = 0;
+
+    for (const { id } of due) {
+      const { count } = await prisma.stockAlert.updateMany({
+        where: { id, status: 'SNOOZED', snoozedUntil: { lte: now } },
+        data: { status: 'OPEN', snoozedUntil: null },
+      });
+      if (count === 0) continue;
+
+      const alert = await prisma.stockAlert.findUniqueOrThrow({ where: { id }, include: alertInclude });
+      await this.announce(alert, 'Reminder: ');
+      woken++;
+    }
+
+    return woken;
+  }
+
+  private async raise(subject: AlertSubject, type: StockAlertType) {
+    let alert: AlertWithSubject;
+    try {
+      alert = await prisma.stockAlert.create({
+        data: {
+          organizationId: subject.organizationId,
+          ...(subject.kind === 'item' ? { itemId: subject.id } : { ingredientId: subject.id }),
+          locationId: subject.locationId,
+          openKey: subject.locationId ? `${subject.id}:${subject.locationId}` : subject.id,
+          type,
+          stockLevel: subject.stock,
+          threshold: subject.threshold,
+        },
+        include: alertInclude,
+      });
+    } catch (error) {
+      // Another order for the same stock raised it first
+      if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2002') return;
+      throw error;
+    }
+
+    await this.announce(alert);
+  }
+
+  private async escalate(open: StockAlert, stock: number) {
+    const { count } = await prisma.stockAlert.updateMany({
+      where: { id: open.id, type: 'LOW_STOCK', resolvedAt: null },
+      data: { type: 'OUT_OF_STOCK', status: 'OPEN', stockLevel: stock, snoozedUntil: null },
+    });
+    if (count === 0) return;
+
+    const alert = await prisma.stockAlert.findUniqueOrThrow({ where: { id: open.id }, include: alertInclude });
+    await this.announce(alert);
+  }
+
+  private async resolve(open: StockAlert) {
+    const { count } = await prisma.stockAlert.updateMany({
+      where: { id: open.id, resolvedAt: null },
+      data: { status: 'RESOLVED', resolvedAt: new Date(), openKey: null, snoozedUntil: null },
+    });
+    if (count === 0) return;
+
+    const alert = await prisma.stockAlert.findUniqueOrThrow({ where: { id: open.id }, include: alertInclude });
+    await publishOrderEvent(alert.organizationId, 'STOCK_ALERT_RESOLVED', { alert });
+  }
+
+  private async announce(alert: AlertWithSubject, prefix = '') {
+    await publishOrderEvent(alert.organizationId, 'STOCK_ALERT', { alert });
+
+    const outOfStock = alert.type === 'OUT_OF_STOCK';
+    const name = alert.item?.name ?? alert.ingredient!.name;
+    const where = alert.location ? ` at ${alert.location.name}` : '';
+    const stock = alert.location ? alert.stockLevel : alert.item?.stock ?? alert.ingredient?.stock ?? alert.stockLevel;
+    const unit = alert.ingredient ? ` ${UNIT_LABELS[alert.ingredient.unit]}` : '';
+
+    this.notificationService.notify(alert.organizationId, {
+      event: alert.type,
+      title: `${prefix}${name} is ${outOfStock ? 'out of stock' : 'running low'}${where}`,
+      message: outOfStock
+        ? alert.location
+          ? `Spaces served by ${alert.location.name} cannot order ${name} until it is restocked or transferred`
+          : alert.item
+            ? `${name} has been marked unavailable until it is restocked`
+            : `Items made with ${name} are unavailable until it is restocked`
+        : `${stock}${unit} left${where} (alert at ${alert.threshold}${unit})`,
+      data: {
+        alertId: alert.id,
+        itemId: alert.itemId,
+        ingredientId: alert.ingredientId,
+        locationId: alert.locationId,
+        type: alert.type,
+        stock,
+      },
+    });
+  }
+
+  private async findOpen(id: string, orgId: string) {
+    const alert = await prisma.stockAlert.findUnique({ where: { id } });
+
+    if (!alert || alert.organizationId !== orgId) {
+      throw new NotFoundError('Stock alert not found');
+    }
+    if (alert.resolvedAt) {
+      throw new BadRequestError('This alert has already been resolved');
+    }
+
+    return alert;
+  }
+}
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import { checkAvailability, unavailableMessage } from './availability.js';
+
+// 2026-10-19 is a Monday
+const utc = { timeZone: 'UTC', holidays: [] };
+
+function check(schedules: unknown[], at: string, context = utc) {
+  const result = checkAvailability(schedules, new Date(at), context);
+  return { available: result.available, nextAt: result.nextAt?.toISOString() ?? null };
+}
+
+const breakfast = { weekly: [1, 2, 3, 4, 5].map((day) => ({ day, start: '07:00', end: '10:30' })) };
+
+describe('checkAvailability', () => {
+  it('is always available without a schedule', () => {
+    expect(check([null, undefined], '2026-10-19T03:00:00Z')).toEqual({ available: true, nextAt: null });
+  });
+
+  it('treats a schedule that does not parse as always available', () => {
+    expect(check([{ weekly: 'mornings' }], '2026-10-19T03:00:00Z')).toEqual({ available: true, nextAt: null });
+  });
+
+  it('is available inside a weekly window, up to but not at its end', () => {
+    expect(check([breakfast], '2026-10-19T07:00:00Z').available).toBe(true);
+    expect(check([breakfast], '2026-10-19T10:29:00Z').available).toBe(true);
+    expect(check([breakfast], '2026-10-19T10:30:00Z')).toEqual({ available: false, nextAt: '2026-10-20T07:00:00.000Z' });
+  });
+
+  it('points to the next window later the same day', () => {
+    expect(check([breakfast], '2026-10-19T05:00:00Z')).toEqual({ available: false, nextAt: '2026-10-19T07:00:00.000Z' });
+  });
+
+  it('skips the weekend to the next weekday window', () => {
+    expect(check([breakfast], '2026-10-23T12:00:00Z').nextAt).toBe('2026-10-26T07:00:00.000Z');
+  });
+
+  it('runs a window ending at 00:00 until midnight', () => {
+    const bar = { weekly: [{ day: 1, start: '17:00', end: '00:00' }] };
+
+    expect(check([bar], '2026-10-19T23:59:00Z').available).toBe(true);
+    expect(check([bar], '2026-10-20T00:00:00Z').nextAt).toBe('2026-10-26T17:00:00.000Z');
+  });
+
+  it('lets a dated exception replace the weekly windows', () => {
+    const schedule = { ...breakfast, exceptions: [{ date: '2026-10-19', windows: [{ start: '09:00', end: '12:00' }] }] };
+
+    expect(check([schedule], '2026-10-19T07:30:00Z')).toEqual({ available: false, nextAt: '2026-10-19T09:00:00.000Z' });
+    expect(check([schedule], '2026-10-19T11:00:00Z').available).toBe(true);
+  });
+
+  it('closes for a day with an empty exception', () => {
+    const schedule = { ...breakfast, exceptions: [{ date: '2026-10-19', windows: [] }] };
+
+    expect(check([schedule], '2026-10-19T08:00:00Z').nextAt).toBe('2026-10-20T07:00:00.000Z');
+  });
+
+  it('follows the weekly windows on holidays unless overridden', () => {
+    const context = { timeZone: 'UTC', holidays: ['2026-10-19'] };
+
+    expect(check([breakfast], '2026-10-19T08:00:00Z', context).available).toBe(true);
+    expect(check([{ ...breakfast, holidays: [] }], '2026-10-19T08:00:00Z', context).nextAt).toBe('2026-10-20T07:00:00.000Z');
+    expect(check([{ ...breakfast, holidays: [{ start: '09:00', end: '11:00' }] }], '2026-10-19T08:00:00Z', context).nextAt)
+      .toBe('2026-10-19T09:00:00.000Z');
+  });
+
+  it('requires every schedule to be open, e.g. an item and its category', () => {
+    const category = { weekly: [{ day: 1, start: '08:00', end: '12:00' }] };
+    const item = { weekly: [{ day: 1, start: '10:00', end: '14:00' }] };
+
+    expect(check([category, item], '2026-10-19T09:00:00Z')).toEqual({ available: false, nextAt: '2026-10-19T10:00:00.000Z' });
+    expect(check([category, item], '2026-10-19T11:00:00Z').available).toBe(true);
+    expect(check([category, item], '2026-10-19T12:30:00Z').nextAt).toBe('2026-10-26T10:00:00.000Z');
+  });
+
+  it('evaluates windows in the organization timezone', () => {
+    const context = { timeZone: 'Asia/Kolkata', holidays: [] }; // UTC+5:30
+
+    expect(check([breakfast], '2026-10-19T02:00:00Z', context).available).toBe(true); // 07:30 local
+    expect(check([breakfast], '2026-10-19T06:00:00Z', context).nextAt).toBe('2026-10-20T01:30:00.000Z');
+  });
+
+  it('gives no next time when nothing opens within two months', () => {
+    const schedule = { weekly: [], exceptions: [], holidays: [] };
+    const closed = { weekly: [{ day: 1, start: '08:00', end: '09:00' }], exceptions: [] };
+
+    expect(check([schedule], '2026-10-19T08:00:00Z').available).toBe(true);
+    expect(check([closed, { weekly: [{ day: 2, start: '08:00', end: '09:00' }] }], '2026-10-19T10:00:00Z'))
+      .toEqual({ available: false, nextAt: null });
+  });
+});
+
+describe('unavailableMessage', () => {
+  it('names the next time in the organization timezone', () => {
+    expect(unavailableMessage('Masala chai', new Date('2026-10-23T11:30:00Z'), 'Asia/Kolkata'))
+      .toBe('"Masala chai" is not available at this time; it is available again from Fri 23 Oct, 17:00');
+  });
+
+  it('has no time when it is not scheduled again', () => {
+    expect(unavailableMessage('Masala chai', null, 'UTC')).toBe('"Masala chai" is not available at this time');
+  });
+});
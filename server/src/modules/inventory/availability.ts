@@ -0,0 +1,163 @@
+// Availability schedules - weekly windows, dated exceptions and holiday
+// overrides on categories and items, evaluated in the organization's timezone
+
+import { z } from 'zod';
+import { Prisma } from '@prisma/client';
+import {
+  timeOfDaySchema,
+  localDateSchema,
+  getZonedParts,
+  zonedTimeToUtc,
+  formatLocalDate,
+  minutesOfDay,
+  addDays,
+  pad,
+} from '../../common/utils/index.js';
+
+// ============================================
+// SCHEMAS
+// ============================================
+
+// An end of "00:00" runs to midnight, e.g. the bar cart from 17:00 until close
+export const availabilityWindowSchema = z
+  .object({
+    start: timeOfDaySchema,
+    end: timeOfDaySchema,
+  })
+  .refine((window) => window.end === '00:00' || window.end > window.start, {
+    message: 'end must be after start',
+    path: ['end'],
+  });
+
+export const availabilityScheduleSchema = z.object({
+  // Empty = any time on days without an exception or holiday override
+  weekly: z.array(availabilityWindowSchema.and(z.object({
+    day: z.number().int().min(0).max(6), // 0 = Sunday
+  }))).max(42).default([]),
+  // Replace the weekly windows on one date; no windows = not available that day
+  exceptions: z.array(z.object({
+    date: localDateSchema, // YYYY-MM-DD in the org timezone
+    windows: z.array(availabilityWindowSchema).max(6).default([]),
+  })).max(366).default([])
+    .refine((exceptions) => new Set(exceptions.map((exception) => exception.date)).size === exceptions.length, {
+      message: 'Each date can only have one exception',
+    }),
+  // Windows on the organization's holidays; omit to follow the weekly
+  // windows, [] = not available on holidays
+  holidays: z.array(availabilityWindowSchema).max(6).optional(),
+});
+
+export type AvailabilitySchedule = z.infer<typeof availabilityScheduleSchema>;
+
+// ============================================
+// EVALUATION
+// ============================================
+
+export interface AvailabilityContext {
+  timeZone: string;
+  holidays: string[];
+}
+
+type LocalDate = { year: number; month: number; day: number; weekday: number };
+type Interval = [number, number]; // Minutes of the local day, end exclusive
+
+const LOOKAHEAD_DAYS = 60;
+const FULL_DAY: Interval[] = [[0, 24 * 60]];
+
+// Anything that does not parse, including null, means always available
+export function parseSchedule(schedule: unknown): AvailabilitySchedule | null {
+  if (!schedule) return null;
+  const parsed = availabilityScheduleSchema.safeParse(schedule);
+  return parsed.success ? parsed.data : null;
+}
+
+function toIntervals(windows: Array<{ start: string; end: string }>): Interval[] {
+  return windows
+    .map((window): Interval => [minutesOfDay(window.start), window.end === '00:00' ? 24 * 60 : minutesOfDay(window.end)])
+    .sort((a, b) => a[0] - b[0]);
+}
+
+// When on this date the schedule is open: a dated exception wins, then the
+// holiday override, then the weekly windows
+function intervalsOn(schedule: AvailabilitySchedule | null, date: LocalDate, context: AvailabilityContext) {
+  if (!schedule) return FULL_DAY;
+
+  const key = formatLocalDate(date);
+  const exception = schedule.exceptions.find((candidate) => candidate.date === key);
+  if (exception) return toIntervals(exception.windows);
+
+  if (schedule.holidays && context.holidays.includes(key)) {
+    return toIntervals(schedule.holidays);
+  }
+
+  if (schedule.weekly.length === 0) return FULL_DAY;
+  return toIntervals(schedule.weekly.filter((window) => window.day === date.weekday));
+}
+
+function intersect(a: Interval[], b: Interval[]) {
+  const result: Interval[] = [];
+  for (const [startA, endA] of a) {
+    for (const [startB, endB] of b) {
+      const start = Math.max(startA, startB);
+      const end = Math.min(endA, endB);
+      if (start < end) result.push([start, end]);
+    }
+  }
+  return result.sort((x, y) => x[0] - y[0]);
+}
+
+// Whether something governed by every given schedule (e.g. an item and its
+// category) can be ordered at `at`, and if not, when it next can. nextAt is
+// null when it is not scheduled again within the next two months.
+export function checkAvailability(schedules: unknown[], at: Date, context: AvailabilityContext) {
+  const parsed = schedules.map(parseSchedule);
+  if (parsed.every((schedule) => schedule === null)) {
+    return { available: true, nextAt: null };
+  }
+
+  const local = getZonedParts(at, context.timeZone);
+  const now = local.hour * 60 + local.minute;
+
+  for (let offset = 0; offset <= LOOKAHEAD_DAYS; offset++) {
+    const date = addDays(local, offset);
+    const open = parsed.reduce<Interval[]>(
+      (intervals, schedule) => intersect(intervals, intervalsOn(schedule, date, context)),
+      FULL_DAY
+    );
+
+    for (const [start, end] of open) {
+      if (offset === 0 && end <= now) continue;
+      if (offset === 0 && start <= now) {
+        return { available: true, nextAt: null };
+      }
+
+      const time = `${pad(Math.floor(start / 60))}:${pad(start % 60)}`;
+      return { available: false, nextAt: zonedTimeToUtc(date, time, context.timeZone) };
+    }
+  }
+
+  return { available: false, nextAt: null };
+}
+
+// Tells the guest when they can order it, e.g. "from Fri 24 Oct, 17:00" in
+// the organization's timezone
+export function unavailableMessage(name: string, nextAt: Date | null, timeZone: string) {
+  if (!nextAt) return `"${name}" is not available at this time`;
+
+  const formatted = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).format(nextAt);
+
+  return `"${name}" is not available at this time; it is available again from ${formatted}`;
+}
+
+// Clearing a schedule stores SQL NULL rather than a JSON null
+export function scheduleColumn(schedule: AvailabilitySchedule | null | undefined) {
+  return schedule === null ? Prisma.DbNull : schedule;
+}
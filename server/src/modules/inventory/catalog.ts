@@ -0,0 +1,40 @@
+// Catalogue schemas - categories and items, shared by the CRUD endpoints and
+// menu import
+
+import { z } from 'zod';
+import { itemOptionsSchema } from './options.js';
+import { availabilityScheduleSchema } from './availability.js';
+import { allergensSchema, dietaryLabelsSchema } from './dietary.js';
+
+export const createCategorySchema = z.object({
+  name: z.string().min(1).max(100),
+  description: z.string().max(500).optional(),
+  icon: z.string().optional(),
+  sortOrder: z.number().int().default(0),
+  isActive: z.boolean().default(true),
+  availability: availabilityScheduleSchema.nullable().optional(), // e.g. breakfast 08:00-11:00 on weekdays
+});
+
+export const updateCategorySchema = createCategorySchema.partial();
+
+export const createItemSchema = z.object({
+  name: z.string().min(1).max(100),
+  description: z.string().max(500).optional(),
+  categoryId: z.string().uuid(),
+  price: z.number().min(0).default(0),
+  isFree: z.boolean().default(false),
+  image: z.string().url().optional(),
+  stock: z.number().int().min(0).optional(),
+  lowStockThreshold: z.number().int().min(0).default(5),
+  prepTimeSeconds: z.number().int().min(0).max(7200).optional(),
+  options: itemOptionsSchema.optional(), // [{ name: "Size", required: true, choices: [{ name: "M", isDefault: true }, ...] }]
+  allergens: allergensSchema.default([]),
+  dietaryLabels: dietaryLabelsSchema.default([]), // e.g. ["VEGAN", "GLUTEN_FREE"]
+  calories: z.number().int().min(0).max(10000).optional(), // kcal
+  caffeineMg: z.number().int().min(0).max(2000).optional(),
+  isActive: z.boolean().default(true),
+  availability: availabilityScheduleSchema.nullable().optional(), // Narrows the category's schedule
+});
+
+// Stock only changes through the ledger: restocks, counts and adjustments
+export const updateItemSchema = createItemSchema.omit({ stock: true }).partial();
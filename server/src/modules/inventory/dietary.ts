@@ -0,0 +1,69 @@
+// Dietary information - allergens, dietary labels and nutrition on items and
+// option choices, menu filters and checks against a user's dietary profile
+
+import { z } from 'zod';
+import { Allergen, DietaryLabel } from '@prisma/client';
+import { listOf } from '../../common/utils/index.js';
+import { ItemOptionGroup } from './options.js';
+
+// ============================================
+// SCHEMAS
+// ============================================
+
+export const allergensSchema = z.array(z.nativeEnum(Allergen)).max(14).transform((list) => [...new Set(list)]);
+export const dietaryLabelsSchema = z.array(z.nativeEnum(DietaryLabel)).max(20).transform((list) => [...new Set(list)]);
+
+export const dietaryProfileSchema = z.object({
+  avoidsAllergens: allergensSchema.default([]),
+  dietaryNeeds: dietaryLabelsSchema.default([]),
+});
+
+// GET /sessions/:id/menu?excludeAllergens=PEANUTS,TREE_NUTS&dietary=VEGAN
+export const menuFiltersSchema = z.object({
+  excludeAllergens: listOf(z.nativeEnum(Allergen)).optional(),
+  dietary: listOf(z.nativeEnum(DietaryLabel)).optional(), // Items must carry all of them
+});
+
+export type DietaryProfile = z.infer<typeof dietaryProfileSchema>;
+export type MenuFilters = z.infer<typeof menuFiltersSchema>;
+
+// ============================================
+// FILTERING & CONFLICTS
+// ============================================
+
+interface DietaryItem {
+  allergens: Allergen[];
+  dietaryLabels: DietaryLabel[];
+}
+
+// Why an item does not suit a profile: allergens it contains that the user
+// avoids, and labels they need that it lacks. Null when it suits them.
+export function dietaryConflicts(item: DietaryItem, profile: DietaryProfile) {
+  const allergens = item.allergens.filter((allergen) => profile.avoidsAllergens.includes(allergen));
+  const missingLabels = profile.dietaryNeeds.filter((label) => !item.dietaryLabels.includes(label));
+
+  return allergens.length > 0 || missingLabels.length > 0 ? { allergens, missingLabels } : null;
+}
+
+// Applies the menu filters to an item: null when the item itself is excluded,
+// otherwise its option groups without choices that add an excluded allergen.
+// An item whose required group loses every choice is excluded too.
+export function filterForDiet(item: DietaryItem, groups: ItemOptionGroup[], filters: MenuFilters) {
+  const excluded = filters.excludeAllergens ?? [];
+
+  if (dietaryConflicts(item, { avoidsAllergens: excluded, dietaryNeeds: filters.dietary ?? [] })) {
+    return null;
+  }
+  if (excluded.length === 0) return groups;
+
+  const filtered = groups.map((group) => ({
+    ...group,
+    choices: group.choices.filter((choice) => !choice.allergens?.some((allergen) => excluded.includes(allergen))),
+  }));
+
+  if (filtered.some((group) => group.required && group.choices.length === 0)) {
+    return null;
+  }
+
+  return filtered.filter((group) => group.choices.length > 0);
+}
@@ -0,0 +1,33 @@
+// Auto icons - an emoji for items added without an image
+
+export async function fetchAutoIcon(itemName: string): Promise<string | null> {
+  // Simple icon mapping for common items
+  const iconMap: Record<string, string> = {
+    coffee: '☕',
+    tea: '🍵',
+    water: '💧',
+    juice: '🧃',
+    soda: '🥤',
+    cookie: '🍪',
+    cake: '🍰',
+    sandwich: '🥪',
+    pizza: '🍕',
+    burger: '🍔',
+    salad: '🥗',
+    fruit: '🍎',
+    snack: '🍿',
+    chips: '🍟',
+    candy: '🍬',
+    chocolate: '🍫',
+  };
+
+  const lowerName = itemName.toLowerCase();
+  for (const [key, emoji] of Object.entries(iconMap)) {
+    if (lowerName.includes(key)) {
+      return emoji;
+    }
+  }
+
+  // Default food icon
+  return '🍽️';
+}
@@ -1,86 +1,75 @@
 // Inventory module - categories, items with auto-icon
 
 import { z } from 'zod';
-import { Router, Response, Request } from 'express';
+import express, { Router, Response, Request } from 'express';
+import { Prisma } from '@prisma/client';
 import { Decimal } from '@prisma/client/runtime/library';
 import { prisma } from '../../config/index.js';
-import { NotFoundError, ForbiddenError } from '../../common/errors.js';
+import { NotFoundError, ForbiddenError, ConflictError } from '../../common/errors.js';
 import { validate, authenticate, requireRole, optionalAuth } from '../../common/middleware/index.js';
 import { sendSuccess, sendCreated, sendNoContent } from '../../common/utils/index.js';
+import { fetchAutoIcon } from './icons.js';
+import { scheduleColumn } from './availability.js';
+import {
+  createCategorySchema,
+  updateCategorySchema,
+  createItemSchema,
+  updateItemSchema,
+} from './catalog.js';
+import {
+  StockService,
+  recordMovement,
+  availabilityForStock,
+  MovementContext,
+  StockSubject,
+  restockSchema,
+  stockCountSchema,
+  stockAdjustmentSchema,
+  stockMovementsQuerySchema,
+  stockReportQuerySchema,
+} from './stock.js';
+import { StockAlertService, listStockAlertsQuerySchema, snoozeStockAlertSchema } from './alerts.js';
+import { IngredientService, createIngredientSchema, updateIngredientSchema, setRecipeSchema } from './ingredients.js';
+import {
+  StockLocationService,
+  createStockLocationSchema,
+  updateStockLocationSchema,
+  stockTransferSchema,
+  stockTransfersQuerySchema,
+} from './locations.js';
+import { MenuService, menuImportQuerySchema, menuExportQuerySchema } from './menu.js';
+import { SupplierService, createSupplierSchema, updateSupplierSchema, setSupplierItemsSchema } from './suppliers.js';
+import {
+  PurchaseOrderService,
+  createPurchaseOrderSchema,
+  updatePurchaseOrderSchema,
+  receivePurchaseOrderSchema,
+  listPurchaseOrdersQuerySchema,
+  suggestedPurchaseOrdersQuerySchema,
+} from './purchase-orders.js';
+import { MediaService, imageUpload } from '../media/index.js';
 
 // ============================================
 // SCHEMAS
 // ============================================
 
-export const createCategorySchema = z.object({
-  name: z.string().min(1).max(100),
-  description: z.string().max(500).optional(),
-  icon: z.string().optional(),
-  sortOrder: z.number().int().default(0),
-  isActive: z.boolean().default(true),
-});
-
-export const updateCategorySchema = createCategorySchema.partial();
-
-export const createItemSchema = z.object({
-  name: z.string().min(1).max(100),
-  description: z.string().max(500).optional(),
-  categoryId: z.string().uuid(),
-  price: z.number().min(0).default(0),
-  isFree: z.boolean().default(false),
-  image: z.string().url().optional(),
-  stock: z.number().int().min(0).optional(),
-  lowStockThreshold: z.number().int().min(0).default(5),
-  options: z.record(z.array(z.string())).optional(), // { "size": ["S", "M"], "sugar": ["Low", "Medium"] }
-  isActive: z.boolean().default(true),
-});
-
-export const updateItemSchema = createItemSchema.partial();
-
-// ============================================
-// AUTO ICON SERVICE
-// ============================================
-
-async function fetchAutoIcon(itemName: string): Promise<string | null> {
-  // Simple icon mapping for common items
-  const iconMap: Record<string, string> = {
-    coffee: '☕',
-    tea: '🍵',
-    water: '💧',
-    juice: '🧃',
-    soda: '🥤',
-    cookie: '🍪',
-    cake: '🍰',
-    sandwich: '🥪',
-    pizza: '🍕',
-    burger: '🍔',
-    salad: '🥗',
-    fruit: '🍎',
-    snack: '🍿',
-    chips: '🍟',
-    candy: '🍬',
-    chocolate: '🍫',
-  };
-
-  const lowerName = itemName.toLowerCase();
-  for (const [key, emoji] of Object.entries(iconMap)) {
-    if (lowerName.includes(key)) {
-      return emoji;
-    }
-  }
-
-  // Default food icon
-  return '🍽️';
-}
+export {
+  createCategorySchema,
+  updateCategorySchema,
+  createItemSchema,
+  updateItemSchema,
+} from './catalog.js';
 
 // ============================================
 // CATEGORY SERVICE
 // ============================================
 
 export class CategoryService {
+  private mediaService = new MediaService();
+
   async create(orgId: string, data: z.infer<typeof createCategorySchema>) {
     return prisma.category.create({
-      data: { ...data, organizationId: orgId },
+      data: { ...data, availability: scheduleColumn(data.availability), organizationId: orgId },
     });
   }
 
@@ -112,12 +101,43 @@ export class CategoryService {
 
   async update(id: string, orgId: string, data: z.infer<typeof updateCategorySchema>) {
     await this.findById(id, orgId);
-    return prisma.category.update({ where: { id }, data });
+    return prisma.category.update({
+      where: { id },
+      data: { ...data, availability: scheduleColumn(data.availability) },
+    });
   }
 
   async delete(id: string, orgId: string) {
     await this.findById(id, orgId);
-    await prisma.category.delete({ where: { id } });
+
+    const images = await prisma.item.findMany({ where: { categoryId: id, imageId: { not: null } }, select: { imageId: true } });
+    const category = await prisma.category.delete({ where: { id } });
+
+    for (const imageId of [category.imageId, ...images.map((item) => item.imageId)]) {
+      await this.mediaService.remove(imageId);
+    }
+  }
+
+  async setImage(id: string, orgId: string, file: Express.Multer.File | undefined) {
+    const category = await this.findById(id, orgId);
+    const image = await this.mediaService.upload(orgId, 'categories', file);
+
+    const updated = await prisma.category.update({
+      where: { id },
+      data: { image: image.url, imageId: image.id },
+      include: { uploadedImage: true },
+    });
+
+    await this.mediaService.remove(category.imageId);
+    return updated;
+  }
+
+  async removeImage(id: string, orgId: string) {
+    const category = await this.findById(id, orgId);
+    const updated = await prisma.category.update({ where: { id }, data: { image: null, imageId: null } });
+
+    await this.mediaService.remove(category.imageId);
+    return updated;
   }
 }
 
@@ -126,7 +146,10 @@ export class CategoryService {
 // ============================================
 
 export class ItemService {
-  async create(orgId: string, data: z.infer<typeof createItemSchema>) {
+  private alertService = new StockAlertService();
+  private mediaService = new MediaService();
+
+  async create(orgId: string, data: z.infer<typeof createItemSchema>, actorId?: string) {
     // Verify category belongs to org
     const category = await prisma.category.findUnique({
       where: { id: data.categoryId },
@@ -142,14 +165,36 @@ export class ItemService {
       icon = await fetchAutoIcon(data.name);
     }
 
-    return prisma.item.create({
-      data: {
-        ...data,
-        price: new Decimal(data.price),
-        icon,
-        autoIcon: !data.image,
-      },
+    const created = await prisma.$transaction(async (tx) => {
+      const item = await tx.item.create({
+        data: {
+          ...data,
+          price: new Decimal(data.price),
+          availability: scheduleColumn(data.availability),
+          icon,
+          autoIcon: !data.image,
+        },
+      });
+
+      if (item.stock !== null) {
+        // Organizations with locations receive new stock at the default one
+        const location = await tx.stockLocation.findFirst({ where: { organizationId: orgId, isDefault: true, archivedAt: null } });
+        if (location) {
+          await tx.locationStock.create({ data: { locationId: location.id, itemId: item.id, stock: item.stock } });
+        }
+
+        await recordMovement(tx, { kind: 'item', id: item.id }, 'COUNT', item.stock, item.stock, {
+          actorId,
+          reason: 'Opening stock',
+          locationId: location?.id,
+        });
+      }
+
+      return item;
     });
+
+    this.alertService.checkSoon([created.id]);
+    return created;
   }
 
   async findByCategory(categoryId: string, includeUnavailable = false) {
@@ -182,7 +227,7 @@ export class ItemService {
   async findById(id: string) {
     const item = await prisma.item.findUnique({
       where: { id },
-      include: { category: true },
+      include: { category: true, uploadedImage: true },
     });
 
     if (!item) {
@@ -205,14 +250,28 @@ export class ItemService {
       icon = await fetchAutoIcon(data.name);
     }
 
-    return prisma.item.update({
+    // An external URL replaces an uploaded image
+    const replacesUpload = Boolean(data.image && item.imageId && data.image !== item.image);
+
+    const updated = await prisma.item.update({
       where: { id },
       data: {
         ...data,
         ...(data.price !== undefined && { price: new Decimal(data.price) }),
+        availability: scheduleColumn(data.availability),
         icon,
+        ...(replacesUpload && { imageId: null }),
       },
     });
+
+    if (replacesUpload) {
+      await this.mediaService.remove(item.imageId);
+    }
+    if (data.lowStockThreshold !== undefined) {
+      this.alertService.checkSoon([id]);
+    }
+
+    return updated;
   }
 
   async delete(id: string, orgId: string) {
@@ -223,21 +282,167 @@ export class ItemService {
     }
 
     await prisma.item.delete({ where: { id } });
+    await this.mediaService.remove(item.imageId);
   }
 
-  async updateStock(id: string, quantity: number) {
+  async setImage(id: string, orgId: string, file: Express.Multer.File | undefined) {
     const item = await this.findById(id);
 
-    if (item.stock === null) return item; // Unlimited stock
+    if (item.category.organizationId !== orgId) {
+      throw new ForbiddenError('Cannot update item from different organization');
+    }
 
-    const newStock = Math.max(0, item.stock + quantity);
-    return prisma.item.update({
+    const image = await this.mediaService.upload(orgId, 'items', file);
+    const updated = await prisma.item.update({
       where: { id },
-      data: {
-        stock: newStock,
-        isAvailable: newStock > 0,
-      },
+      data: { image: image.url, imageId: image.id, autoIcon: false },
+      include: { uploadedImage: true },
+    });
+
+    await this.mediaService.remove(item.imageId);
+    return updated;
+  }
+
+  // Back to the auto icon
+  async removeImage(id: string, orgId: string) {
+    const item = await this.findById(id);
+
+    if (item.category.organizationId !== orgId) {
+      throw new ForbiddenError('Cannot update item from different organization');
+    }
+
+    const updated = await prisma.item.update({
+      where: { id },
+      data: { image: null, imageId: null, autoIcon: true, icon: item.icon ?? await fetchAutoIcon(item.name) },
+    });
+
+    await this.mediaService.remove(item.imageId);
+    return updated;
+  }
+
+  // Takes stock for an order inside the caller's transaction. The decrement is
+  // conditional, so it fails instead of going negative under concurrency.
+  async reserveStock(db: Prisma.TransactionClient, id: string, quantity: number, context: MovementContext = {}) {
+    if (context.locationId) {
+      return this.reserveAtLocation(db, id, quantity, context.locationId, context);
+    }
+
+    const { count } = await db.item.updateMany({
+      where: { id, stock: { gte: quantity } },
+      data: { stock: { decrement: quantity } },
     });
+
+    if (count === 0) {
+      const item = await db.item.findUnique({ where: { id } });
+
+      if (!item) {
+        throw new NotFoundError('Item not found');
+      }
+      if (item.stock === null) return; // Unlimited stock
+
+      throw new ConflictError(
+        item.stock > 0
+          ? `Insufficient stock for "${item.name}" (only ${item.stock} left)`
+          : `"${item.name}" is out of stock`
+      );
+    }
+
+    // The row stays locked until commit, so this reads our own decrement
+    const { stock } = await db.item.findUniqueOrThrow({ where: { id }, select: { stock: true } });
+    await recordMovement(db, { kind: 'item', id }, 'CONSUMPTION', -quantity, stock!, context);
+
+    // Hide the item once the last unit is taken
+    if (stock === 0) {
+      await db.item.update({ where: { id }, data: { isAvailable: false } });
+    }
+  }
+
+  // Puts reserved stock back, e.g. when an order is cancelled or amended
+  async releaseStock(db: Prisma.TransactionClient, id: string, quantity: number, context: MovementContext = {}) {
+    if (context.locationId) {
+      return this.releaseAtLocation(db, id, quantity, context.locationId, context);
+    }
+
+    const { count } = await db.item.updateMany({
+      where: { id, stock: { not: null } },
+      data: { stock: { increment: quantity } },
+    });
+    if (count === 0) return; // Unlimited stock
+
+    const { stock } = await db.item.findUniqueOrThrow({ where: { id }, select: { stock: true } });
+    const availability = await availabilityForStock(db, id, stock! - quantity, stock!);
+    if (availability.isAvailable !== undefined) {
+      await db.item.update({ where: { id }, data: availability });
+    }
+    await recordMovement(db, { kind: 'item', id }, 'RETURN', quantity, stock!, context);
+  }
+
+  // Location stock is taken under the item's row lock, like restocks and
+  // transfers, and the item's total follows it. The item is only hidden
+  // everywhere once no location has any left.
+  private async reserveAtLocation(
+    db: Prisma.TransactionClient,
+    id: string,
+    quantity: number,
+    locationId: string,
+    context: MovementContext
+  ) {
+    const item = await this.lockItem(db, id);
+    if (item.stock === null) return; // Unlimited stock
+
+    const key = { locationId_itemId: { locationId, itemId: id } };
+    const held = (await db.locationStock.findUnique({ where: key }))?.stock ?? 0;
+
+    if (held < quantity) {
+      throw new ConflictError(
+        held > 0
+          ? `Insufficient stock for "${item.name}" (only ${held} left here)`
+          : `"${item.name}" is out of stock here`
+      );
+    }
+
+    const { stock } = await db.locationStock.update({ where: key, data: { stock: held - quantity } });
+    const total = item.stock - quantity;
+    await db.item.update({
+      where: { id },
+      data: { stock: total, ...(total === 0 && { isAvailable: false }) },
+    });
+    await recordMovement(db, { kind: 'item', id }, 'CONSUMPTION', -quantity, stock, context);
+  }
+
+  private async releaseAtLocation(
+    db: Prisma.TransactionClient,
+    id: string,
+    quantity: number,
+    locationId: string,
+    context: MovementContext
+  ) {
+    const item = await this.lockItem(db, id);
+    if (item.stock === null) return; // Unlimited stock
+
+    const { stock } = await db.locationStock.upsert({
+      where: { locationId_itemId: { locationId, itemId: id } },
+      create: { locationId, itemId: id, stock: quantity },
+      update: { stock: { increment: quantity } },
+    });
+    const total = item.stock + quantity;
+    await db.item.update({
+      where: { id },
+      data: { stock: total, ...(await availabilityForStock(db, id, item.stock, total)) },
+    });
+    await recordMovement(db, { kind: 'item', id }, 'RETURN', quantity, stock, context);
+  }
+
+  private async lockItem(db: Prisma.TransactionClient, id: string) {
+    const [item] = await db.$queryRaw<Array<{ name: string; stock: number | null }>>`
+      SELECT "name", "stock" FROM "Item" WHERE "id" = ${id} FOR UPDATE
+    `;
+
+    if (!item) {
+      throw new NotFoundError('Item not found');
+    }
+
+    return item;
   }
 }
 
@@ -248,7 +453,14 @@ export class ItemService {
 export class InventoryController {
   constructor(
     private categoryService = new CategoryService(),
-    private itemService = new ItemService()
+    private itemService = new ItemService(),
+    private stockService = new StockService(),
+    private alertService = new StockAlertService(),
+    private ingredientService = new IngredientService(),
+    private locationService = new StockLocationService(),
+    private menuService = new MenuService(),
+    private supplierService = new SupplierService(),
+    private purchaseOrderService = new PurchaseOrderService()
   ) { }
 
   // Categories
@@ -283,10 +495,22 @@ export class InventoryController {
     sendNoContent(res);
   };
 
+  setCategoryImage = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const category = await this.categoryService.setImage(req.params.id, req.user.organizationId, req.file);
+    sendSuccess(res, category);
+  };
+
+  removeCategoryImage = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const category = await this.categoryService.removeImage(req.params.id, req.user.organizationId);
+    sendSuccess(res, category);
+  };
+
   // Items
   createItem = async (req: Request, res: Response) => {
     if (!req.user) throw new ForbiddenError();
-    const item = await this.itemService.create(req.user.organizationId, req.body);
+    const item = await this.itemService.create(req.user.organizationId, req.body, req.user.id);
     sendCreated(res, item);
   };
 
@@ -313,6 +537,265 @@ export class InventoryController {
     await this.itemService.delete(req.params.id, req.user.organizationId);
     sendNoContent(res);
   };
+
+  setItemImage = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const item = await this.itemService.setImage(req.params.id, req.user.organizationId, req.file);
+    sendSuccess(res, item);
+  };
+
+  removeItemImage = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const item = await this.itemService.removeImage(req.params.id, req.user.organizationId);
+    sendSuccess(res, item);
+  };
+
+  // Ingredients & recipes
+  createIngredient = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const ingredient = await this.ingredientService.create(req.user.organizationId, req.body, req.user.id);
+    sendCreated(res, ingredient);
+  };
+
+  listIngredients = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const ingredients = await this.ingredientService.findByOrg(req.user.organizationId);
+    sendSuccess(res, ingredients);
+  };
+
+  getIngredient = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const ingredient = await this.ingredientService.findById(req.params.id, req.user.organizationId);
+    sendSuccess(res, ingredient);
+  };
+
+  updateIngredient = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const ingredient = await this.ingredientService.update(req.params.id, req.user.organizationId, req.body);
+    this.alertService.checkIngredientsSoon([ingredient.id]);
+    sendSuccess(res, ingredient);
+  };
+
+  deleteIngredient = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    await this.ingredientService.delete(req.params.id, req.user.organizationId);
+    sendNoContent(res);
+  };
+
+  getRecipe = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const recipe = await this.ingredientService.getRecipe(req.params.id, req.user.organizationId);
+    sendSuccess(res, recipe);
+  };
+
+  setRecipe = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const recipe = await this.ingredientService.setRecipe(req.params.id, req.user.organizationId, req.body);
+    sendSuccess(res, recipe);
+  };
+
+  // Stock - items and ingredients share the ledger endpoints
+  restock = (kind: StockSubject['kind']) => async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const subject = { kind, id: req.params.id };
+    const movement = await this.stockService.restock(subject, req.user.organizationId, req.body, req.user.id);
+    sendCreated(res, movement);
+  };
+
+  countStock = (kind: StockSubject['kind']) => async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const subject = { kind, id: req.params.id };
+    const movement = await this.stockService.count(subject, req.user.organizationId, req.body, req.user.id);
+    sendCreated(res, movement);
+  };
+
+  adjustStock = (kind: StockSubject['kind']) => async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const subject = { kind, id: req.params.id };
+    const movement = await this.stockService.adjust(subject, req.user.organizationId, req.body, req.user.id);
+    sendCreated(res, movement);
+  };
+
+  listStockMovements = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const query = req.query as unknown as z.infer<typeof stockMovementsQuerySchema>;
+    const result = await this.stockService.findMovements(req.user.organizationId, query);
+    sendSuccess(res, result.movements, 200, { total: result.total });
+  };
+
+  stockReport = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const query = req.query as unknown as z.infer<typeof stockReportQuerySchema>;
+    const report = await this.stockService.report(req.user.organizationId, query);
+    sendSuccess(res, report);
+  };
+
+  // Stock locations & transfers
+  createLocation = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const location = await this.locationService.create(req.user.organizationId, req.body, req.user.id);
+    sendCreated(res, location);
+  };
+
+  listLocations = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const locations = await this.locationService.findByOrg(req.user.organizationId);
+    sendSuccess(res, locations);
+  };
+
+  updateLocation = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const location = await this.locationService.update(req.params.id, req.user.organizationId, req.body);
+    sendSuccess(res, location);
+  };
+
+  deleteLocation = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    await this.locationService.delete(req.params.id, req.user.organizationId);
+    sendNoContent(res);
+  };
+
+  getLocationStock = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const stock = await this.locationService.findStock(req.params.id, req.user.organizationId);
+    sendSuccess(res, stock);
+  };
+
+  transferStock = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const transfer = await this.locationService.transfer(req.user.organizationId, req.body, req.user.id);
+    sendCreated(res, transfer);
+  };
+
+  listTransfers = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const query = req.query as unknown as z.infer<typeof stockTransfersQuerySchema>;
+    const result = await this.locationService.findTransfers(req.user.organizationId, query);
+    sendSuccess(res, result.transfers, 200, { total: result.total });
+  };
+
+  // Menu import & export
+  importMenu = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const query = req.query as unknown as z.infer<typeof menuImportQuerySchema>;
+    const report = await this.menuService.import(req.user.organizationId, req.body, query, req.user.id);
+    sendSuccess(res, report);
+  };
+
+  exportMenu = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const { format } = req.query as unknown as z.infer<typeof menuExportQuerySchema>;
+    await this.menuService.sendExport(res, req.user.organizationId, format);
+  };
+
+  // Suppliers
+  listSuppliers = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const includeInactive = req.query.includeInactive === 'true';
+    const suppliers = await this.supplierService.findByOrg(req.user.organizationId, includeInactive);
+    sendSuccess(res, suppliers);
+  };
+
+  getSupplier = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const supplier = await this.supplierService.findById(req.params.id, req.user.organizationId);
+    sendSuccess(res, supplier);
+  };
+
+  createSupplier = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const supplier = await this.supplierService.create(req.user.organizationId, req.body);
+    sendCreated(res, supplier);
+  };
+
+  updateSupplier = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const supplier = await this.supplierService.update(req.params.id, req.user.organizationId, req.body);
+    sendSuccess(res, supplier);
+  };
+
+  deleteSupplier = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    await this.supplierService.delete(req.params.id, req.user.organizationId);
+    sendNoContent(res);
+  };
+
+  setSupplierItems = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const supplier = await this.supplierService.setItems(req.params.id, req.user.organizationId, req.body);
+    sendSuccess(res, supplier);
+  };
+
+  // Purchase orders
+  listPurchaseOrders = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const query = req.query as unknown as z.infer<typeof listPurchaseOrdersQuerySchema>;
+    const result = await this.purchaseOrderService.findByOrg(req.user.organizationId, query);
+    sendSuccess(res, result.orders, 200, { total: result.total });
+  };
+
+  suggestPurchaseOrders = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const query = req.query as unknown as z.infer<typeof suggestedPurchaseOrdersQuerySchema>;
+    const suggestions = await this.purchaseOrderService.suggest(req.user.organizationId, query);
+    sendSuccess(res, suggestions);
+  };
+
+  getPurchaseOrder = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const order = await this.purchaseOrderService.findById(req.params.id, req.user.organizationId);
+    sendSuccess(res, order);
+  };
+
+  createPurchaseOrder = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const order = await this.purchaseOrderService.create(req.user.organizationId, req.body, req.user.id);
+    sendCreated(res, order);
+  };
+
+  updatePurchaseOrder = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const order = await this.purchaseOrderService.update(req.params.id, req.user.organizationId, req.body);
+    sendSuccess(res, order);
+  };
+
+  sendPurchaseOrder = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const order = await this.purchaseOrderService.send(req.params.id, req.user.organizationId);
+    sendSuccess(res, order);
+  };
+
+  receivePurchaseOrder = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const order = await this.purchaseOrderService.receive(req.params.id, req.user.organizationId, req.body, req.user.id);
+    sendSuccess(res, order);
+  };
+
+  cancelPurchaseOrder = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const order = await this.purchaseOrderService.cancel(req.params.id, req.user.organizationId);
+    sendSuccess(res, order);
+  };
+
+  // Stock alerts
+  listStockAlerts = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const query = req.query as unknown as z.infer<typeof listStockAlertsQuerySchema>;
+    const result = await this.alertService.findByOrg(req.user.organizationId, query);
+    sendSuccess(res, result.alerts, 200, { total: result.total });
+  };
+
+  acknowledgeStockAlert = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const alert = await this.alertService.acknowledge(req.params.id, req.user.organizationId, req.user.id);
+    sendSuccess(res, alert);
+  };
+
+  snoozeStockAlert = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const alert = await this.alertService.snooze(req.params.id, req.user.organizationId, req.user.id, req.body.minutes);
+    sendSuccess(res, alert);
+  };
 }
 
 // ============================================
@@ -329,6 +812,8 @@ export function inventoryRoutes() {
   router.post('/categories', authenticate, requireRole('ADMIN', 'PANTRY'), validate(createCategorySchema), controller.createCategory);
   router.patch('/categories/:id', authenticate, requireRole('ADMIN', 'PANTRY'), validate(updateCategorySchema), controller.updateCategory);
   router.delete('/categories/:id', authenticate, requireRole('ADMIN'), controller.deleteCategory);
+  router.post('/categories/:id/image', authenticate, requireRole('ADMIN', 'PANTRY'), imageUpload(), controller.setCategoryImage);
+  router.delete('/categories/:id/image', authenticate, requireRole('ADMIN', 'PANTRY'), controller.removeCategoryImage);
 
   // Items
   router.get('/items', authenticate, controller.listItems);
@@ -336,6 +821,70 @@ export function inventoryRoutes() {
   router.post('/items', authenticate, requireRole('ADMIN', 'PANTRY'), validate(createItemSchema), controller.createItem);
   router.patch('/items/:id', authenticate, requireRole('ADMIN', 'PANTRY'), validate(updateItemSchema), controller.updateItem);
   router.delete('/items/:id', authenticate, requireRole('ADMIN'), controller.deleteItem);
+  router.post('/items/:id/image', authenticate, requireRole('ADMIN', 'PANTRY'), imageUpload(), controller.setItemImage);
+  router.delete('/items/:id/image', authenticate, requireRole('ADMIN', 'PANTRY'), controller.removeItemImage);
+
+  // Recipes
+  router.get('/items/:id/recipe', authenticate, requireRole('ADMIN', 'PANTRY'), controller.getRecipe);
+  router.put('/items/:id/recipe', authenticate, requireRole('ADMIN'), validate(setRecipeSchema), controller.setRecipe);
+
+  // Ingredients
+  router.get('/ingredients', authenticate, requireRole('ADMIN', 'PANTRY'), controller.listIngredients);
+  router.get('/ingredients/:id', authenticate, requireRole('ADMIN', 'PANTRY'), controller.getIngredient);
+  router.post('/ingredients', authenticate, requireRole('ADMIN'), validate(createIngredientSchema), controller.createIngredient);
+  router.patch('/ingredients/:id', authenticate, requireRole('ADMIN'), validate(updateIngredientSchema), controller.updateIngredient);
+  router.delete('/ingredients/:id', authenticate, requireRole('ADMIN'), controller.deleteIngredient);
+
+  // Stock
+  router.post('/items/:id/restock', authenticate, requireRole('ADMIN', 'PANTRY'), validate(restockSchema), controller.restock('item'));
+  router.post('/items/:id/count', authenticate, requireRole('ADMIN', 'PANTRY'), validate(stockCountSchema), controller.countStock('item'));
+  router.post('/items/:id/adjustments', authenticate, requireRole('ADMIN', 'PANTRY'), validate(stockAdjustmentSchema), controller.adjustStock('item'));
+  router.post('/ingredients/:id/restock', authenticate, requireRole('ADMIN', 'PANTRY'), validate(restockSchema), controller.restock('ingredient'));
+  router.post('/ingredients/:id/count', authenticate, requireRole('ADMIN', 'PANTRY'), validate(stockCountSchema), controller.countStock('ingredient'));
+  router.post('/ingredients/:id/adjustments', authenticate, requireRole('ADMIN', 'PANTRY'), validate(stockAdjustmentSchema), controller.adjustStock('ingredient'));
+  router.get('/stock/movements', authenticate, requireRole('ADMIN', 'PANTRY'), validate(stockMovementsQuerySchema, 'query'), controller.listStockMovements);
+  router.get('/stock/report', authenticate, requireRole('ADMIN'), validate(stockReportQuerySchema, 'query'), controller.stockReport);
+
+  // Stock locations & transfers
+  router.get('/locations', authenticate, requireRole('ADMIN', 'PANTRY'), controller.listLocations);
+  router.post('/locations', authenticate, requireRole('ADMIN'), validate(createStockLocationSchema), controller.createLocation);
+  router.patch('/locations/:id', authenticate, requireRole('ADMIN'), validate(updateStockLocationSchema), controller.updateLocation);
+  router.delete('/locations/:id', authenticate, requireRole('ADMIN'), controller.deleteLocation);
+  router.get('/locations/:id/stock', authenticate, requireRole('ADMIN', 'PANTRY'), controller.getLocationStock);
+  router.get('/transfers', authenticate, requireRole('ADMIN', 'PANTRY'), validate(stockTransfersQuerySchema, 'query'), controller.listTransfers);
+  router.post('/transfers', authenticate, requireRole('ADMIN', 'PANTRY'), validate(stockTransferSchema), controller.transferStock);
+
+  // Menu import & export; CSV arrives as text, JSON through the app's parser
+  router.post(
+    '/import',
+    authenticate,
+    requireRole('ADMIN'),
+    express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }),
+    validate(menuImportQuerySchema, 'query'),
+    controller.importMenu
+  );
+  router.get('/export', authenticate, requireRole('ADMIN'), validate(menuExportQuerySchema, 'query'), controller.exportMenu);
+
+  // Suppliers & purchase orders
+  router.get('/suppliers', authenticate, requireRole('ADMIN', 'PANTRY'), controller.listSuppliers);
+  router.get('/suppliers/:id', authenticate, requireRole('ADMIN', 'PANTRY'), controller.getSupplier);
+  router.post('/suppliers', authenticate, requireRole('ADMIN'), validate(createSupplierSchema), controller.createSupplier);
+  router.patch('/suppliers/:id', authenticate, requireRole('ADMIN'), validate(updateSupplierSchema), controller.updateSupplier);
+  router.delete('/suppliers/:id', authenticate, requireRole('ADMIN'), controller.deleteSupplier);
+  router.put('/suppliers/:id/items', authenticate, requireRole('ADMIN'), validate(setSupplierItemsSchema), controller.setSupplierItems);
+  router.get('/purchase-orders', authenticate, requireRole('ADMIN', 'PANTRY'), validate(listPurchaseOrdersQuerySchema, 'query'), controller.listPurchaseOrders);
+  router.get('/purchase-orders/suggested', authenticate, requireRole('ADMIN'), validate(suggestedPurchaseOrdersQuerySchema, 'query'), controller.suggestPurchaseOrders);
+  router.get('/purchase-orders/:id', authenticate, requireRole('ADMIN', 'PANTRY'), controller.getPurchaseOrder);
+  router.post('/purchase-orders', authenticate, requireRole('ADMIN'), validate(createPurchaseOrderSchema), controller.createPurchaseOrder);
+  router.patch('/purchase-orders/:id', authenticate, requireRole('ADMIN'), validate(updatePurchaseOrderSchema), controller.updatePurchaseOrder);
+  router.post('/purchase-orders/:id/send', authenticate, requireRole('ADMIN'), controller.sendPurchaseOrder);
+  router.post('/purchase-orders/:id/receive', authenticate, requireRole('ADMIN', 'PANTRY'), validate(receivePurchaseOrderSchema), controller.receivePurchaseOrder);
+  router.post('/purchase-orders/:id/cancel', authenticate, requireRole('ADMIN'), controller.cancelPurchaseOrder);
+
+  // Stock alerts
+  router.get('/alerts', authenticate, requireRole('ADMIN', 'PANTRY'), validate(listStockAlertsQuerySchema, 'query'), controller.listStockAlerts);
+  router.post('/alerts/:id/acknowledge', authenticate, requireRole('ADMIN', 'PANTRY'), controller.acknowledgeStockAlert);
+  router.post('/alerts/:id/snooze', authenticate, requireRole('ADMIN', 'PANTRY'), validate(snoozeStockAlertSchema), controller.snoozeStockAlert);
 
   return router;
 }
@@ -0,0 +1,239 @@
+// Ingredients and recipes - raw stock that prepared items consume when ordered
+
+import { z } from 'zod';
+import { IngredientUnit, Prisma } from '@prisma/client';
+import { prisma } from '../../config/index.js';
+import { NotFoundError, BadRequestError, ConflictError } from '../../common/errors.js';
+import { parseItemOptions, SelectedOptions } from './options.js';
+import { recordMovement, refreshRecipeAvailability, MovementContext } from './stock.js';
+
+// ============================================
+// SCHEMAS
+// ============================================
+
+export const createIngredientSchema = z.object({
+  name: z.string().min(1).max(100),
+  unit: z.nativeEnum(IngredientUnit),
+  stock: z.number().int().min(0).optional(), // Omit to leave untracked
+  lowStockThreshold: z.number().int().min(0).default(0),
+});
+
+// Stock only changes through the ledger: restocks, counts and adjustments
+export const updateIngredientSchema = createIngredientSchema.omit({ stock: true }).partial();
+
+export const setRecipeSchema = z.object({
+  lines: z.array(z.object({
+    ingredientId: z.string().uuid(),
+    quantity: z.number().int().min(1).max(100000), // Per unit of the item
+    optionGroup: z.string().optional(),
+    optionChoice: z.string().optional(),
+  }).refine((line) => Boolean(line.optionGroup) === Boolean(line.optionChoice), {
+    message: 'optionGroup and optionChoice go together',
+    path: ['optionChoice'],
+  })).max(50),
+});
+
+// ============================================
+// SERVICE
+// ============================================
+
+export class IngredientService {
+  async create(orgId: string, data: z.infer<typeof createIngredientSchema>, actorId?: string) {
+    await this.assertNameFree(orgId, data.name);
+
+    return prisma.$transaction(async (tx) => {
+      const ingredient = await tx.ingredient.create({ data: { ...data, organizationId: orgId } });
+
+      if (ingredient.stock !== null) {
+        await recordMovement(tx, { kind: 'ingredient', id: ingredient.id }, 'COUNT', ingredient.stock, ingredient.stock, {
+          actorId,
+          reason: 'Opening stock',
+        });
+      }
+
+      return ingredient;
+    });
+  }
+
+  async findByOrg(orgId: string) {
+    return prisma.ingredient.findMany({
+      where: { organizationId: orgId },
+      include: { _count: { select: { recipeLines: true } } },
+      orderBy: { name: 'asc' },
+    });
+  }
+
+  async findById(id: string, orgId: string) {
+    const ingredient = await prisma.ingredient.findUnique({
+      where: { id },
+      include: { recipeLines: { include: { item: { select: { id: true, name: true } } } } },
+    });
+
+    if (!ingredient || ingredient.organizationId !== orgId) {
+      throw new NotFoundError('Ingredient not found');
+    }
+
+    return ingredient;
+  }
+
+  async update(id: string, orgId: string, data: z.infer<typeof updateIngredientSchema>) {
+    const ingredient = await this.findById(id, orgId);
+    if (data.name && data.name !== ingredient.name) {
+      await this.assertNameFree(orgId, data.name);
+    }
+
+    return prisma.ingredient.update({ where: { id }, data });
+  }
+
+  async delete(id: string, orgId: string) {
+    const ingredient = await this.findById(id, orgId);
+
+    if (ingredient.recipeLines.length > 0) {
+      throw new ConflictError(
+        `"${ingredient.name}" is used in recipes for ${ingredient.recipeLines.map((line) => line.item.name).join(', ')}`
+      );
+    }
+
+    await prisma.ingredient.delete({ where: { id } });
+  }
+
+  async getRecipe(itemId: string, orgId: string) {
+    await this.findItem(itemId, orgId);
+
+    return prisma.recipeLine.findMany({
+      where: { itemId },
+      include: { ingredient: { select: { id: true, name: true, unit: true, stock: true } } },
+      orderBy: [{ optionGroup: { sort: 'asc', nulls: 'first' } }, { optionChoice: 'asc' }],
+    });
+  }
+
+  // Replaces the item's recipe. Option lines must name a choice the item offers.
+  async setRecipe(itemId: string, orgId: string, data: z.infer<typeof setRecipeSchema>) {
+    const item = await this.findItem(itemId, orgId);
+    const groups = parseItemOptions(item.options);
+
+    for (const line of data.lines) {
+      if (!line.optionGroup) continue;
+
+      const group = groups.find((candidate) => candidate.name === line.optionGroup);
+      if (!group || !group.choices.some((choice) => choice.name === line.optionChoice)) {
+        throw new BadRequestError(`${item.name} has no option ${line.optionGroup}: ${line.optionChoice}`);
+      }
+    }
+
+    const ingredientIds = [...new Set(data.lines.map((line) => line.ingredientId))];
+    const found = await prisma.ingredient.count({ where: { id: { in: ingredientIds }, organizationId: orgId } });
+    if (found !== ingredientIds.length) {
+      throw new BadRequestError('One or more ingredients were not found');
+    }
+
+    await prisma.$transaction([
+      prisma.recipeLine.deleteMany({ where: { itemId } }),
+      prisma.recipeLine.createMany({
+        data: data.lines.map((line) => ({
+          itemId,
+          ingredientId: line.ingredientId,
+          quantity: line.quantity,
+          optionGroup: line.optionGroup ?? null,
+          optionChoice: line.optionChoice ?? null,
+        })),
+      }),
+    ]);
+
+    return this.getRecipe(itemId, orgId);
+  }
+
+  // Deducts the ingredients for one order line inside the caller's transaction:
+  // the base recipe plus the lines for the options the guest picked
+  async consume(
+    db: Prisma.TransactionClient,
+    line: { itemId: string; quantity: number; options?: SelectedOptions },
+    context: MovementContext = {}
+  ) {
+    const recipe = await db.recipeLine.findMany({
+      where: { itemId: line.itemId },
+      include: { ingredient: true, item: { select: { name: true } } },
+    });
+
+    const needed = new Map<string, { name: string; itemName: string; quantity: number }>();
+    for (const recipeLine of recipe) {
+      if (recipeLine.optionGroup && !isSelected(line.options, recipeLine.optionGroup, recipeLine.optionChoice!)) continue;
+
+      const entry = needed.get(recipeLine.ingredientId) ?? {
+        name: recipeLine.ingredient.name,
+        itemName: recipeLine.item.name,
+        quantity: 0,
+      };
+      entry.quantity += recipeLine.quantity * line.quantity;
+      needed.set(recipeLine.ingredientId, entry);
+    }
+
+    for (const [ingredientId, { name, itemName, quantity }] of needed) {
+      // Conditional like reserveStock, so two orders cannot share the last of it
+      const { count } = await db.ingredient.updateMany({
+        where: { id: ingredientId, stock: { gte: quantity } },
+        data: { stock: { decrement: quantity } },
+      });
+
+      if (count === 0) {
+        const ingredient = await db.ingredient.findUniqueOrThrow({ where: { id: ingredientId } });
+        if (ingredient.stock === null) continue; // Untracked
+
+        throw new ConflictError(`Not enough ${name} left to make ${itemName}`);
+      }
+
+      const { stock } = await db.ingredient.findUniqueOrThrow({ where: { id: ingredientId }, select: { stock: true } });
+      await recordMovement(db, { kind: 'ingredient', id: ingredientId }, 'CONSUMPTION', -quantity, stock!, context);
+      await refreshRecipeAvailability(db, ingredientId, stock! + quantity, stock!);
+    }
+  }
+
+  // Puts back whatever the order still holds according to the ledger, so a
+  // recipe edited since the order was placed returns exactly what was taken
+  async returnForOrder(db: Prisma.TransactionClient, orderId: string, context: MovementContext = {}) {
+    const held = await db.stockMovement.groupBy({
+      by: ['ingredientId'],
+      where: { orderId, ingredientId: { not: null } },
+      _sum: { quantity: true },
+    });
+
+    for (const row of held) {
+      const quantity = -(row._sum.quantity ?? 0);
+      if (quantity <= 0) continue;
+
+      const ingredient = await db.ingredient.update({
+        where: { id: row.ingredientId! },
+        data: { stock: { increment: quantity } },
+      });
+      await recordMovement(db, { kind: 'ingredient', id: ingredient.id }, 'RETURN', quantity, ingredient.stock!, {
+        ...context,
+        orderId,
+      });
+      await refreshRecipeAvailability(db, ingredient.id, ingredient.stock! - quantity, ingredient.stock!);
+    }
+  }
+
+  private async findItem(itemId: string, orgId: string) {
+    const item = await prisma.item.findUnique({ where: { id: itemId }, include: { category: true } });
+
+    if (!item || item.category.organizationId !== orgId) {
+      throw new NotFoundError('Item not found');
+    }
+
+    return item;
+  }
+
+  private async assertNameFree(orgId: string, name: string) {
+    const existing = await prisma.ingredient.findUnique({
+      where: { organizationId_name: { organizationId: orgId, name } },
+    });
+    if (existing) {
+      throw new ConflictError('An ingredient with this name already exists');
+    }
+  }
+}
+
+function isSelected(options: SelectedOptions | undefined, group: string, choice: string) {
+  const selected = options?.[group];
+  return Array.isArray(selected) ? selected.includes(choice) : selected === choice;
+}
@@ -0,0 +1,352 @@
+// Stock locations - pantries that keep their own stock, the spaces they serve
+// and transfers between them
+
+import { z } from 'zod';
+import { Prisma } from '@prisma/client';
+import { prisma } from '../../config/index.js';
+import { NotFoundError, BadRequestError, ConflictError } from '../../common/errors.js';
+import { recordMovement } from './stock.js';
+import { StockAlertService } from './alerts.js';
+
+// ============================================
+// SCHEMAS
+// ============================================
+
+export const createStockLocationSchema = z.object({
+  name: z.string().min(2).max(100),
+  isDefault: z.boolean().optional(), // The first location is always the default
+  spaceIds: z.array(z.string().uuid()).max(500).default([]),
+});
+
+export const updateStockLocationSchema = createStockLocationSchema.partial();
+
+export const stockTransferSchema = z
+  .object({
+    itemId: z.string().uuid(),
+    fromLocationId: z.string().uuid(),
+    toLocationId: z.string().uuid(),
+    quantity: z.number().int().min(1).max(100000),
+    reason: z.string().max(500).optional(),
+  })
+  .refine((data) => data.fromLocationId !== data.toLocationId, {
+    message: 'Choose two different locations',
+    path: ['toLocationId'],
+  });
+
+export const stockTransfersQuerySchema = z.object({
+  itemId: z.string().uuid().optional(),
+  locationId: z.string().uuid().optional(), // Sent or received
+  limit: z.coerce.number().int().min(1).max(200).default(50),
+  offset: z.coerce.number().int().min(0).default(0),
+});
+
+// ============================================
+// SERVICE
+// ============================================
+
+const locationInclude = {
+  spaces: { select: { id: true, name: true } },
+} satisfies Prisma.StockLocationInclude;
+
+const transferInclude = {
+  item: { select: { id: true, name: true } },
+  fromLocation: { select: { id: true, name: true } },
+  toLocation: { select: { id: true, name: true } },
+  actor: { select: { id: true, name: true } },
+} satisfies Prisma.StockTransferInclude;
+
+export class StockLocationService {
+  private alertService = new StockAlertService();
+
+  // The first location becomes the default and takes over the stock the
+  // organization already holds, so item totals and location stock agree
+  async create(orgId: string, data: z.infer<typeof createStockLocationSchema>, actorId?: string) {
+    const { spaceIds, ...location } = data;
+    await this.assertNameFree(orgId, data.name);
+    await this.assertSpaces(orgId, spaceIds);
+
+    const created = await prisma.$transaction(async (tx) => {
+      const existing = await tx.stockLocation.count({ where: { organizationId: orgId, archivedAt: null } });
+      const isDefault = existing === 0 || Boolean(location.isDefault);
+
+      if (isDefault) {
+        await tx.stockLocation.updateMany({ where: { organizationId: orgId }, data: { isDefault: false } });
+      }
+
+      const saved = await tx.stockLocation.create({
+        data: { name: location.name, isDefault, organizationId: orgId },
+      });
+      await tx.space.updateMany({
+        where: { id: { in: spaceIds }, organizationId: orgId },
+        data: { stockLocationId: saved.id },
+      });
+
+      if (existing === 0) {
+        await this.allocateExistingStock(tx, orgId, saved, actorId);
+      }
+
+      return saved;
+    });
+
+    return this.findById(created.id, orgId);
+  }
+
+  async findByOrg(orgId: string) {
+    return prisma.stockLocation.findMany({
+      where: { organizationId: orgId, archivedAt: null },
+      include: { ...locationInclude, _count: { select: { stock: { where: { stock: { gt: 0 } } } } } },
+      orderBy: [{ isDefault: 'desc' }, { name: 'asc' }],
+    });
+  }
+
+  async findById(id: string, orgId: string) {
+    const location = await prisma.stockLocation.findUnique({ where: { id }, include: locationInclude });
+
+    if (!location || location.organizationId !== orgId || location.archivedAt) {
+      throw new NotFoundError('Stock location not found');
+    }
+
+    return location;
+  }
+
+  async update(id: string, orgId: string, data: z.infer<typeof updateStockLocationSchema>) {
+    const location = await this.findById(id, orgId);
+    const { spaceIds, ...changes } = data;
+
+    if (changes.name && changes.name !== location.name) {
+      await this.assertNameFree(orgId, changes.name);
+    }
+    if (changes.isDefault === false && location.isDefault) {
+      throw new BadRequestError('Make another location the default instead');
+    }
+    if (spaceIds) {
+      await this.assertSpaces(orgId, spaceIds);
+    }
+
+    await prisma.$transaction(async (tx) => {
+      if (changes.isDefault) {
+        await tx.stockLocation.updateMany({ where: { organizationId: orgId }, data: { isDefault: false } });
+      }
+
+      await tx.stockLocation.update({ where: { id }, data: changes });
+
+      if (spaceIds) {
+        await tx.space.updateMany({
+          where: { stockLocationId: id, id: { notIn: spaceIds } },
+          data: { stockLocationId: null },
+        });
+        await tx.space.updateMany({
+          where: { id: { in: spaceIds }, organizationId: orgId },
+          data: { stockLocationId: id },
+        });
+      }
+    });
+
+    return this.findById(id, orgId);
+  }
+
+  // Only empty locations can go; their spaces fall back to the default. Once
+  // the ledger refers to a location it is archived instead of deleted, so past
+  // movements and transfers keep showing where they happened.
+  async delete(id: string, orgId: string) {
+    const location = await this.findById(id, orgId);
+
+    const others = await prisma.stockLocation.count({
+      where: { organizationId: orgId, id: { not: id }, archivedAt: null },
+    });
+    if (location.isDefault && others > 0) {
+      throw new BadRequestError('Make another location the default before deleting this one');
+    }
+
+    const holding = await prisma.locationStock.count({ where: { locationId: id, stock: { gt: 0 } } });
+    if (holding > 0) {
+      throw new ConflictError(`${location.name} still holds stock of ${holding} items; transfer or count it out first`);
+    }
+
+    // Cancelling these would put their stock back here
+    const open = await prisma.order.count({
+      where: { stockLocationId: id, status: { in: ['PENDING', 'ACCEPTED', 'PREPARING'] } },
+    });
+    if (open > 0) {
+      throw new ConflictError(`${location.name} still has ${open} open orders; deliver or cancel them first`);
+    }
+
+    const movements = await prisma.stockMovement.count({ where: { locationId: id } });
+    if (movements === 0) {
+      await prisma.stockLocation.delete({ where: { id } });
+      return;
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.space.updateMany({ where: { stockLocationId: id }, data: { stockLocationId: null } });
+      // Every row is zero by now; without them no new alerts are raised here
+      await tx.locationStock.deleteMany({ where: { locationId: id } });
+      await tx.stockAlert.updateMany({
+        where: { locationId: id, resolvedAt: null },
+        data: { status: 'RESOLVED', resolvedAt: new Date(), openKey: null, snoozedUntil: null },
+      });
+      await tx.stockLocation.update({ where: { id }, data: { archivedAt: new Date(), isDefault: false } });
+    });
+  }
+
+  async findStock(id: string, orgId: string) {
+    await this.findById(id, orgId);
+
+    const rows = await prisma.locationStock.findMany({
+      where: { locationId: id },
+      include: {
+        item: {
+          select: {
+            id: true,
+            name: true,
+            icon: true,
+            image: true,
+            lowStockThreshold: true,
+            category: { select: { id: true, name: true } },
+          },
+        },
+      },
+      orderBy: { item: { name: 'asc' } },
+    });
+
+    return rows.map(({ item, stock }) => ({ item, stock, isLow: stock <= item.lowStockThreshold }));
+  }
+
+  // Moves stock between two locations. The item's total does not change; the
+  // ledger gets a movement out of one and into the other.
+  async transfer(orgId: string, data: z.infer<typeof stockTransferSchema>, actorId?: string) {
+    const result = await prisma.$transaction(async (tx) => {
+      const [item] = await tx.$queryRaw<Array<{ name: string; stock: number | null }>>`
+        SELECT i."name", i."stock"
+        FROM "Item" i
+        JOIN "Category" c ON c."id" = i."categoryId"
+        WHERE i."id" = ${data.itemId} AND c."organizationId" = ${orgId}
+        FOR UPDATE OF i
+      `;
+
+      if (!item) {
+        throw new NotFoundError('Item not found');
+      }
+      if (item.stock === null) {
+        throw new BadRequestError(`Stock is not tracked for "${item.name}"`);
+      }
+
+      const locations = await tx.stockLocation.findMany({
+        where: { id: { in: [data.fromLocationId, data.toLocationId] }, organizationId: orgId, archivedAt: null },
+      });
+      const from = locations.find((location) => location.id === data.fromLocationId);
+      const to = locations.find((location) => location.id === data.toLocationId);
+      if (!from || !to) {
+        throw new NotFoundError('Stock location not found');
+      }
+
+      const fromKey = { locationId_itemId: { locationId: from.id, itemId: data.itemId } };
+      const held = (await tx.locationStock.findUnique({ where: fromKey }))?.stock ?? 0;
+      if (held < data.quantity) {
+        throw new BadRequestError(`Only ${held} "${item.name}" at ${from.name}`);
+      }
+
+      const transfer = await tx.stockTransfer.create({
+        data: {
+          itemId: data.itemId,
+          fromLocationId: from.id,
+          toLocationId: to.id,
+          quantity: data.quantity,
+          reason: data.reason,
+          actorId,
+        },
+        include: transferInclude,
+      });
+
+      const sent = await tx.locationStock.update({ where: fromKey, data: { stock: held - data.quantity } });
+      const received = await tx.locationStock.upsert({
+        where: { locationId_itemId: { locationId: to.id, itemId: data.itemId } },
+        create: { locationId: to.id, itemId: data.itemId, stock: data.quantity },
+        update: { stock: { increment: data.quantity } },
+      });
+
+      const subject = { kind: 'item' as const, id: data.itemId };
+      const context = { actorId, reason: data.reason, transferId: transfer.id };
+      await recordMovement(tx, subject, 'TRANSFER_OUT', -data.quantity, sent.stock, { ...context, locationId: from.id });
+      await recordMovement(tx, subject, 'TRANSFER_IN', data.quantity, received.stock, { ...context, locationId: to.id });
+
+      return transfer;
+    });
+
+    this.alertService.checkSoon([data.itemId]);
+    return result;
+  }
+
+  async findTransfers(orgId: string, query: z.infer<typeof stockTransfersQuerySchema>) {
+    const where: Prisma.StockTransferWhereInput = {
+      item: { category: { organizationId: orgId } },
+      ...(query.itemId && { itemId: query.itemId }),
+      ...(query.locationId && {
+        OR: [{ fromLocationId: query.locationId }, { toLocationId: query.locationId }],
+      }),
+    };
+
+    const [transfers, total] = await Promise.all([
+      prisma.stockTransfer.findMany({
+        where,
+        include: transferInclude,
+        orderBy: { createdAt: 'desc' },
+        take: query.limit,
+        skip: query.offset,
+      }),
+      prisma.stockTransfer.count({ where }),
+    ]);
+
+    return { transfers, total };
+  }
+
+  // Recorded as transfers from "no location", so each location's ledger adds
+  // up to what it holds
+  private async allocateExistingStock(
+    tx: Prisma.TransactionClient,
+    orgId: string,
+    location: { id: string; name: string },
+    actorId?: string
+  ) {
+    const items = await tx.$queryRaw<Array<{ id: string; stock: number }>>`
+      SELECT i."id", i."stock"
+      FROM "Item" i
+      JOIN "Category" c ON c."id" = i."categoryId"
+      WHERE c."organizationId" = ${orgId} AND i."stock" > 0
+      FOR UPDATE OF i
+    `;
+
+    const reason = `Allocated to ${location.name}`;
+
+    for (const item of items) {
+      await tx.locationStock.create({ data: { locationId: location.id, itemId: item.id, stock: item.stock } });
+
+      const transfer = await tx.stockTransfer.create({
+        data: { itemId: item.id, toLocationId: location.id, quantity: item.stock, reason, actorId },
+      });
+
+      const subject = { kind: 'item' as const, id: item.id };
+      const context = { actorId, reason, transferId: transfer.id };
+      await recordMovement(tx, subject, 'TRANSFER_OUT', -item.stock, 0, context);
+      await recordMovement(tx, subject, 'TRANSFER_IN', item.stock, item.stock, { ...context, locationId: location.id });
+    }
+  }
+
+  private async assertNameFree(orgId: string, name: string) {
+    const existing = await prisma.stockLocation.findUnique({
+      where: { organizationId_name: { organizationId: orgId, name } },
+    });
+    if (existing) {
+      throw new ConflictError(existing.archivedAt
+        ? 'An archived stock location has this name'
+        : 'A stock location with this name already exists');
+    }
+  }
+
+  private async assertSpaces(orgId: string, spaceIds: string[]) {
+    const found = await prisma.space.count({ where: { id: { in: spaceIds }, organizationId: orgId } });
+    if (found !== new Set(spaceIds).size) {
+      throw new BadRequestError('One or more spaces were not found');
+    }
+  }
+}
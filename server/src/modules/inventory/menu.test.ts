@@ -0,0 +1,89 @@
+import { describe, it, expect, vi } from 'vitest';
+import { MenuService } from './menu.js';
+
+// One category and one item already on the menu
+vi.mock('../../config/index.js', () => ({
+  prisma: {
+    category: { findMany: async () => [{ id: 'category-1', externalKey: 'drinks' }] },
+    item: { findMany: async () => [{ id: 'item-1', externalKey: 'chai', stock: null, image: null }] },
+  },
+}));
+vi.mock('../media/index.js', () => ({ MediaService: class {}, imageUpload: {} }));
+
+const service = new MenuService();
+
+function dryRun(body: unknown) {
+  return service.import('org-1', body, { dryRun: true });
+}
+
+describe('menu import rows', () => {
+  it('reports what a JSON menu would create and update', async () => {
+    const report = await dryRun({
+      categories: [{ key: 'snacks', name: 'Snacks' }],
+      items: [
+        { key: 'chai', name: 'Masala chai', category: 'drinks', price: 30 },
+        { key: 'samosa', name: 'Samosa', category: 'snacks', price: 20 },
+      ],
+    });
+
+    expect(report.errors).toEqual([]);
+    expect(report.categories).toEqual({ created: ['snacks'], updated: [] });
+    expect(report.items).toEqual({ created: ['samosa'], updated: ['chai'] });
+  });
+
+  it('reports every bad row with its position and field', async () => {
+    const report = await dryRun({
+      categories: [{ key: 'bad key', name: 'Snacks' }],
+      items: [
+        { key: 'samosa', name: 'Samosa', category: 'drinks', price: -1 },
+        { key: 'vada', name: 'Vada', category: 'lunch' },
+        { key: 'vada', name: 'Vada again', category: 'drinks' },
+      ],
+    });
+
+    expect(report.errors).toEqual([
+      expect.objectContaining({ section: 'categories', row: 1, key: 'bad key', field: 'key' }),
+      expect.objectContaining({ section: 'items', row: 1, key: 'samosa', field: 'price' }),
+      { section: 'items', row: 2, key: 'vada', field: 'category', message: 'No category with key "lunch"' },
+      { section: 'items', row: 3, key: 'vada', field: 'key', message: 'Key "vada" appears more than once' },
+    ]);
+  });
+
+  it('reads one item per CSV row with its category alongside', async () => {
+    const csv = [
+      'categoryKey,categoryName,key,name,price,isFree,allergens,options',
+      'snacks,Snacks,samosa,Samosa,20,no,"GLUTEN,PEANUTS",',
+      'snacks,,vada,Vada,15,yes,,',
+      'drinks,,chai,Masala chai,30,,,"[{""name"":""Sugar"",""choices"":[{""name"":""None""}]}]"',
+    ].join('\n');
+
+    const report = await dryRun(csv);
+
+    expect(report.errors).toEqual([]);
+    expect(report.categories).toEqual({ created: ['snacks'], updated: [] });
+    expect(report.items).toEqual({ created: ['samosa', 'vada'], updated: ['chai'] });
+  });
+
+  it('reports CSV cells that do not parse against their line', async () => {
+    const csv = [
+      'categoryKey,categoryName,key,name,price,isFree,options',
+      'drinks,,chai,Masala chai,cheap,maybe,{not json',
+    ].join('\n');
+
+    const report = await dryRun(csv);
+
+    expect(report.errors).toEqual([
+      expect.objectContaining({ section: 'items', row: 2, key: 'chai', field: 'options', message: 'Invalid JSON' }),
+      expect.objectContaining({ section: 'items', row: 2, field: 'price' }),
+      expect.objectContaining({ section: 'items', row: 2, field: 'isFree' }),
+    ]);
+  });
+
+  it('rejects a CSV without the key columns', async () => {
+    await expect(dryRun('name,price\nChai,30')).rejects.toThrow('CSV is missing the categoryKey and key column');
+  });
+
+  it('rejects a body that is neither a menu nor CSV', async () => {
+    await expect(dryRun({ items: 'chai' })).rejects.toThrow('Expected a menu with "categories" and "items" arrays, or CSV');
+  });
+});
@@ -0,0 +1,504 @@
+// Menu import & export - categories and items in bulk as JSON or CSV, matched
+// on a stable external key so the same file can be imported again
+
+import { z } from 'zod';
+import { Response } from 'express';
+import { Decimal } from '@prisma/client/runtime/library';
+import { prisma } from '../../config/index.js';
+import { BadRequestError, ValidationError } from '../../common/errors.js';
+import { csvLine, parseCsv } from '../../common/utils/index.js';
+import { createCategorySchema, createItemSchema } from './catalog.js';
+import { parseItemOptions } from './options.js';
+import { parseSchedule, scheduleColumn } from './availability.js';
+import { fetchAutoIcon } from './icons.js';
+import { StockService } from './stock.js';
+import { StockAlertService } from './alerts.js';
+
+// ============================================
+// SCHEMAS
+// ============================================
+
+const MAX_ROWS = 5000;
+
+const keySchema = z
+  .string()
+  .min(1)
+  .max(100)
+  .regex(/^[A-Za-z0-9._:-]+$/, 'Keys may only contain letters, digits and . _ : -');
+
+export const importCategorySchema = createCategorySchema.extend({
+  key: keySchema,
+});
+
+export const importItemSchema = createItemSchema.omit({ categoryId: true }).extend({
+  key: keySchema,
+  category: keySchema, // Key of a category in the file or already on the menu
+  icon: z.string().max(16).optional(), // Replaces the auto icon
+});
+
+// Rows are validated one by one so every bad row can be reported
+export const menuDocumentSchema = z.object({
+  version: z.literal(1).default(1),
+  categories: z.array(z.unknown()).max(MAX_ROWS).default([]),
+  items: z.array(z.unknown()).max(MAX_ROWS).default([]),
+});
+
+export const menuImportQuerySchema = z.object({
+  dryRun: z.enum(['true', 'false']).default('false').transform((value) => value === 'true'),
+});
+
+export const menuExportQuerySchema = z.object({
+  format: z.enum(['json', 'csv']).default('json'),
+});
+
+type ImportCategory = z.infer<typeof importCategorySchema>;
+type ImportItem = z.infer<typeof importItemSchema>;
+
+// ============================================
+// CSV LAYOUT
+// ============================================
+
+// One row per item, with its category's columns alongside. A row without an
+// item key only defines a category; the first row for a category wins.
+const CATEGORY_COLUMNS = {
+  categoryKey: 'key',
+  categoryName: 'name',
+  categoryDescription: 'description',
+  categoryIcon: 'icon',
+  categorySortOrder: 'sortOrder',
+  categoryIsActive: 'isActive',
+  categoryAvailability: 'availability',
+} as const;
+
+const ITEM_COLUMNS = [
+  'key',
+  'name',
+  'description',
+  'price',
+  'isFree',
+  'image',
+  'icon',
+  'stock',
+  'lowStockThreshold',
+  'prepTimeSeconds',
+  'options',
+  'allergens',
+  'dietaryLabels',
+  'calories',
+  'caffeineMg',
+  'isActive',
+  'availability',
+] as const;
+
+const CSV_HEADER = [...Object.keys(CATEGORY_COLUMNS), ...ITEM_COLUMNS];
+
+const NUMBER_FIELDS = new Set(['sortOrder', 'price', 'stock', 'lowStockThreshold', 'prepTimeSeconds', 'calories', 'caffeineMg']);
+const BOOLEAN_FIELDS = new Set(['isActive', 'isFree']);
+const JSON_FIELDS = new Set(['options', 'availability']);
+const LIST_FIELDS = new Set(['allergens', 'dietaryLabels']); // e.g. "MILK,GLUTEN"
+
+// ============================================
+// SERVICE
+// ============================================
+
+export interface MenuImportError {
+  section: 'categories' | 'items';
+  row: number; // CSV line, or 1-based position in the JSON array
+  key?: string;
+  field?: string;
+  message: string;
+}
+
+interface ParsedRow<T> {
+  row: number;
+  data: T;
+}
+
+interface ParsedMenu {
+  categories: ParsedRow<ImportCategory>[];
+  items: ParsedRow<ImportItem>[];
+  errors: MenuImportError[];
+}
+
+interface RawRow {
+  row: number;
+  value: unknown;
+  errors: MenuImportError[];
+}
+
+export class MenuService {
+  private stockService = new StockService();
+  private alertService = new StockAlertService();
+
+  // Creates or updates every row, or nothing: a file with errors is rejected
+  // as a whole. A dry run only reports what would change.
+  async import(
+    orgId: string,
+    body: unknown,
+    options: { dryRun: boolean },
+    actorId?: string
+  ) {
+    const parsed = typeof body === 'string' ? this.parseCsvMenu(body) : this.parseJsonMenu(body);
+
+    const [categories, items] = await Promise.all([
+      prisma.category.findMany({
+        where: { organizationId: orgId },
+        select: { id: true, externalKey: true },
+      }),
+      prisma.item.findMany({
+        where: { category: { organizationId: orgId } },
+        select: { id: true, externalKey: true, stock: true, image: true },
+      }),
+    ]);
+
+    const categoryKeys = new Set(parsed.categories.map(({ data }) => data.key));
+    for (const { row, data } of parsed.items) {
+      if (!categoryKeys.has(data.category) && !matchKey(categories, data.category)) {
+        parsed.errors.push({
+          section: 'items',
+          row,
+          key: data.key,
+          field: 'category',
+          message: `No category with key "${data.category}"`,
+        });
+      }
+    }
+
+    const report = {
+      dryRun: options.dryRun,
+      categories: summarize(parsed.categories, categories),
+      items: summarize(parsed.items, items),
+      errors: parsed.errors.sort((a, b) => a.row - b.row),
+    };
+
+    if (options.dryRun) return report;
+
+    if (report.errors.length > 0) {
+      throw new ValidationError(
+        `The menu has ${report.errors.length} invalid rows; nothing was imported`,
+        errorDetails(report.errors)
+      );
+    }
+
+    const counted = await this.apply(orgId, parsed, categories, items, actorId);
+    this.alertService.checkSoon(counted);
+
+    return report;
+  }
+
+  async export(orgId: string) {
+    const categories = await prisma.category.findMany({
+      where: { organizationId: orgId },
+      include: { items: { orderBy: { name: 'asc' } } },
+      orderBy: [{ sortOrder: 'asc' }, { name: 'asc' }],
+    });
+
+    return {
+      version: 1 as const,
+      categories: categories.map((category) => withoutEmpty({
+        key: category.externalKey ?? category.id,
+        name: category.name,
+        description: category.description,
+        icon: category.icon,
+        sortOrder: category.sortOrder,
+        isActive: category.isActive,
+        availability: parseSchedule(category.availability),
+      })),
+      items: categories.flatMap((category) => category.items.map((item) => {
+        const options = parseItemOptions(item.options);
+        return withoutEmpty({
+          key: item.externalKey ?? item.id,
+          category: category.externalKey ?? category.id,
+          name: item.name,
+          description: item.description,
+          price: item.price.toNumber(),
+          isFree: item.isFree,
+          image: item.image,
+          icon: item.autoIcon ? null : item.icon,
+          stock: item.stock,
+          lowStockThreshold: item.lowStockThreshold,
+          prepTimeSeconds: item.prepTimeSeconds,
+          allergens: item.allergens,
+          dietaryLabels: item.dietaryLabels,
+          calories: item.calories,
+          caffeineMg: item.caffeineMg,
+          options: options.length > 0 ? options : null,
+          isActive: item.isActive,
+          availability: parseSchedule(item.availability),
+        });
+      })),
+    };
+  }
+
+  async sendExport(res: Response, orgId: string, format: 'json' | 'csv') {
+    const menu = await this.export(orgId);
+    const filename = `menu-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'json') {
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+      res.send(JSON.stringify(menu, null, 2));
+      return;
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+
+    let csv = csvLine(CSV_HEADER);
+    for (const category of menu.categories) {
+      const categoryCells = Object.values(CATEGORY_COLUMNS).map((field) => csvValue(category[field]));
+      const items = menu.items.filter((item) => item.category === category.key);
+
+      if (items.length === 0) {
+        csv += csvLine([...categoryCells, ...ITEM_COLUMNS.map(() => null)]);
+      }
+      for (const item of items) {
+        csv += csvLine([...categoryCells, ...ITEM_COLUMNS.map((field) => csvValue(item[field]))]);
+      }
+    }
+
+    res.send(csv);
+  }
+
+  // Returns the items whose stock was counted
+  private async apply(
+    orgId: string,
+    menu: ParsedMenu,
+    existingCategories: Array<{ id: string; externalKey: string | null }>,
+    existingItems: Array<{ id: string; externalKey: string | null; stock: number | null; image: string | null }>,
+    actorId?: string
+  ) {
+    // Looked up before the transaction; it can be slow
+    const autoIcons = new Map<string, string | null>();
+    for (const { data } of menu.items) {
+      if (!data.icon && !data.image && !matchKey(existingItems, data.key)) {
+        autoIcons.set(data.key, await fetchAutoIcon(data.name));
+      }
+    }
+
+    return prisma.$transaction(async (tx) => {
+      const categoryIds = new Map<string, string>();
+
+      for (const { data } of menu.categories) {
+        const { key, ...fields } = data;
+        const values = { ...fields, availability: scheduleColumn(fields.availability), externalKey: key };
+        const existing = matchKey(existingCategories, key);
+
+        const saved = existing
+          ? await tx.category.update({ where: { id: existing.id }, data: values })
+          : await tx.category.create({ data: { ...values, organizationId: orgId } });
+        categoryIds.set(key, saved.id);
+      }
+
+      const counted: string[] = [];
+
+      for (const { data } of menu.items) {
+        const { key, category, stock, icon, ...fields } = data;
+        const existing = matchKey(existingItems, key);
+        const values = {
+          ...fields,
+          price: new Decimal(fields.price),
+          availability: scheduleColumn(fields.availability),
+          externalKey: key,
+          categoryId: categoryIds.get(category) ?? matchKey(existingCategories, category)!.id,
+          // An icon or image in the file replaces the auto icon
+          ...((icon || fields.image) && { icon: icon ?? null, autoIcon: false }),
+          // A different image URL replaces an uploaded image, which the orphan sweep removes
+          ...(fields.image && fields.image !== existing?.image && { imageId: null }),
+        };
+
+        const saved = existing
+          ? await tx.item.update({ where: { id: existing.id }, data: values })
+          : await tx.item.create({ data: { icon: autoIcons.get(key) ?? null, autoIcon: true, ...values } });
+
+        // Stock goes through the ledger like any other count, at the default
+        // location; an unchanged total is left alone
+        if (stock !== undefined && existing?.stock !== stock) {
+          await this.stockService.countWithin(tx, { kind: 'item', id: saved.id }, orgId, stock, {
+            actorId,
+            reason: 'Menu import',
+          });
+          counted.push(saved.id);
+        }
+      }
+
+      return counted;
+    }, { timeout: 60_000 });
+  }
+
+  private parseJsonMenu(body: unknown): ParsedMenu {
+    const document = menuDocumentSchema.safeParse(body);
+    if (!document.success) {
+      throw new BadRequestError('Expected a menu with "categories" and "items" arrays, or CSV');
+    }
+
+    const raw = (rows: unknown[]): RawRow[] => rows.map((value, index) => ({ row: index + 1, value, errors: [] }));
+    return validateRows(raw(document.data.categories), raw(document.data.items));
+  }
+
+  private parseCsvMenu(text: string): ParsedMenu {
+    const [header, ...records] = parseCsv(text);
+    const columns = (header ?? []).map((name) => name.trim());
+
+    const missing = ['categoryKey', 'key'].filter((name) => !columns.includes(name));
+    if (missing.length > 0) {
+      throw new BadRequestError(`CSV is missing the ${missing.join(' and ')} column`);
+    }
+    if (records.length > MAX_ROWS) {
+      throw new BadRequestError(`A menu can have at most ${MAX_ROWS} rows`);
+    }
+
+    const categories = new Map<string, RawRow>();
+    const items: RawRow[] = [];
+
+    records.forEach((record, index) => {
+      const row = index + 2; // After the header, counting from 1
+      const cells = new Map(columns.map((name, column) => [name, (record[column] ?? '').trim()]));
+
+      const categoryKey = cells.get('categoryKey') ?? '';
+      if (categoryKey && !categories.has(categoryKey) && cells.get('categoryName')) {
+        const category: RawRow = { row, value: {}, errors: [] };
+        category.value = csvFields(cells, CATEGORY_COLUMNS, (field, message) =>
+          category.errors.push({ section: 'categories', row, key: categoryKey, field, message })
+        );
+        categories.set(categoryKey, category);
+      }
+
+      if (cells.get('key')) {
+        const itemColumns = Object.fromEntries(ITEM_COLUMNS.map((name) => [name, name]));
+        const item: RawRow = { row, value: {}, errors: [] };
+        item.value = {
+          ...csvFields(cells, itemColumns, (field, message) =>
+            item.errors.push({ section: 'items', row, key: cells.get('key'), field, message })
+          ),
+          category: categoryKey || undefined,
+        };
+        items.push(item);
+      }
+    });
+
+    return validateRows([...categories.values()], items);
+  }
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+// Existing rows are found by external key, or by id for rows created by hand
+// and exported before they had one
+function matchKey<T extends { id: string; externalKey: string | null }>(rows: T[], key: string) {
+  return rows.find((row) => row.externalKey === key) ?? rows.find((row) => row.id === key);
+}
+
+function summarize(
+  rows: ParsedRow<{ key: string }>[],
+  existing: Array<{ id: string; externalKey: string | null }>
+) {
+  const created: string[] = [];
+  const updated: string[] = [];
+  for (const { data } of rows) {
+    (matchKey(existing, data.key) ? updated : created).push(data.key);
+  }
+  return { created, updated };
+}
+
+function validateRows(categoryRows: RawRow[], itemRows: RawRow[]): ParsedMenu {
+  const errors: MenuImportError[] = [];
+
+  const validate = <T extends { key: string }>(
+    section: MenuImportError['section'],
+    rows: RawRow[],
+    schema: z.ZodType<T, z.ZodTypeDef, unknown>
+  ) => {
+    const seen = new Set<string>();
+    const valid: ParsedRow<T>[] = [];
+
+    for (const { row, value, errors: cellErrors } of rows) {
+      const key = typeof (value as { key?: unknown })?.key === 'string' ? (value as { key: string }).key : undefined;
+      const result = schema.safeParse(value);
+
+      errors.push(...cellErrors);
+      if (!result.success) {
+        for (const issue of result.error.issues) {
+          const field = issue.path.join('.');
+          // A cell that failed to parse has already been reported
+          if (cellErrors.some((error) => error.field === field)) continue;
+          errors.push({ section, row, key, field: field || undefined, message: issue.message });
+        }
+        continue;
+      }
+
+      if (seen.has(result.data.key)) {
+        errors.push({ section, row, key, field: 'key', message: `Key "${result.data.key}" appears more than once` });
+        continue;
+      }
+
+      seen.add(result.data.key);
+      if (cellErrors.length === 0) valid.push({ row, data: result.data });
+    }
+
+    return valid;
+  };
+
+  return {
+    categories: validate('categories', categoryRows, importCategorySchema),
+    items: validate('items', itemRows, importItemSchema),
+    errors,
+  };
+}
+
+// Turns CSV cells into the JSON the schemas expect; empty cells are omitted
+function csvFields(
+  cells: Map<string, string>,
+  columns: Record<string, string>,
+  onError: (field: string, message: string) => void
+) {
+  const fields: Record<string, unknown> = {};
+
+  for (const [column, field] of Object.entries(columns)) {
+    const text = cells.get(column);
+    if (!text) continue;
+
+    if (NUMBER_FIELDS.has(field)) {
+      const number = Number(text);
+      fields[field] = Number.isNaN(number) ? text : number;
+    } else if (BOOLEAN_FIELDS.has(field)) {
+      const lower = text.toLowerCase();
+      fields[field] = ['true', 'yes', '1'].includes(lower) ? true : ['false', 'no', '0'].includes(lower) ? false : text;
+    } else if (LIST_FIELDS.has(field)) {
+      fields[field] = text.split(',').map((entry) => entry.trim()).filter(Boolean);
+    } else if (JSON_FIELDS.has(field)) {
+      try {
+        fields[field] = JSON.parse(text);
+      } catch {
+        onError(field, 'Invalid JSON');
+      }
+    } else {
+      fields[field] = text;
+    }
+  }
+
+  return fields;
+}
+
+function csvValue(value: unknown) {
+  if (value === undefined) return null;
+  if (Array.isArray(value) && value.every((entry) => typeof entry === 'string')) return value.join(',');
+  return typeof value === 'object' ? JSON.stringify(value) : (value as string | number | boolean);
+}
+
+// Leaves out nulls so an exported file passes the import schemas as is
+function withoutEmpty<T extends Record<string, unknown>>(row: T) {
+  return Object.fromEntries(
+    Object.entries(row).filter(([, value]) => value !== null && value !== undefined)
+  ) as { [K in keyof T]?: Exclude<T[K], null> };
+}
+
+function errorDetails(errors: MenuImportError[]) {
+  const details: Record<string, string[]> = {};
+  for (const error of errors) {
+    const path = `${error.section}[${error.row}]${error.field ? `.${error.field}` : ''}`;
+    (details[path] ??= []).push(error.message);
+  }
+  return details;
+}
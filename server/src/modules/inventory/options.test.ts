@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { Decimal } from '@prisma/client/runtime/library';
+import { resolveOptions, unitPriceFor, parseItemOptions } from './options.js';
+
+const options = [
+  {
+    name: 'Milk',
+    required: true,
+    choices: [
+      { name: 'Dairy', isDefault: true },
+      { name: 'Oat', priceDelta: 30 },
+      { name: 'Almond', priceDelta: 40, isAvailable: false },
+    ],
+  },
+  {
+    name: 'Extras',
+    multiple: true,
+    maxSelections: 2,
+    choices: [
+      { name: 'Shot', priceDelta: 25 },
+      { name: 'Hazelnut syrup', priceDelta: 20, allergens: ['TREE_NUTS'] },
+      { name: 'Cream', priceDelta: 15, allergens: ['MILK'] },
+    ],
+  },
+  {
+    name: 'Size',
+    required: true,
+    choices: [{ name: 'Small', priceDelta: -10 }, { name: 'Large', priceDelta: 20 }],
+  },
+];
+
+describe('resolveOptions', () => {
+  it('fills in defaults for groups the guest left out', () => {
+    const result = resolveOptions(options, { Size: 'Large' });
+
+    expect(result.errors).toEqual([]);
+    expect(result.selections).toEqual({ Milk: 'Dairy', Size: 'Large' });
+    expect(result.priceDelta.toNumber()).toBe(20);
+  });
+
+  it('requires a choice for required groups without a default', () => {
+    expect(resolveOptions(options, {}).errors).toEqual(['Choose a Size']);
+  });
+
+  it('takes one choice for single-select groups and a list for multi-select', () => {
+    const result = resolveOptions(options, { Milk: 'Oat', Extras: ['Shot', 'Hazelnut syrup'], Size: 'Small' });
+
+    expect(result.errors).toEqual([]);
+    expect(result.selections).toEqual({ Milk: 'Oat', Extras: ['Shot', 'Hazelnut syrup'], Size: 'Small' });
+    expect(result.priceDelta.toNumber()).toBe(30 + 25 + 20 - 10);
+    expect(result.allergens).toEqual(['TREE_NUTS']);
+  });
+
+  it('stores a single pick in a multi-select group as a list', () => {
+    expect(resolveOptions(options, { Extras: 'Cream', Size: 'Small' }).selections.Extras).toEqual(['Cream']);
+  });
+
+  it('rejects several picks in a single-select group', () => {
+    expect(resolveOptions(options, { Milk: ['Oat', 'Dairy'], Size: 'Small' }).errors).toEqual(['Choose only one Milk']);
+  });
+
+  it('enforces maxSelections and unique picks', () => {
+    expect(resolveOptions(options, { Extras: ['Shot', 'Cream', 'Hazelnut syrup'], Size: 'Small' }).errors)
+      .toEqual(['Choose at most 2 Extras']);
+    expect(resolveOptions(options, { Extras: ['Shot', 'Shot'], Size: 'Small' }).errors)
+      .toEqual(['Extras has the same choice more than once']);
+  });
+
+  it('rejects unknown groups, unknown choices and unavailable choices', () => {
+    expect(resolveOptions(options, { Sugar: 'Yes', Size: 'Small' }).errors).toEqual(['Unknown option "Sugar"']);
+    expect(resolveOptions(options, { Size: 'Huge' }).errors[0]).toMatch(/^"Huge" is not a valid Size/);
+    expect(resolveOptions(options, { Milk: 'Almond', Size: 'Small' }).errors).toEqual(['Almond is not available right now']);
+  });
+
+  it('reads legacy options as optional single-select groups', () => {
+    const legacy = { size: ['S', 'M', 'L'] };
+
+    expect(parseItemOptions(legacy)).toHaveLength(1);
+    expect(resolveOptions(legacy, {}).errors).toEqual([]);
+    expect(resolveOptions(legacy, { size: 'M' }).selections).toEqual({ size: 'M' });
+  });
+});
+
+describe('unitPriceFor', () => {
+  it('adds the price modifiers to the item price', () => {
+    expect(unitPriceFor({ price: new Decimal(100), isFree: false }, new Decimal(25)).toNumber()).toBe(125);
+  });
+
+  it('never goes below zero', () => {
+    expect(unitPriceFor({ price: new Decimal(20), isFree: false }, new Decimal(-50)).toNumber()).toBe(0);
+  });
+
+  it('keeps free items free', () => {
+    expect(unitPriceFor({ price: new Decimal(100), isFree: true }, new Decimal(25)).toNumber()).toBe(0);
+  });
+});
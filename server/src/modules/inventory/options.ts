@@ -0,0 +1,162 @@
+// Item options - option groups configured on an item, and pricing a guest's choices
+
+import { z } from 'zod';
+import { Allergen } from '@prisma/client';
+import { Decimal } from '@prisma/client/runtime/library';
+import { allergensSchema } from './dietary.js';
+
+// ============================================
+// SCHEMAS
+// ============================================
+
+export const optionChoiceSchema = z.object({
+  name: z.string().min(1).max(50), // "Oat milk"
+  priceDelta: z.number().min(-10000).max(10000).default(0), // Added to the item price
+  isDefault: z.boolean().default(false),
+  isAvailable: z.boolean().default(true), // e.g. out of oat milk
+  allergens: allergensSchema.optional(), // Added to the item's, e.g. almond syrup adds TREE_NUTS
+  calories: z.number().int().min(-5000).max(5000).optional(), // Added to the item's; skimmed milk can lower it
+  caffeineMg: z.number().int().min(-1000).max(1000).optional(), // e.g. +75 for an extra shot
+});
+
+export const optionGroupSchema = z
+  .object({
+    name: z.string().min(1).max(50), // "Milk"
+    required: z.boolean().default(false),
+    multiple: z.boolean().default(false), // Multi-select, e.g. extra shots and syrups
+    maxSelections: z.number().int().positive().optional(), // Multi-select only
+    choices: z.array(optionChoiceSchema).min(1).max(30),
+  })
+  .superRefine((group, ctx) => {
+    const names = group.choices.map((choice) => choice.name);
+    if (new Set(names).size !== names.length) {
+      ctx.addIssue({ code: 'custom', message: `Choices of "${group.name}" must be unique`, path: ['choices'] });
+    }
+
+    const defaults = group.choices.filter((choice) => choice.isDefault).length;
+    if (!group.multiple && defaults > 1) {
+      ctx.addIssue({ code: 'custom', message: `"${group.name}" can only have one default`, path: ['choices'] });
+    }
+    if (group.maxSelections !== undefined && !group.multiple) {
+      ctx.addIssue({ code: 'custom', message: 'maxSelections only applies to multi-select groups', path: ['maxSelections'] });
+    }
+    if (group.maxSelections !== undefined && defaults > group.maxSelections) {
+      ctx.addIssue({ code: 'custom', message: `"${group.name}" has more defaults than it allows`, path: ['choices'] });
+    }
+  });
+
+export const itemOptionsSchema = z
+  .array(optionGroupSchema)
+  .max(20)
+  .refine((groups) => new Set(groups.map((group) => group.name)).size === groups.length, {
+    message: 'Option group names must be unique',
+  });
+
+// What a guest picked: one choice per single-select group, a list for multi-select
+export const selectedOptionsSchema = z.record(z.union([z.string(), z.array(z.string()).max(30)]));
+
+export type ItemOptionGroup = z.infer<typeof optionGroupSchema>;
+export type SelectedOptions = z.infer<typeof selectedOptionsSchema>;
+
+// ============================================
+// PARSING & PRICING
+// ============================================
+
+// Items saved before option groups existed store { "size": ["S", "M", "L"] };
+// those read as optional single-select groups with no price change.
+export function parseItemOptions(options: unknown): ItemOptionGroup[] {
+  if (Array.isArray(options)) {
+    const parsed = itemOptionsSchema.safeParse(options);
+    return parsed.success ? parsed.data : [];
+  }
+
+  if (!options || typeof options !== 'object') return [];
+
+  return Object.entries(options as Record<string, unknown>)
+    .filter(([, choices]) => Array.isArray(choices))
+    .map(([name, choices]) => ({
+      name,
+      required: false,
+      multiple: false,
+      choices: (choices as unknown[]).map((choice) => ({
+        name: String(choice),
+        priceDelta: 0,
+        isDefault: false,
+        isAvailable: true,
+      })),
+    }));
+}
+
+// Checks a guest's choices against the item's groups, fills in defaults for
+// groups they left out and totals the price modifiers and the allergens the
+// choices add. An empty error list means the selection can be ordered.
+export function resolveOptions(itemOptions: unknown, selected: SelectedOptions = {}) {
+  const groups = parseItemOptions(itemOptions);
+  const selections: SelectedOptions = {};
+  const errors: string[] = [];
+  const allergens = new Set<Allergen>();
+  let priceDelta = new Decimal(0);
+
+  for (const name of Object.keys(selected)) {
+    if (!groups.some((group) => group.name === name)) {
+      errors.push(`Unknown option "${name}"`);
+    }
+  }
+
+  for (const group of groups) {
+    const value = selected[group.name];
+    let picked: string[];
+
+    if (value === undefined || (Array.isArray(value) && value.length === 0)) {
+      picked = group.choices.filter((choice) => choice.isDefault && choice.isAvailable).map((choice) => choice.name);
+      if (picked.length === 0) {
+        if (group.required) errors.push(`Choose a ${group.name}`);
+        continue;
+      }
+    } else if (Array.isArray(value) && !group.multiple) {
+      if (value.length > 1) {
+        errors.push(`Choose only one ${group.name}`);
+        continue;
+      }
+      picked = value;
+    } else {
+      picked = Array.isArray(value) ? value : [value];
+    }
+
+    if (new Set(picked).size !== picked.length) {
+      errors.push(`${group.name} has the same choice more than once`);
+      continue;
+    }
+    if (group.maxSelections !== undefined && picked.length > group.maxSelections) {
+      errors.push(`Choose at most ${group.maxSelections} ${group.name}`);
+      continue;
+    }
+
+    for (const name of picked) {
+      const choice = group.choices.find((candidate) => candidate.name === name);
+
+      if (!choice) {
+        errors.push(`"${name}" is not a valid ${group.name}; choose one of ${group.choices.map((c) => c.name).join(', ')}`);
+      } else if (!choice.isAvailable) {
+        errors.push(`${choice.name} is not available right now`);
+      } else {
+        priceDelta = priceDelta.add(choice.priceDelta);
+        choice.allergens?.forEach((allergen) => allergens.add(allergen));
+      }
+    }
+
+    selections[group.name] = group.multiple ? picked : picked[0];
+  }
+
+  return { selections, priceDelta, allergens: [...allergens], errors };
+}
+
+export function findOptionErrors(itemOptions: unknown, selected?: SelectedOptions) {
+  return resolveOptions(itemOptions, selected).errors;
+}
+
+// Free items stay free whatever is picked; discounts never go below zero
+export function unitPriceFor(item: { price: Decimal; isFree: boolean }, priceDelta: Decimal) {
+  if (item.isFree) return new Decimal(0);
+  return Decimal.max(0, item.price.add(priceDelta));
+}
@@ -0,0 +1,447 @@
+// Purchase orders - draft, send to a supplier and book deliveries in as
+// restocks; plus suggested orders from stock levels and recent consumption
+
+import { z } from 'zod';
+import { Prisma, PurchaseOrderStatus } from '@prisma/client';
+import { Decimal } from '@prisma/client/runtime/library';
+import { prisma } from '../../config/index.js';
+import { NotFoundError, BadRequestError } from '../../common/errors.js';
+import { listOf, pad } from '../../common/utils/index.js';
+import { StockService } from './stock.js';
+import { StockAlertService } from './alerts.js';
+
+// ============================================
+// SCHEMAS
+// ============================================
+
+const purchaseOrderLineSchema = z.object({
+  itemId: z.string().uuid(),
+  quantity: z.number().int().min(1).max(100000),
+  unitCost: z.number().min(0).max(1000000).optional(), // Defaults to the supplier's price
+});
+
+const purchaseOrderLinesSchema = z
+  .array(purchaseOrderLineSchema)
+  .min(1)
+  .max(200)
+  .refine((lines) => new Set(lines.map((line) => line.itemId)).size === lines.length, {
+    message: 'Each item can only be on one line',
+  });
+
+export const createPurchaseOrderSchema = z.object({
+  supplierId: z.string().uuid(),
+  locationId: z.string().uuid().optional(), // Where deliveries go; omit for the default location
+  notes: z.string().max(1000).optional(),
+  expectedAt: z.coerce.date().optional(),
+  lines: purchaseOrderLinesSchema,
+});
+
+// Drafts only
+export const updatePurchaseOrderSchema = z.object({
+  locationId: z.string().uuid().nullable().optional(),
+  notes: z.string().max(1000).nullable().optional(),
+  expectedAt: z.coerce.date().nullable().optional(),
+  lines: purchaseOrderLinesSchema.optional(),
+});
+
+export const receivePurchaseOrderSchema = z.object({
+  lines: z
+    .array(z.object({
+      itemId: z.string().uuid(),
+      quantity: z.number().int().min(1).max(100000),
+    }))
+    .min(1)
+    .max(200),
+  reason: z.string().max(500).optional(), // e.g. delivery note number
+});
+
+export const listPurchaseOrdersQuerySchema = z.object({
+  status: listOf(z.nativeEnum(PurchaseOrderStatus)).optional(),
+  supplierId: z.string().uuid().optional(),
+  limit: z.coerce.number().int().min(1).max(200).default(50),
+  offset: z.coerce.number().int().min(0).default(0),
+});
+
+export const suggestedPurchaseOrdersQuerySchema = z.object({
+  supplierId: z.string().uuid().optional(), // Only this supplier's items, preferred elsewhere or not
+  days: z.coerce.number().int().min(7).max(90).default(28), // Consumption history to average over
+  coverDays: z.coerce.number().int().min(1).max(60).default(7), // Stock to hold after a delivery
+});
+
+// ============================================
+// SERVICE
+// ============================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Shares OrderCounter with order numbers; order prefixes are at most 12
+// characters, so this scope cannot collide with theirs
+const COUNTER_SCOPE = 'purchase-orders';
+
+const OPEN_STATUSES: PurchaseOrderStatus[] = ['SENT', 'PARTIALLY_RECEIVED'];
+
+const purchaseOrderInclude = {
+  supplier: { select: { id: true, name: true, email: true, phone: true } },
+  location: { select: { id: true, name: true } },
+  createdBy: { select: { id: true, name: true } },
+  lines: {
+    include: { item: { select: { id: true, name: true, stock: true } } },
+    orderBy: { item: { name: 'asc' } },
+  },
+} satisfies Prisma.PurchaseOrderInclude;
+
+type PurchaseOrderWithLines = Prisma.PurchaseOrderGetPayload<{ include: typeof purchaseOrderInclude }>;
+
+export class PurchaseOrderService {
+  private stockService = new StockService();
+  private alertService = new StockAlertService();
+
+  async create(orgId: string, data: z.infer<typeof createPurchaseOrderSchema>, actorId?: string) {
+    const supplier = await prisma.supplier.findUnique({ where: { id: data.supplierId } });
+    if (!supplier || supplier.organizationId !== orgId) {
+      throw new NotFoundError('Supplier not found');
+    }
+    if (!supplier.isActive) {
+      throw new BadRequestError(`${supplier.name} is not an active supplier`);
+    }
+    await this.assertLocation(orgId, data.locationId);
+
+    const lines = await this.priceLines(orgId, supplier.id, data.lines);
+
+    const order = await prisma.$transaction(async (tx) => {
+      const [counter] = await tx.$queryRaw<Array<{ value: number }>>`
+        INSERT INTO "OrderCounter" ("organizationId", "scope", "value", "updatedAt")
+        VALUES (${orgId}, ${COUNTER_SCOPE}, 1, NOW())
+        ON CONFLICT ("organizationId", "scope")
+        DO UPDATE SET "value" = "OrderCounter"."value" + 1, "updatedAt" = NOW()
+        RETURNING "value"
+      `;
+
+      return tx.purchaseOrder.create({
+        data: {
+          number: `PO-${pad(counter.value, 5)}`,
+          supplierId: supplier.id,
+          locationId: data.locationId,
+          notes: data.notes,
+          expectedAt: data.expectedAt,
+          organizationId: orgId,
+          createdById: actorId,
+          lines: { create: lines },
+        },
+        include: purchaseOrderInclude,
+      });
+    });
+
+    return withTotal(order);
+  }
+
+  async findByOrg(orgId: string, query: z.infer<typeof listPurchaseOrdersQuerySchema>) {
+    const where: Prisma.PurchaseOrderWhereInput = {
+      organizationId: orgId,
+      ...(query.status && { status: { in: query.status } }),
+      ...(query.supplierId && { supplierId: query.supplierId }),
+    };
+
+    const [orders, total] = await Promise.all([
+      prisma.purchaseOrder.findMany({
+        where,
+        include: purchaseOrderInclude,
+        orderBy: { createdAt: 'desc' },
+        take: query.limit,
+        skip: query.offset,
+      }),
+      prisma.purchaseOrder.count({ where }),
+    ]);
+
+    return { orders: orders.map(withTotal), total };
+  }
+
+  async findById(id: string, orgId: string) {
+    const order = await prisma.purchaseOrder.findUnique({ where: { id }, include: purchaseOrderInclude });
+
+    if (!order || order.organizationId !== orgId) {
+      throw new NotFoundError('Purchase order not found');
+    }
+
+    return withTotal(order);
+  }
+
+  async update(id: string, orgId: string, data: z.infer<typeof updatePurchaseOrderSchema>) {
+    const order = await this.findById(id, orgId);
+    if (order.status !== 'DRAFT') {
+      throw new BadRequestError(`${order.number} has been sent and can no longer be changed`);
+    }
+    await this.assertLocation(orgId, data.locationId ?? undefined);
+
+    const { lines, ...changes } = data;
+    const priced = lines && await this.priceLines(orgId, order.supplierId, lines);
+
+    await prisma.$transaction(async (tx) => {
+      await tx.purchaseOrder.update({ where: { id }, data: changes });
+
+      if (priced) {
+        await tx.purchaseOrderLine.deleteMany({ where: { purchaseOrderId: id } });
+        await tx.purchaseOrderLine.createMany({ data: priced.map((line) => ({ ...line, purchaseOrderId: id })) });
+      }
+    });
+
+    return this.findById(id, orgId);
+  }
+
+  // Expected delivery defaults to the longest lead time on the order
+  async send(id: string, orgId: string) {
+    const order = await this.findById(id, orgId);
+    if (order.status !== 'DRAFT') {
+      throw new BadRequestError(`${order.number} has already been sent`);
+    }
+
+    const leadTimes = await prisma.supplierItem.findMany({
+      where: { supplierId: order.supplierId, itemId: { in: order.lines.map((line) => line.itemId) } },
+      select: { leadTimeDays: true },
+    });
+    const now = new Date();
+    const longest = leadTimes.length > 0 ? Math.max(...leadTimes.map((entry) => entry.leadTimeDays)) : null;
+
+    await prisma.purchaseOrder.update({
+      where: { id },
+      data: {
+        status: 'SENT',
+        sentAt: now,
+        expectedAt: order.expectedAt ?? (longest === null ? null : new Date(now.getTime() + longest * DAY_MS)),
+      },
+    });
+
+    return this.findById(id, orgId);
+  }
+
+  // Books a delivery in: each received quantity is a RESTOCK movement at the
+  // order's location. Deliveries can arrive in several parts, but never add
+  // up to more than was ordered.
+  async receive(id: string, orgId: string, data: z.infer<typeof receivePurchaseOrderSchema>, actorId?: string) {
+    await prisma.$transaction(async (tx) => {
+      // Serialises deliveries booked against the same order
+      const [locked] = await tx.$queryRaw<Array<{ status: PurchaseOrderStatus; number: string; locationId: string | null }>>`
+        SELECT "status", "number", "locationId"
+        FROM "PurchaseOrder"
+        WHERE "id" = ${id} AND "organizationId" = ${orgId}
+        FOR UPDATE
+      `;
+
+      if (!locked) {
+        throw new NotFoundError('Purchase order not found');
+      }
+      if (!OPEN_STATUSES.includes(locked.status)) {
+        throw new BadRequestError(
+          locked.status === 'DRAFT' ? `Send ${locked.number} before receiving it` : `${locked.number} is ${locked.status.toLowerCase()}`
+        );
+      }
+
+      const lines = await tx.purchaseOrderLine.findMany({
+        where: { purchaseOrderId: id },
+        include: { item: { select: { name: true } } },
+      });
+
+      // Items in a fixed order so concurrent stock changes lock rows alike
+      const received = [...data.lines].sort((a, b) => a.itemId.localeCompare(b.itemId));
+
+      for (const delivery of received) {
+        const line = lines.find((candidate) => candidate.itemId === delivery.itemId);
+        if (!line) {
+          throw new BadRequestError(`Item ${delivery.itemId} is not on ${locked.number}`);
+        }
+
+        const outstanding = line.quantity - line.receivedQuantity;
+        if (delivery.quantity > outstanding) {
+          throw new BadRequestError(`Only ${outstanding} more "${line.item.name}" are outstanding on ${locked.number}`);
+        }
+
+        line.receivedQuantity += delivery.quantity;
+        await tx.purchaseOrderLine.update({
+          where: { id: line.id },
+          data: { receivedQuantity: line.receivedQuantity },
+        });
+
+        await this.stockService.restockWithin(tx, { kind: 'item', id: line.itemId }, orgId, delivery.quantity, {
+          actorId,
+          reason: data.reason ?? `Received on ${locked.number}`,
+          locationId: locked.locationId,
+          purchaseOrderId: id,
+        });
+      }
+
+      const complete = lines.every((line) => line.receivedQuantity >= line.quantity);
+      await tx.purchaseOrder.update({
+        where: { id },
+        data: complete ? { status: 'RECEIVED', receivedAt: new Date() } : { status: 'PARTIALLY_RECEIVED' },
+      });
+    });
+
+    this.alertService.checkSoon(data.lines.map((line) => line.itemId));
+    return this.findById(id, orgId);
+  }
+
+  // Only before anything has been received
+  async cancel(id: string, orgId: string) {
+    const order = await this.findById(id, orgId);
+    if (order.status !== 'DRAFT' && order.status !== 'SENT') {
+      throw new BadRequestError(`${order.number} is ${order.status.toLowerCase().replace('_', ' ')} and cannot be cancelled`);
+    }
+
+    await prisma.purchaseOrder.update({ where: { id }, data: { status: 'CANCELLED', cancelledAt: new Date() } });
+    return this.findById(id, orgId);
+  }
+
+  // What to order, per supplier. An item is due once its stock plus what is
+  // already on order would fall to its low-stock threshold within the lead
+  // time at the recent rate of consumption; the quantity brings it back up to
+  // cover `coverDays` more on top of the threshold.
+  async suggest(orgId: string, query: z.infer<typeof suggestedPurchaseOrdersQuerySchema>) {
+    const offers = await prisma.supplierItem.findMany({
+      where: {
+        supplier: { organizationId: orgId, isActive: true, ...(query.supplierId && { id: query.supplierId }) },
+        item: { isActive: true, stock: { not: null } },
+      },
+      include: {
+        supplier: { select: { id: true, name: true } },
+        item: { select: { id: true, name: true, stock: true, lowStockThreshold: true } },
+      },
+    });
+
+    // The preferred supplier, else the cheapest, else the quickest
+    const best = new Map<string, (typeof offers)[number]>();
+    for (const offer of offers) {
+      const current = best.get(offer.itemId);
+      if (!current || compareOffers(offer, current) < 0) {
+        best.set(offer.itemId, offer);
+      }
+    }
+
+    const itemIds = [...best.keys()];
+    const since = new Date(Date.now() - query.days * DAY_MS);
+
+    const [usage, onOrder] = await Promise.all([
+      // Returns from cancelled orders net off what they consumed
+      prisma.stockMovement.groupBy({
+        by: ['itemId'],
+        where: { itemId: { in: itemIds }, type: { in: ['CONSUMPTION', 'RETURN'] }, createdAt: { gte: since } },
+        _sum: { quantity: true },
+      }),
+      prisma.purchaseOrderLine.findMany({
+        where: { itemId: { in: itemIds }, purchaseOrder: { organizationId: orgId, status: { in: OPEN_STATUSES } } },
+        select: { itemId: true, quantity: true, receivedQuantity: true },
+      }),
+    ]);
+
+    const suppliers = new Map<string, { supplier: { id: string; name: string }; lines: SuggestedLine[] }>();
+
+    for (const offer of best.values()) {
+      const consumed = -(usage.find((row) => row.itemId === offer.itemId)?._sum.quantity ?? 0);
+      const dailyUsage = Math.max(0, consumed) / query.days;
+      const incoming = onOrder
+        .filter((line) => line.itemId === offer.itemId)
+        .reduce((sum, line) => sum + line.quantity - line.receivedQuantity, 0);
+
+      const stock = offer.item.stock ?? 0;
+      const reorderPoint = Math.ceil(dailyUsage * offer.leadTimeDays) + offer.item.lowStockThreshold;
+      if (stock + incoming > reorderPoint) continue;
+
+      const target = Math.ceil(dailyUsage * (offer.leadTimeDays + query.coverDays)) + offer.item.lowStockThreshold;
+      const quantity = Math.max(target - stock - incoming, offer.minOrderQuantity, 1);
+
+      const entry = suppliers.get(offer.supplierId) ?? { supplier: offer.supplier, lines: [] };
+      entry.lines.push({
+        item: { id: offer.item.id, name: offer.item.name },
+        stock,
+        onOrder: incoming,
+        dailyUsage: Math.round(dailyUsage * 100) / 100,
+        reorderPoint,
+        leadTimeDays: offer.leadTimeDays,
+        quantity,
+        unitCost: offer.unitCost,
+        lineTotal: offer.unitCost.mul(quantity),
+      });
+      suppliers.set(offer.supplierId, entry);
+    }
+
+    return [...suppliers.values()]
+      .map((entry) => ({
+        ...entry,
+        lines: entry.lines.sort((a, b) => a.item.name.localeCompare(b.item.name)),
+        total: entry.lines.reduce((sum, line) => sum.add(line.lineTotal), new Decimal(0)),
+      }))
+      .sort((a, b) => a.supplier.name.localeCompare(b.supplier.name));
+  }
+
+  // Lines without a unit cost take the supplier's price; items must have
+  // tracked stock so deliveries can be booked in
+  private async priceLines(orgId: string, supplierId: string, lines: z.infer<typeof purchaseOrderLinesSchema>) {
+    const itemIds = lines.map((line) => line.itemId);
+
+    const [items, offers] = await Promise.all([
+      prisma.item.findMany({
+        where: { id: { in: itemIds }, category: { organizationId: orgId } },
+        select: { id: true, name: true, stock: true },
+      }),
+      prisma.supplierItem.findMany({ where: { supplierId, itemId: { in: itemIds } } }),
+    ]);
+
+    return lines.map((line) => {
+      const item = items.find((candidate) => candidate.id === line.itemId);
+      if (!item) {
+        throw new NotFoundError('Item not found');
+      }
+      if (item.stock === null) {
+        throw new BadRequestError(`Stock is not tracked for "${item.name}"; record a count to start tracking it`);
+      }
+
+      const offer = offers.find((candidate) => candidate.itemId === line.itemId);
+      if (line.unitCost === undefined && !offer) {
+        throw new BadRequestError(`"${item.name}" is not on this supplier's list; give a unit cost`);
+      }
+
+      return {
+        itemId: line.itemId,
+        quantity: line.quantity,
+        unitCost: line.unitCost !== undefined ? new Decimal(line.unitCost) : offer!.unitCost,
+      };
+    });
+  }
+
+  private async assertLocation(orgId: string, locationId?: string | null) {
+    if (!locationId) return;
+
+    const location = await prisma.stockLocation.findFirst({ where: { id: locationId, organizationId: orgId, archivedAt: null } });
+    if (!location) {
+      throw new NotFoundError('Stock location not found');
+    }
+  }
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+interface SuggestedLine {
+  item: { id: string; name: string };
+  stock: number;
+  onOrder: number;
+  dailyUsage: number;
+  reorderPoint: number;
+  leadTimeDays: number;
+  quantity: number;
+  unitCost: Decimal;
+  lineTotal: Decimal;
+}
+
+function compareOffers(
+  a: { isPreferred: boolean; unitCost: Decimal; leadTimeDays: number },
+  b: { isPreferred: boolean; unitCost: Decimal; leadTimeDays: number }
+) {
+  if (a.isPreferred !== b.isPreferred) return a.isPreferred ? -1 : 1;
+  return a.unitCost.comparedTo(b.unitCost) || a.leadTimeDays - b.leadTimeDays;
+}
+
+function withTotal(order: PurchaseOrderWithLines) {
+  const total = order.lines.reduce((sum, line) => sum.add(line.unitCost.mul(line.quantity)), new Decimal(0));
+  return { ...order, total };
+}
@@ -0,0 +1,512 @@
+// Stock ledger - every change to an item's stock, with who made it, why and,
+// for organizations with several pantries, at which location
+
+import { z } from 'zod';
+import { Prisma, StockMovementType } from '@prisma/client';
+import { prisma } from '../../config/index.js';
+import { NotFoundError, BadRequestError } from '../../common/errors.js';
+import { StockAlertService } from './alerts.js';
+
+// ============================================
+// SCHEMAS
+// ============================================
+
+// Items only; omit for the default location
+const locationIdSchema = z.string().uuid().optional();
+
+export const restockSchema = z.object({
+  quantity: z.number().int().min(1).max(100000),
+  reason: z.string().max(500).optional(), // e.g. supplier delivery note
+  locationId: locationIdSchema,
+});
+
+export const stockCountSchema = z.object({
+  quantity: z.number().int().min(0).max(100000), // What is physically on the shelf
+  reason: z.string().max(500).optional(),
+  locationId: locationIdSchema,
+});
+
+export const stockAdjustmentSchema = z
+  .object({
+    type: z.enum(['WASTAGE', 'CORRECTION']),
+    quantity: z.number().int().min(-100000).max(100000).refine((quantity) => quantity !== 0, 'Quantity cannot be zero'),
+    reason: z.string().min(1).max(500),
+    locationId: locationIdSchema,
+  })
+  .refine((data) => data.type !== 'WASTAGE' || data.quantity > 0, {
+    message: 'Wastage is the number of units thrown away',
+    path: ['quantity'],
+  });
+
+const dateRange = {
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+};
+const fromBeforeTo = (query: { from?: Date; to?: Date }) => !query.from || !query.to || query.from <= query.to;
+const rangeError = { message: '"from" must be before "to"', path: ['from'] };
+
+export const stockMovementsQuerySchema = z
+  .object({
+    ...dateRange,
+    itemId: z.string().uuid().optional(),
+    ingredientId: z.string().uuid().optional(),
+    locationId: z.string().uuid().optional(),
+    type: z.nativeEnum(StockMovementType).optional(),
+    limit: z.coerce.number().int().min(1).max(200).default(50),
+    offset: z.coerce.number().int().min(0).default(0),
+  })
+  .refine(fromBeforeTo, rangeError);
+
+export const stockReportQuerySchema = z.object(dateRange).refine(fromBeforeTo, rangeError);
+
+// ============================================
+// LEDGER
+// ============================================
+
+// What a movement changes: a sellable item or a raw ingredient
+export type StockSubject = { kind: 'item' | 'ingredient'; id: string };
+
+export interface MovementContext {
+  orderId?: string;
+  actorId?: string;
+  reason?: string;
+  locationId?: string | null; // Item stock at this location rather than the item's own
+  transferId?: string;
+  purchaseOrderId?: string;
+}
+
+// Appends a movement inside the caller's transaction, after the stock has
+// been changed; balance is the stock that change left behind
+export async function recordMovement(
+  db: Prisma.TransactionClient,
+  subject: StockSubject,
+  type: StockMovementType,
+  quantity: number,
+  balance: number,
+  context: MovementContext = {}
+) {
+  return db.stockMovement.create({
+    data: {
+      ...(subject.kind === 'item' ? { itemId: subject.id } : { ingredientId: subject.id }),
+      type,
+      quantity,
+      balance,
+      reason: context.reason,
+      orderId: context.orderId,
+      actorId: context.actorId,
+      locationId: context.locationId,
+      transferId: context.transferId,
+      purchaseOrderId: context.purchaseOrderId,
+    },
+  });
+}
+
+// The location a space orders from: its own, else the organization's default.
+// Null when the organization does not track stock per location.
+export async function locationForSpace(db: Prisma.TransactionClient, spaceId: string) {
+  const space = await db.space.findUniqueOrThrow({
+    where: { id: spaceId },
+    select: { stockLocationId: true, organizationId: true },
+  });
+  if (space.stockLocationId) return space.stockLocationId;
+
+  const fallback = await db.stockLocation.findFirst({
+    where: { organizationId: space.organizationId, isDefault: true, archivedAt: null },
+    select: { id: true },
+  });
+  return fallback?.id ?? null;
+}
+
+// What each item has left where the guest is ordering; null = unlimited.
+// Without a location the item's own stock applies.
+export async function stockAtLocation(
+  db: Prisma.TransactionClient,
+  locationId: string | null,
+  items: Array<{ id: string; stock: number | null }>
+) {
+  const levels = new Map(items.map((item) => [item.id, item.stock]));
+  if (!locationId) return levels;
+
+  const tracked = items.filter((item) => item.stock !== null);
+  const rows = await db.locationStock.findMany({
+    where: { locationId, itemId: { in: tracked.map((item) => item.id) } },
+  });
+  for (const item of tracked) {
+    levels.set(item.id, rows.find((row) => row.itemId === item.id)?.stock ?? 0);
+  }
+
+  return levels;
+}
+
+// Items that cannot be made without an ingredient are hidden when it runs
+// short, and shown again once the restock that was holding them back arrives.
+// Items an admin switched off for another reason stay off.
+export async function refreshRecipeAvailability(
+  db: Prisma.TransactionClient,
+  ingredientId: string,
+  previous: number,
+  balance: number
+) {
+  const items = await db.item.findMany({
+    where: { recipe: { some: { ingredientId, optionGroup: null } } },
+    include: { recipe: { where: { optionGroup: null }, include: { ingredient: true } } },
+  });
+
+  for (const item of items) {
+    const canMake = item.recipe.every((line) => line.ingredient.stock === null || line.ingredient.stock >= line.quantity);
+    const needed = Math.max(...item.recipe.filter((line) => line.ingredientId === ingredientId).map((line) => line.quantity));
+    const wasBlocked = previous < needed;
+
+    if (!canMake && item.isAvailable) {
+      await db.item.update({ where: { id: item.id }, data: { isAvailable: false } });
+    } else if (canMake && !item.isAvailable && wasBlocked && balance >= needed && item.stock !== 0) {
+      await db.item.update({ where: { id: item.id }, data: { isAvailable: true } });
+    }
+  }
+}
+
+// What a change to an item's own stock does to its availability: running out
+// hides it, and stock coming back from zero shows it again unless an
+// ingredient is still short. Items switched off for another reason stay off.
+export async function availabilityForStock(
+  db: Prisma.TransactionClient,
+  itemId: string,
+  previous: number | null,
+  total: number
+): Promise<{ isAvailable?: boolean }> {
+  if (total <= 0) return { isAvailable: false };
+  if (previous === null || previous > 0) return {};
+
+  const recipe = await db.recipeLine.findMany({
+    where: { itemId, optionGroup: null },
+    include: { ingredient: { select: { stock: true } } },
+  });
+  const canMake = recipe.every((line) => line.ingredient.stock === null || line.ingredient.stock >= line.quantity);
+
+  return canMake ? { isAvailable: true } : {};
+}
+
+// ============================================
+// SERVICE
+// ============================================
+
+// Held while the opening balances are written, so replicas starting together
+// do not write them twice
+const OPENING_BALANCES_LOCK = 7_301_017;
+
+type MovementTotals = Partial<Record<StockMovementType, { quantity: number; count: number }>>;
+
+// A row locked for a stock change. `stock` is what the location holds for
+// located items, otherwise the same as `total`.
+interface LockedStock {
+  name: string;
+  total: number | null;
+  stock: number | null;
+  locationId: string | null;
+}
+
+export class StockService {
+  private alertService = new StockAlertService();
+
+  async restock(subject: StockSubject, orgId: string, data: z.infer<typeof restockSchema>, actorId?: string) {
+    const movement = await prisma.$transaction((tx) =>
+      this.restockWithin(tx, subject, orgId, data.quantity, { actorId, reason: data.reason, locationId: data.locationId })
+    );
+
+    this.checkAlerts(subject);
+    return movement;
+  }
+
+  // Restocks inside the caller's transaction, e.g. a purchase order delivery;
+  // the caller checks alerts once it commits
+  async restockWithin(
+    tx: Prisma.TransactionClient,
+    subject: StockSubject,
+    orgId: string,
+    quantity: number,
+    context: MovementContext = {}
+  ) {
+    const locked = await this.lock(tx, subject, orgId, context.locationId ?? undefined);
+    if (locked.stock === null) {
+      throw new BadRequestError(`Stock is not tracked for "${locked.name}"; record a count to start tracking it`);
+    }
+
+    return this.apply(tx, subject, locked, 'RESTOCK', locked.stock + quantity, context);
+  }
+
+  // Sets stock to what was counted; the movement records the variance
+  async count(subject: StockSubject, orgId: string, data: z.infer<typeof stockCountSchema>, actorId?: string) {
+    const movement = await prisma.$transaction((tx) =>
+      this.countWithin(tx, subject, orgId, data.quantity, { actorId, reason: data.reason, locationId: data.locationId })
+    );
+
+    this.checkAlerts(subject);
+    return movement;
+  }
+
+  // Counts inside the caller's transaction, e.g. a menu import; the caller
+  // checks alerts once it commits
+  async countWithin(
+    tx: Prisma.TransactionClient,
+    subject: StockSubject,
+    orgId: string,
+    quantity: number,
+    context: MovementContext = {}
+  ) {
+    const locked = await this.lock(tx, subject, orgId, context.locationId ?? undefined);
+    return this.apply(tx, subject, locked, 'COUNT', quantity, context);
+  }
+
+  async adjust(subject: StockSubject, orgId: string, data: z.infer<typeof stockAdjustmentSchema>, actorId?: string) {
+    const movement = await prisma.$transaction(async (tx) => {
+      const locked = await this.lock(tx, subject, orgId, data.locationId);
+      if (locked.stock === null) {
+        throw new BadRequestError(`Stock is not tracked for "${locked.name}"`);
+      }
+
+      const change = data.type === 'WASTAGE' ? -data.quantity : data.quantity;
+      if (locked.stock + change < 0) {
+        throw new BadRequestError(`Only ${locked.stock} "${locked.name}" in stock`);
+      }
+
+      return this.apply(tx, subject, locked, data.type, locked.stock + change, { actorId, reason: data.reason });
+    });
+
+    this.checkAlerts(subject);
+    return movement;
+  }
+
+  // Items that tracked stock before the ledger existed have no movements, so
+  // their stock could not be rebuilt from it. Each gets an opening count of
+  // what it holds; later starts find nothing left to do.
+  async recordOpeningBalances() {
+    return prisma.$transaction(async (tx) => {
+      await tx.$executeRaw`SELECT pg_advisory_xact_lock(${OPENING_BALANCES_LOCK})`;
+
+      const items = await tx.item.findMany({
+        where: { stock: { not: null }, stockMovements: { none: {} } },
+        select: { id: true, stock: true },
+      });
+
+      await tx.stockMovement.createMany({
+        data: items.map((item) => ({
+          itemId: item.id,
+          type: 'COUNT' as const,
+          quantity: item.stock!,
+          balance: item.stock!,
+          reason: 'Opening stock',
+        })),
+      });
+
+      return items.length;
+    });
+  }
+
+  async findMovements(orgId: string, query: z.infer<typeof stockMovementsQuerySchema>) {
+    const where: Prisma.StockMovementWhereInput = {
+      OR: [{ item: { category: { organizationId: orgId } } }, { ingredient: { organizationId: orgId } }],
+      ...(query.itemId && { itemId: query.itemId }),
+      ...(query.ingredientId && { ingredientId: query.ingredientId }),
+      ...(query.locationId && { locationId: query.locationId }),
+      ...(query.type && { type: query.type }),
+      ...((query.from || query.to) && { createdAt: { gte: query.from, lte: query.to } }),
+    };
+
+    const [movements, total] = await Promise.all([
+      prisma.stockMovement.findMany({
+        where,
+        include: {
+          item: { select: { id: true, name: true } },
+          ingredient: { select: { id: true, name: true, unit: true } },
+          order: { select: { id: true, orderNumber: true } },
+          actor: { select: { id: true, name: true } },
+          location: { select: { id: true, name: true } },
+          purchaseOrder: { select: { id: true, number: true } },
+        },
+        orderBy: { sequence: 'desc' },
+        take: query.limit,
+        skip: query.offset,
+      }),
+      prisma.stockMovement.count({ where }),
+    ]);
+
+    return { movements, total };
+  }
+
+  // Per item and ingredient: stock at the start and end of the range and what
+  // moved it, by type. Opening + every movement = closing, and the latest
+  // balances (summed over locations) are the current stock.
+  // Transfers between locations net to zero here.
+  async report(orgId: string, query: z.infer<typeof stockReportQuerySchema>) {
+    const to = query.to ?? new Date();
+    const from = query.from ?? new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    const [itemRows, ingredientRows] = await Promise.all([
+      this.reportRows('item', orgId, from, to),
+      this.reportRows('ingredient', orgId, from, to),
+    ]);
+
+    const [items, ingredients] = await Promise.all([
+      prisma.item.findMany({
+        where: { id: { in: [...itemRows.keys()] } },
+        select: { id: true, name: true, stock: true, category: { select: { id: true, name: true } } },
+        orderBy: { name: 'asc' },
+      }),
+      prisma.ingredient.findMany({
+        where: { id: { in: [...ingredientRows.keys()] } },
+        select: { id: true, name: true, unit: true, stock: true },
+        orderBy: { name: 'asc' },
+      }),
+    ]);
+
+    return {
+      from,
+      to,
+      items: items.map(({ stock, ...item }) => ({ item, ...itemRows.get(item.id)!, currentStock: stock })),
+      ingredients: ingredients.map(({ stock, ...ingredient }) => ({
+        ingredient,
+        ...ingredientRows.get(ingredient.id)!,
+        currentStock: stock,
+      })),
+    };
+  }
+
+  private async reportRows(kind: StockSubject['kind'], orgId: string, from: Date, to: Date) {
+    const column = Prisma.raw(kind === 'item' ? '"itemId"' : '"ingredientId"');
+    const inOrg = kind === 'item'
+      ? Prisma.sql`m."itemId" IN (SELECT i."id" FROM "Item" i JOIN "Category" c ON c."id" = i."categoryId" WHERE c."organizationId" = ${orgId})`
+      : Prisma.sql`m."ingredientId" IN (SELECT g."id" FROM "Ingredient" g WHERE g."organizationId" = ${orgId})`;
+
+    // Each location keeps its own balance; an item's stock is their sum
+    const balancesAt = (before: Prisma.Sql) => prisma.$queryRaw<Array<{ id: string; balance: number }>>`
+      SELECT latest."id", SUM(latest."balance")::int AS "balance"
+      FROM (
+        SELECT DISTINCT ON (m.${column}, m."locationId") m.${column} AS "id", m."balance" AS "balance"
+        FROM "StockMovement" m
+        WHERE ${inOrg} AND ${before}
+        ORDER BY m.${column}, m."locationId", m."sequence" DESC
+      ) latest
+      GROUP BY latest."id"
+    `;
+
+    const [opening, closing, totals] = await Promise.all([
+      balancesAt(Prisma.sql`m."createdAt" < ${from}`),
+      balancesAt(Prisma.sql`m."createdAt" <= ${to}`),
+      prisma.$queryRaw<Array<{ id: string; type: StockMovementType; quantity: number; count: number }>>`
+        SELECT m.${column} AS "id", m."type" AS "type", SUM(m."quantity")::int AS "quantity", COUNT(*)::int AS "count"
+        FROM "StockMovement" m
+        WHERE ${inOrg} AND m."createdAt" >= ${from} AND m."createdAt" <= ${to}
+        GROUP BY 1, 2
+      `,
+    ]);
+
+    const rows = new Map<string, { opening: number; closing: number; movements: MovementTotals }>();
+    for (const { id, balance } of closing) {
+      rows.set(id, { opening: opening.find((row) => row.id === id)?.balance ?? 0, closing: balance, movements: {} });
+    }
+    for (const row of totals) {
+      rows.get(row.id)!.movements[row.type] = { quantity: row.quantity, count: row.count };
+    }
+
+    return rows;
+  }
+
+  // Row lock so concurrent orders and adjustments see each other's balance.
+  // Location stock is always changed under its item's lock.
+  private async lock(
+    tx: Prisma.TransactionClient,
+    subject: StockSubject,
+    orgId: string,
+    locationId?: string
+  ): Promise<LockedStock> {
+    const [locked] = subject.kind === 'item'
+      ? await tx.$queryRaw<Array<{ name: string; stock: number | null }>>`
+          SELECT i."name", i."stock"
+          FROM "Item" i
+          JOIN "Category" c ON c."id" = i."categoryId"
+          WHERE i."id" = ${subject.id} AND c."organizationId" = ${orgId}
+          FOR UPDATE OF i
+        `
+      : await tx.$queryRaw<Array<{ name: string; stock: number | null }>>`
+          SELECT g."name", g."stock"
+          FROM "Ingredient" g
+          WHERE g."id" = ${subject.id} AND g."organizationId" = ${orgId}
+          FOR UPDATE
+        `;
+
+    if (!locked) {
+      throw new NotFoundError(subject.kind === 'item' ? 'Item not found' : 'Ingredient not found');
+    }
+
+    if (subject.kind === 'ingredient') {
+      if (locationId) {
+        throw new BadRequestError('Ingredient stock is not tracked per location');
+      }
+      return { name: locked.name, total: locked.stock, stock: locked.stock, locationId: null };
+    }
+
+    const location = locationId
+      ? await tx.stockLocation.findFirst({ where: { id: locationId, organizationId: orgId, archivedAt: null } })
+      : await tx.stockLocation.findFirst({ where: { organizationId: orgId, isDefault: true, archivedAt: null } });
+
+    if (locationId && !location) {
+      throw new NotFoundError('Stock location not found');
+    }
+    if (!location) {
+      return { name: locked.name, total: locked.stock, stock: locked.stock, locationId: null };
+    }
+
+    const held = await tx.locationStock.findUnique({
+      where: { locationId_itemId: { locationId: location.id, itemId: subject.id } },
+    });
+
+    return {
+      name: locked.name,
+      total: locked.stock,
+      stock: locked.stock === null ? null : held?.stock ?? 0,
+      locationId: location.id,
+    };
+  }
+
+  // Sets the locked stock to `balance`. At a location the item's total moves by
+  // the same amount.
+  private async apply(
+    tx: Prisma.TransactionClient,
+    subject: StockSubject,
+    locked: LockedStock,
+    type: StockMovementType,
+    balance: number,
+    context: MovementContext
+  ) {
+    const previous = locked.stock ?? 0;
+
+    if (subject.kind === 'item') {
+      const total = (locked.total ?? 0) + balance - previous;
+
+      if (locked.locationId) {
+        await tx.locationStock.upsert({
+          where: { locationId_itemId: { locationId: locked.locationId, itemId: subject.id } },
+          create: { locationId: locked.locationId, itemId: subject.id, stock: balance },
+          update: { stock: balance },
+        });
+      }
+      await tx.item.update({
+        where: { id: subject.id },
+        data: { stock: total, ...(await availabilityForStock(tx, subject.id, locked.total, total)) },
+      });
+    } else {
+      await tx.ingredient.update({ where: { id: subject.id }, data: { stock: balance } });
+      await refreshRecipeAvailability(tx, subject.id, previous, balance);
+    }
+
+    return recordMovement(tx, subject, type, balance - previous, balance, { ...context, locationId: locked.locationId });
+  }
+
+  private checkAlerts(subject: StockSubject) {
+    if (subject.kind === 'item') {
+      this.alertService.checkSoon([subject.id]);
+    } else {
+      this.alertService.checkIngredientsSoon([subject.id]);
+    }
+  }
+}
@@ -0,0 +1,137 @@
+// Suppliers - who sells the pantry its stock, and for each item they supply the
+// unit cost, lead time and minimum order
+
+import { z } from 'zod';
+import { Prisma } from '@prisma/client';
+import { Decimal } from '@prisma/client/runtime/library';
+import { prisma } from '../../config/index.js';
+import { NotFoundError, BadRequestError, ConflictError } from '../../common/errors.js';
+
+// ============================================
+// SCHEMAS
+// ============================================
+
+export const createSupplierSchema = z.object({
+  name: z.string().min(2).max(100),
+  contactName: z.string().max(100).optional(),
+  email: z.string().email().optional(),
+  phone: z.string().max(30).optional(),
+  notes: z.string().max(1000).optional(),
+  isActive: z.boolean().default(true),
+});
+
+export const updateSupplierSchema = createSupplierSchema.partial();
+
+export const supplierItemSchema = z.object({
+  itemId: z.string().uuid(),
+  sku: z.string().max(50).optional(),
+  unitCost: z.number().min(0).max(1000000),
+  leadTimeDays: z.number().int().min(0).max(365).default(1),
+  minOrderQuantity: z.number().int().min(1).max(100000).default(1),
+  isPreferred: z.boolean().default(false),
+});
+
+// Replaces the supplier's whole list
+export const setSupplierItemsSchema = z.object({
+  items: z
+    .array(supplierItemSchema)
+    .max(1000)
+    .refine((items) => new Set(items.map((item) => item.itemId)).size === items.length, {
+      message: 'Each item can only be listed once',
+    }),
+});
+
+// ============================================
+// SERVICE
+// ============================================
+
+const supplierInclude = {
+  items: {
+    include: { item: { select: { id: true, name: true, stock: true, lowStockThreshold: true } } },
+    orderBy: { item: { name: 'asc' } },
+  },
+} satisfies Prisma.SupplierInclude;
+
+export class SupplierService {
+  async create(orgId: string, data: z.infer<typeof createSupplierSchema>) {
+    await this.assertNameFree(orgId, data.name);
+    return prisma.supplier.create({ data: { ...data, organizationId: orgId } });
+  }
+
+  async findByOrg(orgId: string, includeInactive = false) {
+    return prisma.supplier.findMany({
+      where: { organizationId: orgId, ...(includeInactive ? {} : { isActive: true }) },
+      include: { _count: { select: { items: true } } },
+      orderBy: { name: 'asc' },
+    });
+  }
+
+  async findById(id: string, orgId: string) {
+    const supplier = await prisma.supplier.findUnique({ where: { id }, include: supplierInclude });
+
+    if (!supplier || supplier.organizationId !== orgId) {
+      throw new NotFoundError('Supplier not found');
+    }
+
+    return supplier;
+  }
+
+  async update(id: string, orgId: string, data: z.infer<typeof updateSupplierSchema>) {
+    const supplier = await this.findById(id, orgId);
+
+    if (data.name && data.name !== supplier.name) {
+      await this.assertNameFree(orgId, data.name);
+    }
+
+    await prisma.supplier.update({ where: { id }, data });
+    return this.findById(id, orgId);
+  }
+
+  // Suppliers with purchase orders are kept for the history; deactivate them
+  async delete(id: string, orgId: string) {
+    await this.findById(id, orgId);
+
+    const orders = await prisma.purchaseOrder.count({ where: { supplierId: id } });
+    if (orders > 0) {
+      throw new ConflictError(`This supplier has ${orders} purchase orders; deactivate it instead`);
+    }
+
+    await prisma.supplier.delete({ where: { id } });
+  }
+
+  // An item has at most one preferred supplier; preferring it here clears the
+  // flag at the others
+  async setItems(id: string, orgId: string, data: z.infer<typeof setSupplierItemsSchema>) {
+    await this.findById(id, orgId);
+
+    const itemIds = data.items.map((item) => item.itemId);
+    const found = await prisma.item.count({ where: { id: { in: itemIds }, category: { organizationId: orgId } } });
+    if (found !== itemIds.length) {
+      throw new BadRequestError('One or more items were not found');
+    }
+
+    const preferred = data.items.filter((item) => item.isPreferred).map((item) => item.itemId);
+
+    await prisma.$transaction(async (tx) => {
+      await tx.supplierItem.deleteMany({ where: { supplierId: id } });
+      await tx.supplierItem.updateMany({
+        where: { itemId: { in: preferred }, isPreferred: true },
+        data: { isPreferred: false },
+      });
+      await tx.supplierItem.createMany({
+        data: data.items.map((item) => ({ ...item, unitCost: new Decimal(item.unitCost), supplierId: id })),
+      });
+    });
+
+    return this.findById(id, orgId);
+  }
+
+  private async assertNameFree(orgId: string, name: string) {
+    const existing = await prisma.supplier.findUnique({
+      where: { organizationId_name: { organizationId: orgId, name } },
+    });
+    if (existing) {
+      throw new ConflictError('A supplier with this name already exists');
+    }
+  }
+}
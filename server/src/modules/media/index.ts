@@ -0,0 +1,218 @@
+// Media module - image uploads for items, categories and organization logos,
+// resized into WebP and JPEG/PNG variants with metadata stripped
+
+import { randomUUID } from 'crypto';
+import { RequestHandler } from 'express';
+import multer from 'multer';
+import sharp from 'sharp';
+import { Prisma } from '@prisma/client';
+import { prisma } from '../../config/index.js';
+import { BadRequestError } from '../../common/errors.js';
+import { storage } from './storage.js';
+
+// ============================================
+// UPLOADS
+// ============================================
+
+const MAX_UPLOAD_BYTES = 8 * 1024 * 1024;
+const MAX_INPUT_PIXELS = 40_000_000; // Refuse decompression bombs before decoding
+
+const ACCEPTED_TYPES = new Set(['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/avif']);
+const ACCEPTED_FORMATS = new Set(['jpeg', 'png', 'webp', 'gif', 'heif']); // sharp reports AVIF as heif
+const TYPE_ERROR = 'Upload a JPEG, PNG, WebP, GIF or AVIF image';
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+  fileFilter: (_req, file, callback) => {
+    if (ACCEPTED_TYPES.has(file.mimetype)) {
+      callback(null, true);
+    } else {
+      callback(new BadRequestError(TYPE_ERROR));
+    }
+  },
+});
+
+// Reads one multipart image from `field` into req.file
+export function imageUpload(field = 'image'): RequestHandler {
+  const single = upload.single(field);
+
+  return (req, res, next) => {
+    single(req, res, (error: unknown) => {
+      if (error instanceof multer.MulterError) {
+        const message = error.code === 'LIMIT_FILE_SIZE'
+          ? `Images can be at most ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`
+          : `${error.message} (send one file in the "${field}" field)`;
+        next(new BadRequestError(message));
+        return;
+      }
+      next(error);
+    });
+  };
+}
+
+// ============================================
+// PROCESSING
+// ============================================
+
+const SIZES = {
+  thumb: 160,
+  medium: 480,
+  large: 1200,
+} as const;
+
+export type ImageFolder = 'items' | 'categories' | 'logos';
+
+export interface ImageVariant {
+  name: keyof typeof SIZES;
+  format: 'webp' | 'jpeg' | 'png';
+  key: string;
+  url: string;
+  width: number;
+  height: number;
+  bytes: number;
+}
+
+// Every size as WebP plus JPEG, or PNG when the image has transparency. The
+// upload's own bytes are never stored: re-encoding drops EXIF, GPS and other
+// metadata, after the EXIF orientation has been applied.
+async function renderVariants(input: Buffer) {
+  const source = sharp(input, { limitInputPixels: MAX_INPUT_PIXELS });
+
+  let metadata: sharp.Metadata;
+  try {
+    metadata = await source.metadata();
+  } catch {
+    throw new BadRequestError('The file is not a readable image');
+  }
+
+  // The declared type comes from the client; check what the bytes really are
+  if (!metadata.format || !ACCEPTED_FORMATS.has(metadata.format)) {
+    throw new BadRequestError(TYPE_ERROR);
+  }
+
+  const fallback = metadata.hasAlpha ? 'png' : 'jpeg';
+  const rotated = source.rotate();
+  const variants: Array<Omit<ImageVariant, 'key' | 'url'> & { data: Buffer }> = [];
+
+  try {
+    for (const [name, size] of Object.entries(SIZES) as Array<[keyof typeof SIZES, number]>) {
+      const resized = rotated.clone().resize(size, size, { fit: 'inside', withoutEnlargement: true });
+
+      for (const format of ['webp', fallback] as const) {
+        const { data, info } = await resized
+          .clone()
+          .toFormat(format, format === 'png' ? { compressionLevel: 9 } : { quality: 82 })
+          .toBuffer({ resolveWithObject: true });
+
+        variants.push({ name, format, width: info.width, height: info.height, bytes: data.length, data });
+      }
+    }
+  } catch {
+    throw new BadRequestError('The image could not be processed');
+  }
+
+  const large = variants.find((variant) => variant.name === 'large')!;
+  return { variants, width: large.width, height: large.height };
+}
+
+// ============================================
+// SERVICE
+// ============================================
+
+export class MediaService {
+  // Stores the variants and records the image. The caller then points its
+  // item, category or organization at it; if that fails, the orphan sweep
+  // removes the image later.
+  async upload(orgId: string, folder: ImageFolder, file: Express.Multer.File | undefined) {
+    if (!file) {
+      throw new BadRequestError('No image was uploaded');
+    }
+
+    const rendered = await renderVariants(file.buffer);
+    const id = randomUUID();
+    const storageKey = `${orgId}/${folder}/${id}`;
+
+    const variants: ImageVariant[] = rendered.variants.map(({ data: _data, ...variant }) => {
+      const key = `${storageKey}/${variant.name}.${variant.format === 'jpeg' ? 'jpg' : variant.format}`;
+      return { ...variant, key, url: storage.url(key) };
+    });
+
+    try {
+      await Promise.all(rendered.variants.map((variant, index) =>
+        storage.put(variants[index].key, variant.data, `image/${variant.format}`)
+      ));
+    } catch (error) {
+      await storage.delete(variants.map((variant) => variant.key)).catch(() => undefined);
+      throw error;
+    }
+
+    const image = await prisma.image.create({
+      data: {
+        id,
+        storageKey,
+        variants: variants as unknown as Prisma.InputJsonArray,
+        width: rendered.width,
+        height: rendered.height,
+        organizationId: orgId,
+      },
+    });
+
+    return { ...image, variants, url: primaryUrl(variants) };
+  }
+
+  // Deletes the files and the record. Never throws: an image that could not
+  // be deleted stays unused and the orphan sweep retries it.
+  async remove(id: string | null | undefined) {
+    if (!id) return;
+
+    try {
+      const image = await prisma.image.findUnique({ where: { id } });
+      if (!image) return;
+
+      const variants = image.variants as unknown as ImageVariant[];
+      await storage.delete(variants.map((variant) => variant.key));
+      await prisma.image.delete({ where: { id } });
+    } catch (error) {
+      console.error(`Failed to delete image ${id}:`, error);
+    }
+  }
+
+  // Images nothing points at any more, e.g. of items deleted along with their
+  // category, or uploads whose owner was never updated
+  async removeOrphans(olderThan: Date, limit = 100) {
+    const orphans = await prisma.image.findMany({
+      where: {
+        createdAt: { lt: olderThan },
+        items: { none: {} },
+        categories: { none: {} },
+        logoFor: null,
+      },
+      select: { id: true },
+      orderBy: { createdAt: 'asc' },
+      take: limit,
+    });
+
+    for (const orphan of orphans) {
+      await this.remove(orphan.id);
+    }
+
+    return orphans.length;
+  }
+
+  // Removes every image of an organization that is about to be deleted; its
+  // records go with it, the files would not
+  async removeAll(orgId: string) {
+    const images = await prisma.image.findMany({ where: { organizationId: orgId }, select: { id: true } });
+    for (const image of images) {
+      await this.remove(image.id);
+    }
+  }
+}
+
+// The large size in the widely supported format, for clients that only take
+// one URL (Item.image, Organization.logo)
+export function primaryUrl(variants: ImageVariant[]) {
+  const large = variants.filter((variant) => variant.name === 'large');
+  return (large.find((variant) => variant.format !== 'webp') ?? large[0]).url;
+}
@@ -0,0 +1,88 @@
+// Storage drivers - where uploaded files live. S3-compatible services (MinIO
+// in development) or a folder on the local disk served by the API itself.
+
+import path from 'path';
+import { mkdir, writeFile, rm, rmdir } from 'fs/promises';
+import { S3Client, PutObjectCommand, DeleteObjectsCommand } from '@aws-sdk/client-s3';
+import { config } from '../../config/index.js';
+
+export interface StorageDriver {
+  put(key: string, body: Buffer, contentType: string): Promise<void>;
+  delete(keys: string[]): Promise<void>;
+  url(key: string): string;
+}
+
+// Keys are never reused, so clients and CDNs can cache forever
+const CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+export class S3StorageDriver implements StorageDriver {
+  private client: S3Client;
+
+  constructor(private options = config.storage) {
+    this.client = new S3Client({
+      endpoint: options.endpoint,
+      region: options.region,
+      forcePathStyle: true, // MinIO serves buckets as paths, not subdomains
+      ...(options.accessKey && options.secretKey && {
+        credentials: { accessKeyId: options.accessKey, secretAccessKey: options.secretKey },
+      }),
+    });
+  }
+
+  async put(key: string, body: Buffer, contentType: string) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.options.bucket,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+      CacheControl: CACHE_CONTROL,
+    }));
+  }
+
+  async delete(keys: string[]) {
+    if (keys.length === 0) return;
+
+    await this.client.send(new DeleteObjectsCommand({
+      Bucket: this.options.bucket,
+      Delete: { Objects: keys.map((key) => ({ Key: key })), Quiet: true },
+    }));
+  }
+
+  url(key: string) {
+    const base = this.options.publicUrl || `${this.options.endpoint}/${this.options.bucket}`;
+    return `${base.replace(/\/$/, '')}/${key}`;
+  }
+}
+
+// Files are served from /uploads; see src/index.ts
+export class LocalStorageDriver implements StorageDriver {
+  readonly root = path.resolve(config.storage.uploadsDir);
+
+  async put(key: string, body: Buffer) {
+    const file = this.resolve(key);
+    await mkdir(path.dirname(file), { recursive: true });
+    await writeFile(file, body);
+  }
+
+  async delete(keys: string[]) {
+    const folders = new Set(keys.map((key) => path.dirname(this.resolve(key))));
+    await Promise.all(keys.map((key) => rm(this.resolve(key), { force: true })));
+    // Each image has its own folder; remove it once it is empty
+    await Promise.all([...folders].map((folder) => rmdir(folder).catch(() => undefined)));
+  }
+
+  url(key: string) {
+    return `${config.app.url}/uploads/${key}`;
+  }
+
+  private resolve(key: string) {
+    const file = path.resolve(this.root, key);
+    if (!file.startsWith(this.root + path.sep)) {
+      throw new Error(`Storage key escapes the uploads folder: ${key}`);
+    }
+    return file;
+  }
+}
+
+export const storage: StorageDriver =
+  config.storage.driver === 's3' ? new S3StorageDriver() : new LocalStorageDriver();
@@ -0,0 +1,55 @@
+// Notification module - pushes org events to the webhooks configured in settings
+
+import { prisma } from '../../config/index.js';
+import { parseOrgSettings } from '../organization/index.js';
+
+export interface Notification {
+  event: string; // e.g. "SLA_BREACH"
+  title: string;
+  message: string;
+  data?: Record<string, unknown>;
+}
+
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+export class NotificationService {
+  // Delivery is best effort and runs in the background: a slow or broken
+  // webhook must never hold up or fail the caller
+  notify(organizationId: string, notification: Notification) {
+    this.deliver(organizationId, notification).catch((error) => {
+      console.error(`Failed to deliver ${notification.event} notification:`, error);
+    });
+  }
+
+  private async deliver(organizationId: string, notification: Notification) {
+    const org = await prisma.organization.findUnique({ where: { id: organizationId } });
+    if (!org) return;
+
+    const { webhooks } = parseOrgSettings(org.settings).notifications;
+    const targets = webhooks.filter(
+      (webhook) => webhook.events.length === 0 || webhook.events.includes(notification.event)
+    );
+
+    await Promise.all(
+      targets.map(async (webhook) => {
+        const body = webhook.format === 'slack'
+          ? { text: `*${notification.title}*\n${notification.message}` }
+          : { ...notification, organizationId, sentAt: new Date().toISOString() };
+
+        try {
+          const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+            signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+          });
+          if (!response.ok) {
+            console.error(`Webhook ${webhook.url} responded ${response.status} for ${notification.event}`);
+          }
+        } catch (error) {
+          console.error(`Webhook ${webhook.url} failed for ${notification.event}:`, error);
+        }
+      })
+    );
+  }
+}
@@ -0,0 +1,23 @@
+// Realtime order events - published on Redis, relayed to sockets by the server
+
+import { redis } from '../../config/index.js';
+
+type RoutedOrder = { stationId?: string | null; items?: Array<{ stationId?: string | null }> };
+
+// Stations whose room should also get the event: every station with a line on the order(s)
+function stationIdsOf(payload: Record<string, unknown>) {
+  const order = payload.order as RoutedOrder | null | undefined;
+  const orders = [...(order ? [order] : []), ...((payload.orders as RoutedOrder[] | undefined) ?? [])];
+
+  const ids = orders.flatMap((routed) => [routed.stationId, ...(routed.items ?? []).map((line) => line.stationId)]);
+  return [...new Set(ids.filter((id): id is string => Boolean(id)))];
+}
+
+export async function publishOrderEvent(
+  organizationId: string,
+  type: string,
+  payload: Record<string, unknown>
+) {
+  const stationIds = stationIdsOf(payload);
+  await redis.publish(`orders:${organizationId}`, JSON.stringify({ type, ...payload, stationIds }));
+}
@@ -3,11 +3,35 @@
 import { z } from 'zod';
 import { Router, Response, Request } from 'express';
 import { Decimal } from '@prisma/client/runtime/library';
-import { prisma, redis } from '../../config/index.js';
-import { NotFoundError, BadRequestError, ForbiddenError } from '../../common/errors.js';
+import { Coupon, OrderStatus } from '@prisma/client';
+import { prisma } from '../../config/index.js';
+import { NotFoundError, BadRequestError, ForbiddenError, ConflictError } from '../../common/errors.js';
 import { validate, authenticate, requireRole, optionalAuth } from '../../common/middleware/index.js';
 import { sendSuccess, sendCreated } from '../../common/utils/index.js';
 import { ItemService } from '../inventory/index.js';
+import { StockAlertService } from '../inventory/alerts.js';
+import { IngredientService } from '../inventory/ingredients.js';
+import { locationForSpace, stockAtLocation } from '../inventory/stock.js';
+import { resolveOptions, unitPriceFor, selectedOptionsSchema, SelectedOptions } from '../inventory/options.js';
+import { checkAvailability, unavailableMessage } from '../inventory/availability.js';
+import { CouponService } from '../coupon/index.js';
+import { parseOrgSettings, isWithinBusinessHours, OrgSettings } from '../organization/index.js';
+import { PaymentService } from '../payment/index.js';
+import { isCaptured, holdsMoney, refundableAmount } from '../payment/refunds.js';
+import { OrderStatusService, StatusActor, SYSTEM_ACTOR } from './status.js';
+import { publishOrderEvent } from './events.js';
+import { allocateOrderNumber } from './numbering.js';
+import {
+  listOrdersQuerySchema,
+  exportOrdersQuerySchema,
+  buildOrderWhere,
+  buildOrderBy,
+  afterCursor,
+  encodeCursor,
+} from './search.js';
+import { streamOrdersExport } from './export.js';
+import { KitchenQueueService } from './queue.js';
+import { StationService } from '../station/index.js';
 
 // ============================================
 // SCHEMAS
@@ -16,8 +40,9 @@ import { ItemService } from '../inventory/index.js';
 export const orderItemSchema = z.object({
   itemId: z.string().uuid(),
   quantity: z.number().int().min(1).max(20),
-  options: z.record(z.string()).optional(),
+  options: selectedOptionsSchema.optional(),
   notes: z.string().max(200).optional(),
+  participantId: z.string().uuid().optional(), // Group orders: who this line is for
 });
 
 export const createOrderSchema = z.object({
@@ -26,20 +51,88 @@ export const createOrderSchema = z.object({
   couponCode: z.string().optional(),
   notes: z.string().max(500).optional(),
   chairNumber: z.number().int().positive().optional(),
+  scheduledFor: z.coerce.date().optional(), // Requested delivery time for pre-orders
 });
 
+const BULK_LIMIT = 200;
+
 export const updateOrderStatusSchema = z.object({
   status: z.enum(['ACCEPTED', 'PREPARING', 'READY', 'DELIVERED', 'CANCELLED']),
+  reason: z.string().max(500).optional(),
+});
+
+// Either explicit ids or a filter, e.g. every READY order in one space
+export const bulkUpdateStatusSchema = updateOrderStatusSchema
+  .extend({
+    orderIds: z.array(z.string().uuid()).min(1).max(BULK_LIMIT).optional(),
+    filter: z.object({
+      status: z.array(z.nativeEnum(OrderStatus)).optional(),
+      spaceId: z.string().uuid().optional(),
+      stationId: z.string().uuid().optional(),
+      from: z.coerce.date().optional(),
+      to: z.coerce.date().optional(),
+    }).optional(),
+  })
+  .refine((data) => Boolean(data.orderIds) !== Boolean(data.filter), {
+    message: 'Provide either orderIds or filter',
+    path: ['orderIds'],
+  });
+
+export const cancelOrderSchema = z.object({
+  sessionId: z.string().uuid(),
+  reason: z.string().max(500).optional(),
+});
+
+export const amendOrderSchema = z.object({
+  sessionId: z.string().uuid(),
+  items: z.array(orderItemSchema).min(1).max(50).optional(),
+  notes: z.string().max(500).nullable().optional(),
+  chairNumber: z.number().int().positive().nullable().optional(),
+}).refine(
+  (data) => data.items !== undefined || data.notes !== undefined || data.chairNumber !== undefined,
+  { message: 'Nothing to change' }
+);
+
+// Guests prove they own the order with their session
+export const timelineQuerySchema = z.object({
+  sessionId: z.string().uuid().optional(),
+});
+
+export const reorderSchema = z.object({
+  sessionId: z.string().uuid(), // The guest's current session
+  chairNumber: z.number().int().positive().optional(),
 });
 
 // ============================================
 // SERVICE
 // ============================================
 
+export type ReorderSkipReason = 'UNAVAILABLE' | 'INSUFFICIENT_STOCK' | 'INVALID_OPTIONS';
+
+type PricedOrderItem = {
+  itemId: string;
+  quantity: number;
+  unitPrice: Decimal;
+  total: Decimal;
+  options?: SelectedOptions;
+  notes?: string;
+  participantId?: string;
+  participantName?: string;
+  chairNumber?: number | null;
+  stationId?: string | null;
+};
+
 export class OrderService {
   private itemService = new ItemService();
+  private couponService = new CouponService();
+  private statusService = new OrderStatusService();
+  private paymentService = new PaymentService();
+  private queueService = new KitchenQueueService();
+  private stationService = new StationService();
+  private stockAlertService = new StockAlertService();
+  private ingredientService = new IngredientService();
 
-  async create(data: z.infer<typeof createOrderSchema>, userId?: string) {
+  async create(data: z.infer<typeof createOrderSchema>, actor: StatusActor = { role: 'GUEST' }) {
     // Verify session
     const session = await prisma.session.findUnique({
       where: { id: data.sessionId },
@@ -54,49 +147,26 @@ export class OrderService {
       throw new BadRequestError('Invalid or expired session');
     }
 
-    // Calculate order totals
-    let subtotal = new Decimal(0);
-    const orderItems: Array<{
-      itemId: string;
-      quantity: number;
-      unitPrice: Decimal;
-      total: Decimal;
-      options?: Record<string, string>;
-      notes?: string;
-    }> = [];
-
-    for (const orderItem of data.items) {
-      const item = await this.itemService.findById(orderItem.itemId);
-
-      if (!item.isAvailable || !item.isActive) {
-        throw new BadRequestError(`Item "${item.name}" is not available`);
-      }
+    const settings = parseOrgSettings(session.space.organization.settings);
+    const releaseAt = data.scheduledFor
+      ? this.scheduleRelease(data.scheduledFor, session, settings)
+      : null;
+    const releasedNow = !releaseAt || releaseAt <= new Date();
 
-      // Check stock
-      if (item.stock !== null && item.stock < orderItem.quantity) {
-        throw new BadRequestError(`Insufficient stock for "${item.name}"`);
-      }
-
-      const unitPrice = item.isFree ? new Decimal(0) : item.price;
-      const total = unitPrice.mul(orderItem.quantity);
-      subtotal = subtotal.add(total);
-
-      orderItems.push({
-        itemId: item.id,
-        quantity: orderItem.quantity,
-        unitPrice,
-        total,
-        options: orderItem.options,
-        notes: orderItem.notes,
-      });
-    }
+    // Calculate order totals
+    const { orderItems, subtotal, stationId } = await this.priceItems(data.items, {
+      sessionId: session.id,
+      spaceId: session.spaceId,
+      organizationId: session.space.organizationId,
+      scheduledFor: data.scheduledFor,
+    });
 
     // Apply coupon if provided
     let discount = new Decimal(0);
-    let couponId: string | undefined;
+    let coupon: Coupon | null = null;
 
     if (data.couponCode) {
-      const coupon = await prisma.coupon.findUnique({
+      const found = await prisma.coupon.findUnique({
         where: {
           code_organizationId: {
             code: data.couponCode.toUpperCase(),
@@ -105,83 +175,140 @@ export class OrderService {
         },
       });
 
-      if (coupon && coupon.isActive && (!coupon.validUntil || coupon.validUntil > new Date())) {
-        if (coupon.minOrderAmount && subtotal.lessThan(coupon.minOrderAmount)) {
-          throw new BadRequestError(`Minimum order amount is ₹${coupon.minOrderAmount}`);
-        }
-
-        if (coupon.usageLimit && coupon.usageCount >= coupon.usageLimit) {
+      if (found && found.isActive && (!found.validUntil || found.validUntil > new Date())) {
+        if (found.usageLimit && found.usageCount >= found.usageLimit) {
           throw new BadRequestError('Coupon usage limit reached');
         }
 
-        if (coupon.type === 'PERCENTAGE') {
-          discount = subtotal.mul(coupon.value).div(100);
-          if (coupon.maxDiscount && discount.greaterThan(coupon.maxDiscount)) {
-            discount = coupon.maxDiscount;
-          }
-        } else {
-          discount = coupon.value;
-        }
-
-        couponId = coupon.id;
+        discount = this.calculateDiscount(found, subtotal);
+        coupon = found;
       }
     }
 
     const total = subtotal.sub(discount);
+    const stockLocationId = await locationForSpace(prisma, session.spaceId);
 
-    // Generate order number
-    const orderCount = await prisma.order.count({
-      where: { organizationId: session.space.organizationId },
-    });
-    const orderNumber = `ORD-${String(orderCount + 1).padStart(5, '0')}`;
-
-    // Create order
-    const order = await prisma.order.create({
-      data: {
-        orderNumber,
-        organizationId: session.space.organizationId,
-        sessionId: session.id,
-        spaceId: session.spaceId,
-        userId,
-        couponId,
-        subtotal,
-        discount,
-        total,
-        chairNumber: data.chairNumber,
-        notes: data.notes,
-        items: {
-          create: orderItems,
+    // Stock, coupon redemption, numbering and the order itself commit together,
+    // so concurrent orders for the last unit cannot both succeed
+    const order = await prisma.$transaction(async (tx) => {
+      if (coupon) {
+        await this.couponService.redeem(tx, coupon);
+      }
+
+      const orderNumber = await allocateOrderNumber(tx, session.space.organizationId, settings);
+
+      const created = await tx.order.create({
+        data: {
+          orderNumber,
+          organizationId: session.space.organizationId,
+          sessionId: session.id,
+          spaceId: session.spaceId,
+          userId: actor.userId,
+          couponId: coupon?.id,
+          stationId,
+          stockLocationId,
+          subtotal,
+          discount,
+          total,
+          chairNumber: data.chairNumber,
+          notes: data.notes,
+          scheduledFor: data.scheduledFor,
+          releaseAt,
+          releasedAt: releasedNow ? new Date() : null,
+          items: {
+            create: orderItems,
+          },
+          statusEvents: {
+            create: { toStatus: 'PENDING', actorId: actor.userId, actorRole: actor.role },
+          },
         },
-      },
-      include: {
-        items: {
-          include: { item: true },
+        include: {
+          items: {
+            include: { item: true },
+          },
+          space: true,
+          coupon: true,
         },
-        space: true,
-        coupon: true,
-      },
+      });
+
+      const movement = { orderId: created.id, actorId: actor.userId, locationId: stockLocationId };
+      for (const orderItem of orderItems) {
+        await this.itemService.reserveStock(tx, orderItem.itemId, orderItem.quantity, movement);
+        await this.ingredientService.consume(tx, orderItem, movement);
+      }
+
+      return created;
     });
 
-    // Update stock for each item
-    for (const orderItem of orderItems) {
-      await this.itemService.updateStock(orderItem.itemId, -orderItem.quantity);
+    this.stockAlertService.checkSoon(orderItems.map((orderItem) => orderItem.itemId));
+
+    // Publish order event for real-time updates. Scheduled orders are
+    // announced by the release job once they are due.
+    if (releasedNow) {
+      await publishOrderEvent(session.space.organizationId, 'NEW_ORDER', { order });
+      this.queueService.refreshEtasSoon(session.space.organizationId);
     }
 
-    // Update coupon usage
-    if (couponId) {
-      await prisma.coupon.update({
-        where: { id: couponId },
-        data: { usageCount: { increment: 1 } },
+    return order;
+  }
+
+  // Moves scheduled pre-orders into the live pantry queue once they are due.
+  // Safe to run on every replica: each order is claimed with a conditional update.
+  async releaseDueOrders(now = new Date()) {
+    const due = await prisma.order.findMany({
+      where: {
+        releaseAt: { lte: now },
+        releasedAt: null,
+        status: { not: 'CANCELLED' },
+      },
+      select: { id: true },
+      orderBy: { releaseAt: 'asc' },
+      take: 100,
+    });
+
+    let released = 0;
+    const orgIds = new Set<string>();
+
+    for (const { id } of due) {
+      const { count } = await prisma.order.updateMany({
+        where: { id, releasedAt: null },
+        data: { releasedAt: now },
+      });
+      if (count === 0) continue;
+
+      await this.acceptIfPaid(id);
+
+      const order = await prisma.order.findUniqueOrThrow({
+        where: { id },
+        include: {
+          items: { include: { item: true } },
+          space: true,
+          coupon: true,
+        },
       });
+
+      await publishOrderEvent(order.organizationId, 'NEW_ORDER', { order });
+      orgIds.add(order.organizationId);
+      released++;
     }
 
-    // Publish order event for real-time updates
-    await redis.publish(
-      `orders:${session.space.organizationId}`,
-      JSON.stringify({ type: 'NEW_ORDER', order })
-    );
+    for (const orgId of orgIds) {
+      await this.queueService.refreshEtas(orgId);
+    }
 
-    return order;
+    return released;
+  }
+
+  // Pre-orders paid in advance skip the PENDING step once released, like orders paid now
+  private async acceptIfPaid(id: string) {
+    const order = await prisma.order.findUniqueOrThrow({ where: { id }, include: { payment: true } });
+    if (order.status !== 'PENDING' || !isCaptured(order.payment?.status)) return;
+
+    try {
+      await this.statusService.transition(id, 'ACCEPTED', SYSTEM_ACTOR, { reason: 'Payment completed' });
+    } catch (error) {
+      console.error(`Failed to accept released order ${id}:`, error);
+    }
   }
 
   async findById(id: string) {
@@ -191,6 +318,9 @@ export class OrderService {
         items: { include: { item: true } },
         space: true,
         user: { select: { id: true, name: true, email: true } },
+        station: { select: { id: true, name: true } },
+        acceptedBy: { select: { id: true, name: true } },
+        deliveredBy: { select: { id: true, name: true } },
         coupon: true,
         payment: true,
       },
@@ -203,28 +333,37 @@ export class OrderService {
     return order;
   }
 
-  async findByOrg(orgId: string, options: { status?: string; limit?: number; offset?: number; } = {}) {
-    const where = {
-      organizationId: orgId,
-      ...(options.status && { status: options.status as any }),
-    };
+  async findByOrg(orgId: string, query: z.infer<typeof listOrdersQuerySchema>) {
+    const where = buildOrderWhere(orgId, query);
 
-    const [orders, total] = await Promise.all([
+    const [rows, total] = await Promise.all([
       prisma.order.findMany({
-        where,
+        where: query.after ? { AND: [where, afterCursor(query.after, query)] } : where,
         include: {
           items: { include: { item: { select: { id: true, name: true, icon: true } } } },
           space: { select: { id: true, name: true } },
           user: { select: { id: true, name: true } },
+          station: { select: { id: true, name: true } },
+          acceptedBy: { select: { id: true, name: true } },
+          coupon: { select: { id: true, code: true } },
+          payment: { select: { id: true, status: true, provider: true } },
         },
-        orderBy: { placedAt: 'desc' },
-        take: options.limit ?? 50,
-        skip: options.offset ?? 0,
+        orderBy: buildOrderBy(query),
+        take: query.limit + 1, // One extra to know whether there is another page
       }),
       prisma.order.count({ where }),
     ]);
 
-    return { orders, total };
+    const hasMore = rows.length > query.limit;
+    const orders = hasMore ? rows.slice(0, -1) : rows;
+    const last = orders[orders.length - 1];
+
+    return {
+      orders,
+      total,
+      hasMore,
+      cursor: hasMore && last ? encodeCursor(last, query.sort) : null,
+    };
   }
 
   async findBySession(sessionId: string) {
@@ -238,41 +377,557 @@ export class OrderService {
     });
   }
 
-  async updateStatus(id: string, status: string, orgId: string) {
+  async updateStatus(
+    id: string,
+    status: OrderStatus,
+    orgId: string,
+    actor: StatusActor,
+    reason?: string
+  ) {
     const order = await this.findById(id);
 
     if (order.organizationId !== orgId) {
       throw new ForbiddenError('Cannot update order from different organization');
     }
 
+    if (status === 'CANCELLED') {
+      return this.cancel(id, actor, reason);
+    }
+
+    await this.statusService.transition(id, status, actor, { reason });
+
+    const updated = await this.findForEvent(id);
+
+    // Publish status update
+    await publishOrderEvent(orgId, 'STATUS_UPDATE', { order: updated });
+    this.queueService.refreshEtasSoon(orgId);
+
+    return updated;
+  }
+
+  // Cancels an order and undoes its side effects: stock goes back on the shelf,
+  // the coupon use is released and any captured payment is refunded.
+  async cancel(id: string, actor: StatusActor, reason?: string) {
+    const order = await this.cancelQuietly(id, actor, reason);
+
+    const updated = await this.findForEvent(id);
+    await publishOrderEvent(order.organizationId, 'STATUS_UPDATE', { order: updated });
+    this.queueService.refreshEtasSoon(order.organizationId);
+
+    return updated;
+  }
+
+  // Applies one status change to many orders. Each order is validated and
+  // committed on its own, so one bad order does not fail the batch; listeners
+  // get a single event for everything that changed.
+  async bulkUpdateStatus(orgId: string, data: z.infer<typeof bulkUpdateStatusSchema>, actor: StatusActor) {
+    const candidates = await prisma.order.findMany({
+      where: data.orderIds
+        ? { id: { in: data.orderIds }, organizationId: orgId }
+        : buildOrderWhere(orgId, data.filter ?? {}),
+      select: { id: true, orderNumber: true },
+      orderBy: { placedAt: 'asc' },
+      take: BULK_LIMIT + 1,
+    });
+
+    if (candidates.length > BULK_LIMIT) {
+      throw new BadRequestError(`A bulk update can change at most ${BULK_LIMIT} orders; narrow the filter`);
+    }
+
+    const succeeded: { id: string; orderNumber: string }[] = [];
+    const failed: { id: string; orderNumber?: string; error: string }[] = [];
+
+    for (const id of data.orderIds ?? []) {
+      if (!candidates.some((order) => order.id === id)) {
+        failed.push({ id, error: 'Order not found' });
+      }
+    }
+
+    for (const order of candidates) {
+      try {
+        if (data.status === 'CANCELLED') {
+          await this.cancelQuietly(order.id, actor, data.reason);
+        } else {
+          await this.statusService.transition(order.id, data.status, actor, { reason: data.reason });
+        }
+        succeeded.push(order);
+      } catch (error) {
+        failed.push({ ...order, error: error instanceof Error ? error.message : 'Update failed' });
+      }
+    }
+
+    if (succeeded.length > 0) {
+      const orders = await prisma.order.findMany({
+        where: { id: { in: succeeded.map((order) => order.id) } },
+        include: { items: { include: { item: true } }, space: true },
+      });
+      await publishOrderEvent(orgId, 'BULK_STATUS_UPDATE', { status: data.status, orders });
+      this.queueService.refreshEtasSoon(orgId);
+    }
+
+    return { status: data.status, succeeded, failed };
+  }
+
+  // Cancellation side effects without the realtime event
+  private async cancelQuietly(id: string, actor: StatusActor, reason?: string) {
+    const order = await this.findById(id);
+    const locationId = await this.stockLocationOf(order);
+
+    const items = await prisma.$transaction(async (tx) => {
+      await this.statusService.transition(id, 'CANCELLED', actor, { reason, db: tx });
+
+      // The transition holds the order row, so these are the lines of any amendment that ran first
+      const items = await tx.orderItem.findMany({ where: { orderId: id } });
+
+      const movement = { orderId: id, actorId: actor.userId, reason: reason ?? 'Order cancelled', locationId };
+      for (const orderItem of items) {
+        await this.itemService.releaseStock(tx, orderItem.itemId, orderItem.quantity, movement);
+      }
+      await this.ingredientService.returnForOrder(tx, id, movement);
+
+      if (order.couponId) {
+        await this.couponService.release(tx, order.couponId);
+      }
+
+      return items;
+    });
+
+    this.stockAlertService.checkSoon(items.map((orderItem) => orderItem.itemId));
+
+    // Refunds whatever earlier amendments have not already returned
+    const payment = await prisma.payment.findUnique({ where: { orderId: id } });
+    if (refundableAmount(payment).greaterThan(0)) {
+      await this.paymentService.refund(id);
+    }
+
+    return order;
+  }
+
+  async cancelByGuest(id: string, data: z.infer<typeof cancelOrderSchema>, actor: StatusActor) {
+    const order = await this.findById(id);
+    await this.assertCanAmend(order, data.sessionId, actor);
+
+    return this.cancel(id, actor, data.reason ?? 'Cancelled by guest');
+  }
+
+  // Replaces the lines and/or delivery details of an order that is still
+  // within its amendment window. Stock and totals are adjusted in one transaction.
+  async amend(id: string, data: z.infer<typeof amendOrderSchema>, actor: StatusActor) {
+    const order = await this.findById(id);
+    await this.assertCanAmend(order, data.sessionId, actor);
+
+    let subtotal = order.subtotal;
+    let discount = order.discount;
+    let newItems: PricedOrderItem[] | undefined;
+    let stationId = order.stationId;
+
+    if (data.items) {
+      const priced = await this.priceItems(data.items, order);
+      newItems = priced.orderItems;
+      stationId = priced.stationId;
+      subtotal = priced.subtotal;
+
+      if (order.coupon) {
+        discount = this.calculateDiscount(order.coupon, subtotal);
+      }
+    }
+
+    const total = subtotal.sub(discount);
+    const locationId = newItems ? await this.stockLocationOf(order) : null;
+
+    const previous = await prisma.$transaction(async (tx) => {
+      // Lock the order so amendments, cancellations and payments run one after
+      // another, then work from the rows as they are now
+      await tx.$queryRaw`SELECT "id" FROM "Order" WHERE "id" = ${id} FOR UPDATE`;
+      const current = await tx.order.findUniqueOrThrow({
+        where: { id },
+        include: { items: true, payment: true },
+      });
+
+      if (current.status !== order.status || current.updatedAt.getTime() !== order.updatedAt.getTime()) {
+        throw new ConflictError('Order changed while amending, please retry');
+      }
+
+      if (holdsMoney(current.payment) && total.greaterThan(current.total)) {
+        throw new BadRequestError('A paid order cannot be increased, place a new order instead');
+      }
+
+      await tx.order.update({
+        where: { id },
+        data: {
+          subtotal,
+          discount,
+          total,
+          stationId,
+          ...(data.notes !== undefined && { notes: data.notes }),
+          ...(data.chairNumber !== undefined && { chairNumber: data.chairNumber }),
+        },
+      });
+
+      if (newItems) {
+        const movement = { orderId: id, actorId: actor.userId, reason: 'Order amended', locationId };
+        for (const orderItem of current.items) {
+          await this.itemService.releaseStock(tx, orderItem.itemId, orderItem.quantity, movement);
+        }
+        await this.ingredientService.returnForOrder(tx, id, movement);
+        for (const orderItem of newItems) {
+          await this.itemService.reserveStock(tx, orderItem.itemId, orderItem.quantity, movement);
+          await this.ingredientService.consume(tx, orderItem, movement);
+        }
+
+        await tx.orderItem.deleteMany({ where: { orderId: id } });
+        await tx.orderItem.createMany({
+          data: newItems.map((orderItem) => ({ ...orderItem, orderId: id })),
+        });
+      }
+
+      const payment = current.payment;
+      if (payment && !total.equals(current.total)) {
+        if (payment.provider === 'free') {
+          await tx.payment.update({ where: { id: payment.id }, data: { amount: total } });
+        } else {
+          // An uncaptured provider order was created for the old amount; start over.
+          // The status predicate keeps a payment that completes meanwhile.
+          await tx.payment.deleteMany({ where: { id: payment.id, status: { in: ['PENDING', 'FAILED'] } } });
+        }
+      }
+
+      await tx.orderStatusEvent.create({
+        data: {
+          orderId: id,
+          fromStatus: order.status,
+          toStatus: order.status,
+          reason: 'Order amended',
+          actorId: actor.userId,
+          actorRole: actor.role,
+        },
+      });
+
+      return current;
+    });
+
+    if (newItems) {
+      this.stockAlertService.checkSoon([...previous.items, ...newItems].map((orderItem) => orderItem.itemId));
+    }
+
+    if (holdsMoney(previous.payment) && total.lessThan(previous.total)) {
+      await this.paymentService.refund(id, previous.total.sub(total).toNumber());
+    }
+
+    const updated = await this.findForEvent(id);
+    await publishOrderEvent(order.organizationId, 'ORDER_UPDATED', { order: updated });
+    this.queueService.refreshEtasSoon(order.organizationId);
+
+    return updated;
+  }
+
+  // Staff of the order's organization, or the guest whose session placed it
+  async getTimeline(id: string, sessionId: string | undefined, user: Request['user']) {
+    const order = await prisma.order.findUnique({
+      where: { id },
+      select: { organizationId: true, sessionId: true, session: { select: { userId: true } } },
+    });
+    if (!order) {
+      throw new NotFoundError('Order not found');
+    }
+
+    const isStaff = user && ['ADMIN', 'PANTRY'].includes(user.role) && user.organizationId === order.organizationId;
+    if (!isStaff) {
+      const ownerId = order.session.userId;
+      if (order.sessionId !== sessionId || (ownerId && ownerId !== user?.id)) {
+        throw new ForbiddenError('Only staff or the session owner can view this order');
+      }
+    }
+
+    return this.statusService.timeline(id);
+  }
+
+  // A staff member takes ownership of an order, accepting it if still pending.
+  // Staff assigned to a station can only claim orders with lines there.
+  async claim(id: string, orgId: string, staff: { id: string; role: string; stationId: string | null }) {
+    const order = await this.findById(id);
+
+    if (order.organizationId !== orgId) {
+      throw new ForbiddenError('Cannot claim order from different organization');
+    }
+
+    if (staff.stationId && order.items.some((line) => line.stationId) &&
+        !order.items.some((line) => line.stationId === staff.stationId)) {
+      throw new ForbiddenError('This order is not routed to your station');
+    }
+
+    if (order.acceptedById && order.acceptedById !== staff.id) {
+      throw new ConflictError(`Order was already claimed by ${order.acceptedBy?.name ?? 'someone else'}`);
+    }
+
+    if (order.status === 'PENDING') {
+      await this.statusService.transition(id, 'ACCEPTED', { userId: staff.id, role: staff.role }, {
+        reason: 'Claimed',
+      });
+    } else if (!order.acceptedById) {
+      if (!['ACCEPTED', 'PREPARING'].includes(order.status)) {
+        throw new ConflictError(`Cannot claim an order that is ${order.status}`);
+      }
+
+      const { count } = await prisma.order.updateMany({
+        where: { id, acceptedById: null },
+        data: { acceptedById: staff.id },
+      });
+      if (count === 0) {
+        throw new ConflictError('Order was claimed by someone else');
+      }
+    }
+
+    const updated = await this.findForEvent(id);
+    await publishOrderEvent(orgId, 'STATUS_UPDATE', { order: updated });
+    this.queueService.refreshEtasSoon(orgId);
+
+    return updated;
+  }
+
+  // Places a past order again in the guest's current session at today's prices.
+  // Lines that can no longer be ordered are left out and reported back.
+  async reorder(id: string, data: z.infer<typeof reorderSchema>, actor: StatusActor) {
+    const source = await this.findById(id);
+    const session = await prisma.session.findUnique({
+      where: { id: data.sessionId },
+      include: { space: { include: { organization: true } } },
+    });
+
+    if (!session) {
+      throw new BadRequestError('Invalid or expired session');
+    }
+
+    // Signed-in users can repeat any of their orders; guests only orders
+    // from the session they are in
+    const ownsOrder = actor.userId ? source.userId === actor.userId : source.sessionId === session.id;
+    if (!ownsOrder || (session.userId && session.userId !== actor.userId)) {
+      throw new ForbiddenError('Only the guest who placed this order can reorder it');
+    }
+    if (session.space.organizationId !== source.organizationId) {
+      throw new BadRequestError('This order was placed with another organization');
+    }
+
+    const items = await prisma.item.findMany({
+      where: { id: { in: source.items.map((line) => line.itemId) } },
+      include: { category: true },
+    });
+    const stockLeft = await stockAtLocation(prisma, await locationForSpace(prisma, session.spaceId), items);
+    const settings = parseOrgSettings(session.space.organization.settings);
+    const context = { timeZone: settings.timezone, holidays: settings.holidays };
     const now = new Date();
-    const statusTimestamps: Record<string, object> = {
-      ACCEPTED: { acceptedAt: now },
-      PREPARING: { preparingAt: now },
-      READY: { readyAt: now },
-      DELIVERED: { deliveredAt: now },
-      CANCELLED: { cancelledAt: now },
-    };
 
-    const updated = await prisma.order.update({
+    const lines: z.infer<typeof orderItemSchema>[] = [];
+    const skipped: Array<{ itemId: string; name: string; quantity: number; reason: ReorderSkipReason; message: string }> = [];
+    const priceChanges: Array<{ itemId: string; name: string; previousUnitPrice: Decimal; unitPrice: Decimal }> = [];
+
+    for (const line of source.items) {
+      const item = items.find((candidate) => candidate.id === line.itemId)!;
+      const options = (line.options as SelectedOptions | null) ?? undefined;
+      const skip = (reason: ReorderSkipReason, message: string) =>
+        skipped.push({ itemId: item.id, name: item.name, quantity: line.quantity, reason, message });
+
+      const stock = stockLeft.get(item.id) ?? null;
+      const { priceDelta, errors: [optionError] } = resolveOptions(item.options, options);
+      const schedule = checkAvailability([item.category.availability, item.availability], now, context);
+
+      if (!item.isActive || !item.isAvailable || !item.category.isActive) {
+        skip('UNAVAILABLE', `${item.name} is no longer available`);
+      } else if (!schedule.available) {
+        skip('UNAVAILABLE', unavailableMessage(item.name, schedule.nextAt, settings.timezone));
+      } else if (stock !== null && stock < line.quantity) {
+        skip('INSUFFICIENT_STOCK', stock === 0 ? `${item.name} is out of stock` : `Only ${stock} ${item.name} left`);
+      } else if (optionError) {
+        skip('INVALID_OPTIONS', `${item.name}: ${optionError}`);
+      } else {
+        if (stock !== null) stockLeft.set(item.id, stock - line.quantity);
+        lines.push({ itemId: item.id, quantity: line.quantity, options, notes: line.notes ?? undefined });
+
+        const unitPrice = unitPriceFor(item, priceDelta);
+        if (!unitPrice.equals(line.unitPrice)) {
+          priceChanges.push({ itemId: item.id, name: item.name, previousUnitPrice: line.unitPrice, unitPrice });
+        }
+      }
+    }
+
+    if (lines.length === 0) {
+      throw new BadRequestError(`Nothing from order ${source.orderNumber} can be ordered right now`);
+    }
+
+    const order = await this.create({
+      sessionId: session.id,
+      items: lines,
+      notes: source.notes ?? undefined,
+      chairNumber: data.chairNumber ?? session.chairNumber ?? undefined,
+    }, actor);
+
+    return { order, skipped, priceChanges };
+  }
+
+  // Orders return stock to where they took it from. Orders placed before the
+  // organization had locations, or whose location was removed, use the space's.
+  private async stockLocationOf(order: { stockLocationId: string | null; spaceId: string }) {
+    return order.stockLocationId ?? locationForSpace(prisma, order.spaceId);
+  }
+
+  private async priceItems(
+    items: z.infer<typeof orderItemSchema>[],
+    { sessionId, spaceId, organizationId, scheduledFor }: {
+      sessionId: string;
+      spaceId: string;
+      organizationId: string;
+      scheduledFor?: Date | null;
+    }
+  ) {
+    let subtotal = new Decimal(0);
+    const orderItems: PricedOrderItem[] = [];
+
+    // Pre-orders are checked against the schedule at delivery time
+    const org = await prisma.organization.findUniqueOrThrow({ where: { id: organizationId } });
+    const settings = parseOrgSettings(org.settings);
+    const context = { timeZone: settings.timezone, holidays: settings.holidays };
+    const at = scheduledFor ?? new Date();
+
+    const participants = items.some((orderItem) => orderItem.participantId)
+      ? await prisma.sessionParticipant.findMany({ where: { sessionId } })
+      : [];
+
+    for (const orderItem of items) {
+      const item = await this.itemService.findById(orderItem.itemId);
+
+      if (item.category.organizationId !== organizationId) {
+        throw new NotFoundError('Item not found');
+      }
+
+      if (!item.isAvailable || !item.isActive) {
+        throw new BadRequestError(`Item "${item.name}" is not available`);
+      }
+
+      const schedule = checkAvailability([item.category.availability, item.availability], at, context);
+      if (!schedule.available) {
+        throw new BadRequestError(unavailableMessage(item.name, schedule.nextAt, settings.timezone));
+      }
+
+      const { selections, priceDelta, errors: [optionError] } = resolveOptions(item.options, orderItem.options);
+      if (optionError) {
+        throw new BadRequestError(`${item.name}: ${optionError}`);
+      }
+
+      const participant = participants.find((p) => p.id === orderItem.participantId);
+      if (orderItem.participantId && !participant) {
+        throw new BadRequestError('Participant is not part of this session');
+      }
+
+      // Option modifiers are part of the unit price
+      const unitPrice = unitPriceFor(item, priceDelta);
+      const total = unitPrice.mul(orderItem.quantity);
+      subtotal = subtotal.add(total);
+
+      orderItems.push({
+        itemId: item.id,
+        quantity: orderItem.quantity,
+        unitPrice,
+        total,
+        options: selections, // Includes the defaults the guest left as-is
+        notes: orderItem.notes,
+        ...(participant && {
+          participantId: participant.id,
+          participantName: participant.name,
+          chairNumber: participant.chairNumber,
+        }),
+      });
+    }
+
+    // Route each line to a station; the order itself belongs to a station
+    // only when every line is made there
+    const routes = await this.stationService.route(prisma, organizationId, spaceId, orderItems.map((line) => line.itemId));
+    for (const line of orderItems) {
+      line.stationId = routes.get(line.itemId) ?? null;
+    }
+    const stationIds = new Set(orderItems.map((line) => line.stationId));
+    const stationId = stationIds.size === 1 ? [...stationIds][0] ?? null : null;
+
+    return { orderItems, subtotal, stationId };
+  }
+
+  // Validates a requested delivery time and returns when the order should
+  // appear in the pantry queue
+  private scheduleRelease(
+    scheduledFor: Date,
+    session: { expiresAt: Date; space: { isActive: boolean } },
+    settings: OrgSettings
+  ) {
+    const { scheduling } = settings;
+    const now = Date.now();
+
+    if (!session.space.isActive) {
+      throw new BadRequestError('This space is not taking orders');
+    }
+    if (scheduledFor.getTime() < now + scheduling.minAdvanceMinutes * 60 * 1000) {
+      throw new BadRequestError(`Pre-orders need at least ${scheduling.minAdvanceMinutes} minutes notice`);
+    }
+    if (scheduledFor.getTime() > now + scheduling.maxAdvanceDays * 24 * 60 * 60 * 1000) {
+      throw new BadRequestError(`Pre-orders can be placed at most ${scheduling.maxAdvanceDays} days ahead`);
+    }
+    if (scheduledFor > session.expiresAt) {
+      throw new BadRequestError('Delivery time is after the session ends, start a longer session');
+    }
+    if (!isWithinBusinessHours(settings, scheduledFor)) {
+      throw new BadRequestError('The pantry is closed at the requested delivery time');
+    }
+
+    return new Date(scheduledFor.getTime() - scheduling.leadTimeMinutes * 60 * 1000);
+  }
+
+  private calculateDiscount(coupon: Coupon, subtotal: Decimal) {
+    if (coupon.minOrderAmount && subtotal.lessThan(coupon.minOrderAmount)) {
+      throw new BadRequestError(`Minimum order amount is ₹${coupon.minOrderAmount}`);
+    }
+
+    if (coupon.type === 'PERCENTAGE') {
+      const discount = subtotal.mul(coupon.value).div(100);
+      return coupon.maxDiscount && discount.greaterThan(coupon.maxDiscount) ? coupon.maxDiscount : discount;
+    }
+
+    return coupon.value;
+  }
+
+  // Guests may change their own order while it is PENDING, or for a short
+  // grace period after it was accepted (paying auto-accepts the order)
+  private async assertCanAmend(
+    order: Awaited<ReturnType<OrderService['findById']>>,
+    sessionId: string,
+    actor: StatusActor
+  ) {
+    const session = await prisma.session.findUnique({
+      where: { id: order.sessionId },
+      include: { space: { include: { organization: true } } },
+    });
+
+    if (!session || order.sessionId !== sessionId || (session.userId && session.userId !== actor.userId)) {
+      throw new ForbiddenError('Only the session owner can change this order');
+    }
+
+    const { ordering } = parseOrgSettings(session.space.organization.settings);
+    const graceEndsAt = order.placedAt.getTime() + ordering.amendmentWindowMinutes * 60 * 1000;
+
+    const withinWindow =
+      order.status === 'PENDING' ||
+      (order.status === 'ACCEPTED' && Date.now() <= graceEndsAt);
+
+    if (!withinWindow) {
+      throw new BadRequestError('This order can no longer be changed');
+    }
+  }
+
+  private async findForEvent(id: string) {
+    return prisma.order.findUniqueOrThrow({
       where: { id },
-      data: {
-        status: status as any,
-        ...statusTimestamps[status],
-      },
       include: {
         items: { include: { item: true } },
         space: true,
       },
     });
-
-    // Publish status update
-    await redis.publish(
-      `orders:${orgId}`,
-      JSON.stringify({ type: 'STATUS_UPDATE', order: updated })
-    );
-
-    return updated;
   }
 }
 
@@ -280,28 +935,70 @@ export class OrderService {
 // CONTROLLER
 // ============================================
 
+// Who is acting on an order, for its status history and audit
+export function actorFrom(req: Request): StatusActor {
+  return req.user ? { userId: req.user.id, role: req.user.role } : { role: 'GUEST' };
+}
+
 export class OrderController {
-  constructor(private orderService = new OrderService()) { }
+  constructor(
+    private orderService = new OrderService(),
+    private queueService = new KitchenQueueService()
+  ) { }
 
   create = async (req: Request, res: Response) => {
-    const order = await this.orderService.create(req.body, req.user?.id);
+    const order = await this.orderService.create(req.body, actorFrom(req));
     sendCreated(res, order);
   };
 
   getById = async (req: Request, res: Response) => {
     const order = await this.orderService.findById(req.params.id);
-    sendSuccess(res, order);
+    const estimatedReadyAt = await this.queueService.estimateReadyAt(order);
+    sendSuccess(res, { ...order, estimatedReadyAt });
+  };
+
+  getQueue = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const { generatedAt, parallelOrders, groups } = await this.queueService.getQueue(req.user.organizationId);
+    sendSuccess(res, { generatedAt, parallelOrders, groups });
   };
 
   list = async (req: Request, res: Response) => {
     if (!req.user) throw new ForbiddenError();
-    const { status, limit, offset } = req.query;
-    const result = await this.orderService.findByOrg(req.user.organizationId, {
-      status: status as string,
-      limit: limit ? parseInt(limit as string) : undefined,
-      offset: offset ? parseInt(offset as string) : undefined,
+    const query = req.query as unknown as z.infer<typeof listOrdersQuerySchema>;
+    // Pantry staff see their own station unless they ask for another
+    if (!query.stationId && req.user.role === 'PANTRY' && req.user.stationId) {
+      query.stationId = req.user.stationId;
+    }
+    const result = await this.orderService.findByOrg(req.user.organizationId, query);
+    sendSuccess(res, result.orders, 200, {
+      limit: query.limit,
+      total: result.total,
+      hasMore: result.hasMore,
+      cursor: result.cursor,
     });
-    sendSuccess(res, result.orders, 200, { total: result.total });
+  };
+
+  export = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const { format, ...filters } = req.query as unknown as z.infer<typeof exportOrdersQuerySchema>;
+    await streamOrdersExport(res, req.user.organizationId, filters, format);
+  };
+
+  cancel = async (req: Request, res: Response) => {
+    const order = await this.orderService.cancelByGuest(req.params.id, req.body, actorFrom(req));
+    sendSuccess(res, order);
+  };
+
+  amend = async (req: Request, res: Response) => {
+    const order = await this.orderService.amend(req.params.id, req.body, actorFrom(req));
+    sendSuccess(res, order);
+  };
+
+  getTimeline = async (req: Request, res: Response) => {
+    const { sessionId } = req.query as z.infer<typeof timelineQuerySchema>;
+    const timeline = await this.orderService.getTimeline(req.params.id, sessionId, req.user);
+    sendSuccess(res, timeline);
   };
 
   getBySession = async (req: Request, res: Response) => {
@@ -314,10 +1011,29 @@ export class OrderController {
     const order = await this.orderService.updateStatus(
       req.params.id,
       req.body.status,
-      req.user.organizationId
+      req.user.organizationId,
+      actorFrom(req),
+      req.body.reason
     );
     sendSuccess(res, order);
   };
+
+  bulkUpdateStatus = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const result = await this.orderService.bulkUpdateStatus(req.user.organizationId, req.body, actorFrom(req));
+    sendSuccess(res, result);
+  };
+
+  reorder = async (req: Request, res: Response) => {
+    const result = await this.orderService.reorder(req.params.id, req.body, actorFrom(req));
+    sendCreated(res, result);
+  };
+
+  claim = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const order = await this.orderService.claim(req.params.id, req.user.organizationId, req.user);
+    sendSuccess(res, order);
+  };
 }
 
 // ============================================
@@ -329,9 +1045,17 @@ export function orderRoutes() {
   const controller = new OrderController();
 
   router.post('/', optionalAuth, validate(createOrderSchema), controller.create);
-  router.get('/', authenticate, requireRole('ADMIN', 'PANTRY'), controller.list);
+  router.get('/', authenticate, requireRole('ADMIN', 'PANTRY'), validate(listOrdersQuerySchema, 'query'), controller.list);
+  router.get('/export', authenticate, requireRole('ADMIN'), validate(exportOrdersQuerySchema, 'query'), controller.export);
+  router.post('/bulk/status', authenticate, requireRole('ADMIN', 'PANTRY'), validate(bulkUpdateStatusSchema), controller.bulkUpdateStatus);
+  router.get('/queue', authenticate, requireRole('ADMIN', 'PANTRY'), controller.getQueue);
   router.get('/session/:sessionId', optionalAuth, controller.getBySession);
   router.get('/:id', optionalAuth, controller.getById);
+  router.get('/:id/timeline', optionalAuth, validate(timelineQuerySchema, 'query'), controller.getTimeline);
+  router.patch('/:id', optionalAuth, validate(amendOrderSchema), controller.amend);
+  router.post('/:id/cancel', optionalAuth, validate(cancelOrderSchema), controller.cancel);
+  router.post('/:id/reorder', optionalAuth, validate(reorderSchema), controller.reorder);
+  router.post('/:id/claim', authenticate, requireRole('ADMIN', 'PANTRY'), controller.claim);
   router.patch('/:id/status', authenticate, requireRole('ADMIN', 'PANTRY'), validate(updateOrderStatusSchema), controller.updateStatus);
 
   return router;
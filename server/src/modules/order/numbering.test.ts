@@ -0,0 +1,102 @@
+import { describe, it, expect, vi } from 'vitest';
+import { Prisma } from '@prisma/client';
+import { allocateOrderNumber } from './numbering.js';
+import { orgSettingsSchema } from '../organization/index.js';
+
+vi.mock('../../config/index.js', () => ({ prisma: {} }));
+vi.mock('../media/index.js', () => ({ MediaService: class {}, imageUpload: {} }));
+
+// Keeps counters in memory and answers the two raw queries numbering runs
+function fakeDb(legacyMax: number | null = null) {
+  const counters = new Map<string, number>();
+
+  const db = {
+    orderCounter: {
+      findUnique: async ({ where }: { where: { organizationId_scope: { scope: string } } }) =>
+        counters.has(where.organizationId_scope.scope) ? { value: counters.get(where.organizationId_scope.scope) } : null,
+    },
+    $queryRaw: async (strings: TemplateStringsArray, ...values: unknown[]) => {
+      if (strings.join('').includes('MAX(')) return [{ max: legacyMax }];
+
+      const [, scope, initial] = values as [string, string, number];
+      const value = counters.has(scope) ? counters.get(scope)! + 1 : initial;
+      counters.set(scope, value);
+      return [{ value }];
+    },
+  };
+
+  return { db: db as unknown as Prisma.TransactionClient, counters };
+}
+
+function settings(orderNumber: Record<string, unknown>, timezone = 'UTC') {
+  return orgSettingsSchema.parse({ timezone, orderNumber });
+}
+
+const shifts = [
+  { code: 'M', start: '06:00' },
+  { code: 'E', start: '18:00' },
+];
+
+describe('allocateOrderNumber', () => {
+  it('renders the default format with a zero-padded sequence', async () => {
+    const { db } = fakeDb();
+
+    expect(await allocateOrderNumber(db, 'org', settings({}))).toBe('ORD-00001');
+    expect(await allocateOrderNumber(db, 'org', settings({}))).toBe('ORD-00002');
+  });
+
+  it('renders every date token in the org timezone', async () => {
+    const { db } = fakeDb();
+    const numbering = settings({ prefix: 'K', format: '{prefix}{YYYY}{YY}{MM}{DD}-{seq}', reset: 'daily' }, 'Asia/Kolkata');
+
+    // 20:00 UTC is already the next day in Kolkata
+    expect(await allocateOrderNumber(db, 'org', numbering, new Date('2026-10-19T20:00:00Z'))).toBe('K2026261020-1');
+  });
+
+  it('continues after legacy numbers when there is no counter yet', async () => {
+    const { db } = fakeDb(41);
+    const numbering = settings({});
+
+    expect(await allocateOrderNumber(db, 'org', numbering)).toBe('ORD-00042');
+    expect(await allocateOrderNumber(db, 'org', numbering)).toBe('ORD-00043');
+  });
+
+  it('starts daily sequences at 1 regardless of legacy numbers', async () => {
+    const { db, counters } = fakeDb(41);
+    const numbering = settings({ format: '{MM}{DD}-{seq:3}', reset: 'daily' });
+
+    expect(await allocateOrderNumber(db, 'org', numbering, new Date('2026-10-19T10:00:00Z'))).toBe('1019-001');
+    expect(await allocateOrderNumber(db, 'org', numbering, new Date('2026-10-19T23:00:00Z'))).toBe('1019-002');
+    expect(await allocateOrderNumber(db, 'org', numbering, new Date('2026-10-20T01:00:00Z'))).toBe('1020-001');
+    expect([...counters.keys()]).toEqual(['ORD:10-19', 'ORD:10-20']);
+  });
+
+  it('scopes daily counters by year only when the format shows it', async () => {
+    const withoutYear = fakeDb();
+    const withYear = fakeDb();
+    const at = new Date('2026-10-19T10:00:00Z');
+
+    await allocateOrderNumber(withoutYear.db, 'org', settings({ format: '{MM}{DD}-{seq}', reset: 'daily' }), at);
+    await allocateOrderNumber(withYear.db, 'org', settings({ format: '{YY}{MM}{DD}-{seq}', reset: 'daily' }), at);
+
+    expect([...withoutYear.counters.keys()]).toEqual(['ORD:10-19']);
+    expect([...withYear.counters.keys()]).toEqual(['ORD:2026-10-19']);
+  });
+
+  it('restarts the sequence for each shift', async () => {
+    const { db } = fakeDb();
+    const numbering = settings({ format: '{MM}{DD}{shift}-{seq}', reset: 'shift', shifts });
+
+    expect(await allocateOrderNumber(db, 'org', numbering, new Date('2026-10-19T07:00:00Z'))).toBe('1019M-1');
+    expect(await allocateOrderNumber(db, 'org', numbering, new Date('2026-10-19T12:00:00Z'))).toBe('1019M-2');
+    expect(await allocateOrderNumber(db, 'org', numbering, new Date('2026-10-19T19:00:00Z'))).toBe('1019E-1');
+  });
+
+  it('keeps the previous day\'s last shift until the first shift starts', async () => {
+    const { db } = fakeDb();
+    const numbering = settings({ format: '{MM}{DD}{shift}-{seq}', reset: 'shift', shifts });
+
+    expect(await allocateOrderNumber(db, 'org', numbering, new Date('2026-10-19T19:00:00Z'))).toBe('1019E-1');
+    expect(await allocateOrderNumber(db, 'org', numbering, new Date('2026-10-20T02:00:00Z'))).toBe('1019E-2');
+  });
+});
@@ -0,0 +1,93 @@
+// Order numbering - per-organization counters with a configurable format and reset
+
+import { Prisma } from '@prisma/client';
+import { OrgSettings } from '../organization/index.js';
+import { getZonedParts, addDays, minutesOfDay, pad } from '../../common/utils/index.js';
+
+type NumberingSettings = OrgSettings['orderNumber'];
+
+interface Period {
+  year: number;
+  month: number;
+  day: number;
+  shift?: string;
+}
+
+function currentPeriod(numbering: NumberingSettings, timeZone: string, now: Date): Period {
+  const local = getZonedParts(now, timeZone);
+  if (numbering.reset !== 'shift') return local;
+
+  const shifts = [...numbering.shifts].sort((a, b) => minutesOfDay(a.start) - minutesOfDay(b.start));
+  const nowMinutes = local.hour * 60 + local.minute;
+  const current = [...shifts].reverse().find((shift) => minutesOfDay(shift.start) <= nowMinutes);
+
+  if (current) {
+    return { ...local, shift: current.code };
+  }
+
+  // Before the first shift starts we are still in the previous day's last shift
+  return { ...addDays(local, -1), shift: shifts[shifts.length - 1].code };
+}
+
+// Each scope has its own sequence. The scope includes the prefix and exactly the
+// date parts the format shows, so rendered numbers never repeat: without {YY} the
+// 04-17 sequence simply carries on next year instead of starting over.
+function counterScope(numbering: NumberingSettings, period: Period) {
+  if (numbering.reset === 'none') return numbering.prefix;
+
+  const date = /\{YY(YY)?\}/.test(numbering.format)
+    ? `${period.year}-${pad(period.month)}-${pad(period.day)}`
+    : `${pad(period.month)}-${pad(period.day)}`;
+
+  return [numbering.prefix, date, ...(period.shift ? [period.shift] : [])].join(':');
+}
+
+function render(numbering: NumberingSettings, period: Period, seq: number) {
+  return numbering.format
+    .replace(/\{seq(?::(\d))?\}/g, (_match, width?: string) => pad(seq, width ? Number(width) : 1))
+    .replace(/\{prefix\}/g, numbering.prefix)
+    .replace(/\{YYYY\}/g, String(period.year))
+    .replace(/\{YY\}/g, pad(period.year % 100))
+    .replace(/\{MM\}/g, pad(period.month))
+    .replace(/\{DD\}/g, pad(period.day))
+    .replace(/\{shift\}/g, period.shift ?? '');
+}
+
+// Continue after numbers issued before counters existed instead of reusing them
+async function firstValue(db: Prisma.TransactionClient, organizationId: string, scope: string) {
+  const existing = await db.orderCounter.findUnique({
+    where: { organizationId_scope: { organizationId, scope } },
+  });
+  if (existing) return 1; // Ignored, the upsert increments the existing row
+
+  const [legacy] = await db.$queryRaw<Array<{ max: number | null }>>`
+    SELECT MAX(CAST(SUBSTRING("orderNumber" FROM '[0-9]+$') AS INTEGER)) AS "max"
+    FROM "Order"
+    WHERE "organizationId" = ${organizationId}
+  `;
+
+  return (legacy?.max ?? 0) + 1;
+}
+
+export async function allocateOrderNumber(
+  db: Prisma.TransactionClient,
+  organizationId: string,
+  settings: OrgSettings,
+  now = new Date()
+) {
+  const numbering = settings.orderNumber;
+  const period = currentPeriod(numbering, settings.timezone, now);
+  const scope = counterScope(numbering, period);
+  const initial = numbering.reset === 'none' ? await firstValue(db, organizationId, scope) : 1;
+
+  // A single atomic upsert: the row lock serialises concurrent orders across replicas
+  const [counter] = await db.$queryRaw<Array<{ value: number }>>`
+    INSERT INTO "OrderCounter" ("organizationId", "scope", "value", "updatedAt")
+    VALUES (${organizationId}, ${scope}, ${initial}, NOW())
+    ON CONFLICT ("organizationId", "scope")
+    DO UPDATE SET "value" = "OrderCounter"."value" + 1, "updatedAt" = NOW()
+    RETURNING "value"
+  `;
+
+  return render(numbering, period, counter.value);
+}
@@ -0,0 +1,255 @@
+// Kitchen queue - open orders grouped for the pantry display, with ready-time estimates
+
+import { OrderStatus } from '@prisma/client';
+import { prisma, redis } from '../../config/index.js';
+import { parseOrgSettings } from '../organization/index.js';
+import { publishSessionEvent } from '../session/events.js';
+import { publishOrderEvent } from './events.js';
+
+const QUEUE_STATUSES: OrderStatus[] = ['PENDING', 'ACCEPTED', 'PREPARING', 'READY'];
+
+const LEARNING_WINDOW_DAYS = 30;
+const MIN_SAMPLES = 5; // Below this the configured prep time is a better guess
+const PREP_CACHE_SECONDS = 10 * 60;
+
+// Extra units after the first are mostly made alongside it
+const ADDITIONAL_UNIT_FACTOR = 0.25;
+
+// Status changes in quick succession, e.g. a bulk update, share one refresh
+const REFRESH_DELAY_MS = 1000;
+const pendingRefreshes = new Set<string>();
+
+interface LearnedPrepTime {
+  seconds: number;
+  samples: number;
+}
+
+type QueueOrder = Awaited<ReturnType<KitchenQueueService['loadOpenOrders']>>[number];
+
+export interface QueueEntry {
+  order: QueueOrder;
+  ageSeconds: number;
+  prepSeconds: number;
+  estimatedReadyAt: Date;
+  isLate: boolean;
+}
+
+export class KitchenQueueService {
+  private readonly PREP_PREFIX = 'prep-times:';
+  private readonly ETA_PREFIX = 'order-etas:';
+
+  // Simulates the pantry working through open orders: orders already accepted
+  // keep their place, pending ones follow in arrival order, and the pantry
+  // works on `kitchen.parallelOrders` orders at a time.
+  async getQueue(orgId: string, now = new Date()) {
+    const org = await prisma.organization.findUniqueOrThrow({ where: { id: orgId } });
+    const { kitchen } = parseOrgSettings(org.settings);
+
+    const [orders, learned] = await Promise.all([this.loadOpenOrders(orgId), this.learnedPrepTimes(orgId)]);
+
+    const prepFor = (order: QueueOrder) => {
+      const units = order.items.flatMap((line) => {
+        const history = learned[line.itemId];
+        const seconds = history && history.samples >= MIN_SAMPLES
+          ? history.seconds
+          : line.item.prepTimeSeconds ?? kitchen.defaultPrepMinutes * 60;
+        return Array<number>(line.quantity).fill(seconds);
+      });
+      const longest = Math.max(0, ...units);
+      const rest = units.reduce((sum, seconds) => sum + seconds, 0) - longest;
+      return Math.round(longest + rest * ADDITIONAL_UNIT_FACTOR);
+    };
+
+    const started = orders
+      .filter((order) => order.status === 'ACCEPTED' || order.status === 'PREPARING')
+      .sort((a, b) => (a.acceptedAt?.getTime() ?? 0) - (b.acceptedAt?.getTime() ?? 0));
+    const waiting = orders
+      .filter((order) => order.status === 'PENDING')
+      .sort((a, b) => queuedAt(a).getTime() - queuedAt(b).getTime());
+
+    const slots = Array<number>(kitchen.parallelOrders).fill(0);
+    const entries = new Map<string, QueueEntry>();
+
+    for (const order of [...started, ...waiting]) {
+      const slot = slots.indexOf(Math.min(...slots));
+      const earliest = order.status === 'PENDING' ? now.getTime() : order.acceptedAt?.getTime() ?? now.getTime();
+      const prepSeconds = prepFor(order);
+      const due = Math.max(slots[slot], earliest) + prepSeconds * 1000;
+      const readyAt = Math.max(due, now.getTime());
+
+      slots[slot] = readyAt;
+      entries.set(order.id, {
+        order,
+        ageSeconds: Math.floor((now.getTime() - queuedAt(order).getTime()) / 1000),
+        prepSeconds,
+        estimatedReadyAt: new Date(readyAt),
+        isLate: due < now.getTime(),
+      });
+    }
+
+    for (const order of orders.filter((candidate) => candidate.status === 'READY')) {
+      entries.set(order.id, {
+        order,
+        ageSeconds: Math.floor((now.getTime() - queuedAt(order).getTime()) / 1000),
+        prepSeconds: 0,
+        estimatedReadyAt: order.readyAt ?? now,
+        isLate: false,
+      });
+    }
+
+    // Oldest first within each status column
+    const groups = Object.fromEntries(
+      QUEUE_STATUSES.map((status) => [
+        status,
+        [...entries.values()]
+          .filter((entry) => entry.order.status === status)
+          .sort((a, b) => b.ageSeconds - a.ageSeconds),
+      ])
+    ) as Record<OrderStatus, QueueEntry[]>;
+
+    return {
+      generatedAt: now,
+      parallelOrders: kitchen.parallelOrders,
+      groups,
+      entries,
+    };
+  }
+
+  // The guest-facing estimate for a single order
+  async estimateReadyAt(order: {
+    id: string;
+    organizationId: string;
+    status: OrderStatus;
+    readyAt: Date | null;
+    scheduledFor: Date | null;
+    releaseAt: Date | null;
+    releasedAt: Date | null;
+  }) {
+    if (order.status === 'READY' || order.status === 'DELIVERED') return order.readyAt;
+    if (order.status === 'CANCELLED') return null;
+
+    // Not in the pantry queue yet; it is planned to be ready for its slot
+    if (order.releaseAt && !order.releasedAt) return order.scheduledFor;
+
+    // Serve the estimate of the last refresh, so polling guests do not re-simulate
+    // the queue; only an order placed since then needs a fresh simulation
+    const stored = await redis.hget(`${this.ETA_PREFIX}${order.organizationId}`, order.id);
+    if (stored) return new Date(`${stored}Z`);
+
+    const queue = await this.getQueue(order.organizationId);
+    return queue.entries.get(order.id)?.estimatedReadyAt ?? null;
+  }
+
+  // Recomputes the queue after it moved and tells the pantry display and every
+  // guest whose estimate changed
+  async refreshEtas(orgId: string) {
+    const { entries } = await this.getQueue(orgId);
+    const key = `${this.ETA_PREFIX}${orgId}`;
+    const previous = await redis.hgetall(key);
+
+    const current: Record<string, string> = {};
+    const etas = [];
+
+    for (const entry of entries.values()) {
+      if (entry.order.status === 'READY') continue;
+
+      // Minute precision keeps guests from being pinged for a few seconds' drift
+      const minute = entry.estimatedReadyAt.toISOString().slice(0, 16);
+      current[entry.order.id] = minute;
+      etas.push({ orderId: entry.order.id, estimatedReadyAt: entry.estimatedReadyAt, isLate: entry.isLate });
+
+      if (previous[entry.order.id] !== minute) {
+        await publishSessionEvent(entry.order.sessionId, 'ORDER_ETA', {
+          orderId: entry.order.id,
+          estimatedReadyAt: entry.estimatedReadyAt,
+        });
+      }
+    }
+
+    const pipeline = redis.multi().del(key);
+    if (etas.length > 0) {
+      pipeline.hset(key, current).expire(key, 24 * 60 * 60);
+    }
+    await pipeline.exec();
+
+    await publishOrderEvent(orgId, 'QUEUE_UPDATED', { etas });
+  }
+
+  // Refreshes after the response has gone out: a slow or failed refresh never
+  // holds up or fails the request, and the periodic job catches up
+  refreshEtasSoon(orgId: string) {
+    if (pendingRefreshes.has(orgId)) return;
+    pendingRefreshes.add(orgId);
+
+    setTimeout(() => {
+      pendingRefreshes.delete(orgId);
+      this.refreshEtas(orgId).catch((error) => {
+        console.error(`Failed to refresh ETAs for organization ${orgId}:`, error);
+      });
+    }, REFRESH_DELAY_MS);
+  }
+
+  // Organisations with anything in the queue, for the periodic refresh
+  async activeOrganizations() {
+    const rows = await prisma.order.findMany({
+      where: { status: { in: ['PENDING', 'ACCEPTED', 'PREPARING'] } },
+      distinct: ['organizationId'],
+      select: { organizationId: true },
+    });
+    return rows.map((row) => row.organizationId);
+  }
+
+  private async loadOpenOrders(orgId: string) {
+    return prisma.order.findMany({
+      where: {
+        organizationId: orgId,
+        status: { in: QUEUE_STATUSES },
+        // Pre-orders join the queue once released
+        OR: [{ releaseAt: null }, { releasedAt: { not: null } }],
+      },
+      include: {
+        items: { include: { item: { select: { id: true, name: true, icon: true, prepTimeSeconds: true } } } },
+        space: { select: { id: true, name: true } },
+      },
+      orderBy: { placedAt: 'asc' },
+    });
+  }
+
+  // Median time per unit of each item, learned from recent orders with that
+  // item alone: an order's accepted -> ready time covers all of its lines, so
+  // orders with several items say little about any one of them. The time is
+  // divided back out with the same additional-unit factor the estimate uses.
+  private async learnedPrepTimes(orgId: string): Promise<Record<string, LearnedPrepTime>> {
+    const cached = await redis.get(`${this.PREP_PREFIX}${orgId}`);
+    if (cached) return JSON.parse(cached);
+
+    const since = new Date(Date.now() - LEARNING_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const rows = await prisma.$queryRaw<Array<{ itemId: string; seconds: number; samples: number }>>`
+      SELECT oi."itemId" AS "itemId",
+             PERCENTILE_CONT(0.5) WITHIN GROUP (
+               ORDER BY EXTRACT(EPOCH FROM (o."readyAt" - o."acceptedAt"))
+                 / (1 + ${ADDITIONAL_UNIT_FACTOR}::float * (oi."quantity" - 1))
+             )::float AS "seconds",
+             COUNT(*)::int AS "samples"
+      FROM "OrderItem" oi
+      JOIN "Order" o ON o."id" = oi."orderId"
+      WHERE o."organizationId" = ${orgId}
+        AND o."acceptedAt" >= ${since}
+        AND o."readyAt" > o."acceptedAt"
+        AND NOT EXISTS (SELECT 1 FROM "OrderItem" other WHERE other."orderId" = o."id" AND other."id" <> oi."id")
+      GROUP BY oi."itemId"
+    `;
+
+    const learned = Object.fromEntries(
+      rows.map((row) => [row.itemId, { seconds: Math.round(row.seconds), samples: row.samples }])
+    );
+    await redis.setex(`${this.PREP_PREFIX}${orgId}`, PREP_CACHE_SECONDS, JSON.stringify(learned));
+
+    return learned;
+  }
+}
+
+// Released pre-orders queue from their release, not from when they were booked
+function queuedAt(order: { placedAt: Date; releasedAt: Date | null }) {
+  return order.releasedAt ?? order.placedAt;
+}
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { buildOrderWhere } from './search.js';
+
+const ORG = 'org-1';
+const STATION = '5b0c6a52-0f3e-4b8e-9d4e-0a6b7c8d9e01';
+const ITEM = '5b0c6a52-0f3e-4b8e-9d4e-0a6b7c8d9e02';
+
+describe('buildOrderWhere', () => {
+  it('matches the station and item on the same line', () => {
+    const where = buildOrderWhere(ORG, { stationId: STATION, itemId: ITEM, includeScheduled: true });
+
+    expect(where.items).toBeUndefined();
+    expect(where.AND).toEqual([
+      {
+        OR: [
+          { items: { some: { stationId: STATION, itemId: ITEM } } },
+          { items: { every: { stationId: null }, some: { itemId: ITEM } } },
+        ],
+      },
+    ]);
+  });
+
+  it('shows orders with no routed lines to every station', () => {
+    const where = buildOrderWhere(ORG, { stationId: STATION, includeScheduled: true });
+
+    expect(where.AND).toEqual([
+      {
+        OR: [
+          { items: { some: { stationId: STATION, itemId: undefined } } },
+          { items: { every: { stationId: null } } },
+        ],
+      },
+    ]);
+  });
+
+  it('filters by item alone across stations', () => {
+    const where = buildOrderWhere(ORG, { itemId: ITEM, includeScheduled: true });
+
+    expect(where.items).toEqual({ some: { itemId: ITEM } });
+    expect(where.AND).toBeUndefined();
+  });
+
+  it('hides unreleased pre-orders unless asked for them', () => {
+    expect(buildOrderWhere(ORG, {}).AND).toEqual([{ OR: [{ releaseAt: null }, { releasedAt: { not: null } }] }]);
+    expect(buildOrderWhere(ORG, { includeScheduled: true }).AND).toBeUndefined();
+  });
+});
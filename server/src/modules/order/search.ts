@@ -0,0 +1,134 @@
+// Order search - admin filters, sorting and keyset (cursor) pagination
+
+import { z } from 'zod';
+import { OrderStatus, PaymentStatus, Prisma } from '@prisma/client';
+import { BadRequestError } from '../../common/errors.js';
+import { listOf } from '../../common/utils/index.js';
+
+const SORT_FIELDS = ['placedAt', 'total', 'orderNumber'] as const;
+type SortField = (typeof SORT_FIELDS)[number];
+
+const orderFilterFields = z.object({
+  status: listOf(z.nativeEnum(OrderStatus)).optional(),
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+  spaceId: z.string().uuid().optional(),
+  stationId: z.string().uuid().optional(), // Orders with a line at the station, or with no routed lines
+  userId: z.string().uuid().optional(),
+  itemId: z.string().uuid().optional(),
+  couponCode: z.string().optional(),
+  paymentStatus: listOf(z.nativeEnum(PaymentStatus)).optional(),
+  minTotal: z.coerce.number().nonnegative().optional(),
+  maxTotal: z.coerce.number().nonnegative().optional(),
+  q: z.string().max(100).optional(), // Order number, guest name or email
+  includeScheduled: z.enum(['true', 'false']).transform((value) => value === 'true').optional(),
+  sort: z.enum(SORT_FIELDS).default('placedAt'),
+  direction: z.enum(['asc', 'desc']).default('desc'),
+});
+
+const fromBeforeTo = (filters: { from?: Date; to?: Date }) =>
+  !filters.from || !filters.to || filters.from <= filters.to;
+const rangeError = { message: '"from" must be before "to"', path: ['from'] };
+
+export const listOrdersQuerySchema = orderFilterFields
+  .extend({
+    limit: z.coerce.number().int().min(1).max(100).default(50),
+    after: z.string().optional(), // Cursor from the previous page's meta
+  })
+  .refine(fromBeforeTo, rangeError);
+
+export const exportOrdersQuerySchema = orderFilterFields
+  .extend({
+    format: z.enum(['csv', 'xlsx']).default('csv'),
+  })
+  .refine(fromBeforeTo, rangeError);
+
+export type OrderFilters = z.infer<typeof orderFilterFields>;
+
+export function buildOrderWhere(orgId: string, filters: Partial<OrderFilters>): Prisma.OrderWhereInput {
+  const and: Prisma.OrderWhereInput[] = [];
+
+  // Pre-orders stay hidden from the live queue until released
+  if (!filters.includeScheduled) {
+    and.push({ OR: [{ releaseAt: null }, { releasedAt: { not: null } }] });
+  }
+
+  // One line must match both, so a station-scoped search stays on that station.
+  // Orders with no routed lines belong to every station, as for claiming.
+  if (filters.stationId) {
+    and.push({
+      OR: [
+        { items: { some: { stationId: filters.stationId, itemId: filters.itemId } } },
+        { items: { every: { stationId: null }, ...(filters.itemId && { some: { itemId: filters.itemId } }) } },
+      ],
+    });
+  }
+
+  if (filters.q) {
+    and.push({
+      OR: [
+        { orderNumber: { contains: filters.q, mode: 'insensitive' } },
+        { user: { name: { contains: filters.q, mode: 'insensitive' } } },
+        { user: { email: { contains: filters.q, mode: 'insensitive' } } },
+        { session: { guestName: { contains: filters.q, mode: 'insensitive' } } },
+      ],
+    });
+  }
+
+  return {
+    organizationId: orgId,
+    ...(filters.status?.length && { status: { in: filters.status } }),
+    ...((filters.from || filters.to) && { placedAt: { gte: filters.from, lte: filters.to } }),
+    ...(filters.spaceId && { spaceId: filters.spaceId }),
+    ...(filters.itemId && !filters.stationId && { items: { some: { itemId: filters.itemId } } }),
+    ...(filters.userId && { userId: filters.userId }),
+    ...(filters.couponCode && { coupon: { code: filters.couponCode.toUpperCase() } }),
+    ...(filters.paymentStatus?.length && { payment: { status: { in: filters.paymentStatus } } }),
+    ...((filters.minTotal !== undefined || filters.maxTotal !== undefined) && {
+      total: { gte: filters.minTotal, lte: filters.maxTotal },
+    }),
+    ...(and.length && { AND: and }),
+  };
+}
+
+export function buildOrderBy(filters: Pick<OrderFilters, 'sort' | 'direction'>): Prisma.OrderOrderByWithRelationInput[] {
+  // The id tiebreaker keeps the order total, so pages never overlap or skip
+  return [{ [filters.sort]: filters.direction }, { id: filters.direction }];
+}
+
+interface Cursor {
+  value: string;
+  id: string;
+}
+
+export function encodeCursor(order: { id: string } & Record<SortField, unknown>, sort: SortField) {
+  const value = order[sort] instanceof Date ? (order[sort] as Date).toISOString() : String(order[sort]);
+  return Buffer.from(JSON.stringify({ value, id: order.id } satisfies Cursor)).toString('base64url');
+}
+
+// Rows strictly after the cursor in the current sort order
+export function afterCursor(
+  cursor: string,
+  filters: Pick<OrderFilters, 'sort' | 'direction'>
+): Prisma.OrderWhereInput {
+  let decoded: Cursor;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+  } catch {
+    throw new BadRequestError('Invalid cursor');
+  }
+
+  if (typeof decoded?.value !== 'string' || typeof decoded?.id !== 'string') {
+    throw new BadRequestError('Invalid cursor');
+  }
+
+  const op = filters.direction === 'desc' ? 'lt' : 'gt';
+  const value = filters.sort === 'placedAt' ? new Date(decoded.value) : decoded.value;
+
+  return {
+    OR: [
+      { [filters.sort]: { [op]: value } },
+      { [filters.sort]: value, id: { [op]: decoded.id } },
+    ],
+  };
+}
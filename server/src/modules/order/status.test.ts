@@ -0,0 +1,49 @@
+import { describe, it, expect, vi } from 'vitest';
+import { OrderStatus } from '@prisma/client';
+import { ORDER_TRANSITIONS, canTransition } from './status.js';
+
+vi.mock('../../config/index.js', () => ({ prisma: {} }));
+
+const STATUSES = Object.values(OrderStatus);
+
+describe('order status transitions', () => {
+  it('covers every status', () => {
+    expect(Object.keys(ORDER_TRANSITIONS).sort()).toEqual([...STATUSES].sort());
+  });
+
+  it('follows the lifecycle forwards', () => {
+    expect(canTransition('PENDING', 'ACCEPTED')).toBe(true);
+    expect(canTransition('ACCEPTED', 'PREPARING')).toBe(true);
+    expect(canTransition('PREPARING', 'READY')).toBe(true);
+    expect(canTransition('READY', 'DELIVERED')).toBe(true);
+  });
+
+  it('lets packaged items skip preparing', () => {
+    expect(canTransition('ACCEPTED', 'READY')).toBe(true);
+  });
+
+  it('never moves backwards or skips acceptance', () => {
+    expect(canTransition('ACCEPTED', 'PENDING')).toBe(false);
+    expect(canTransition('READY', 'PREPARING')).toBe(false);
+    expect(canTransition('PENDING', 'READY')).toBe(false);
+    expect(canTransition('PENDING', 'DELIVERED')).toBe(false);
+  });
+
+  it('allows cancelling until the order is ready', () => {
+    const cancellable = STATUSES.filter((status) => canTransition(status, 'CANCELLED'));
+    expect(cancellable.sort()).toEqual(['ACCEPTED', 'PENDING', 'PREPARING']);
+  });
+
+  it('ends at delivered and cancelled', () => {
+    for (const to of STATUSES) {
+      expect(canTransition('DELIVERED', to)).toBe(false);
+      expect(canTransition('CANCELLED', to)).toBe(false);
+    }
+  });
+
+  it('never stays in place', () => {
+    for (const status of STATUSES) {
+      expect(canTransition(status, status)).toBe(false);
+    }
+  });
+});
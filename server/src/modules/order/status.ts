@@ -0,0 +1,157 @@
+// Order status state machine - allowed transitions, guards and history
+
+import { OrderStatus, Prisma } from '@prisma/client';
+import { prisma } from '../../config/index.js';
+import { NotFoundError, BadRequestError, ConflictError } from '../../common/errors.js';
+import { isCaptured } from '../payment/refunds.js';
+
+// ============================================
+// TRANSITIONS
+// ============================================
+
+export interface StatusActor {
+  userId?: string;
+  role: string; // User role, or 'SYSTEM' for payments and background jobs
+}
+
+export const SYSTEM_ACTOR: StatusActor = { role: 'SYSTEM' };
+
+export const ORDER_TRANSITIONS: Record<OrderStatus, OrderStatus[]> = {
+  PENDING: ['ACCEPTED', 'CANCELLED'],
+  ACCEPTED: ['PREPARING', 'READY', 'CANCELLED'], // Packaged items can skip PREPARING
+  PREPARING: ['READY', 'CANCELLED'],
+  READY: ['DELIVERED'],
+  DELIVERED: [],
+  CANCELLED: [],
+};
+
+const STATUS_TIMESTAMPS: Partial<Record<OrderStatus, string>> = {
+  ACCEPTED: 'acceptedAt',
+  PREPARING: 'preparingAt',
+  READY: 'readyAt',
+  DELIVERED: 'deliveredAt',
+  CANCELLED: 'cancelledAt',
+};
+
+export function canTransition(from: OrderStatus, to: OrderStatus) {
+  return ORDER_TRANSITIONS[from].includes(to);
+}
+
+// ============================================
+// SERVICE
+// ============================================
+
+export class OrderStatusService {
+  // Moves an order to a new status and records the change in its history.
+  // Pass `db` to run inside a caller's transaction.
+  async transition(
+    orderId: string,
+    to: OrderStatus,
+    actor: StatusActor,
+    options: { reason?: string; db?: Prisma.TransactionClient } = {}
+  ) {
+    if (options.db) {
+      return this.apply(options.db, orderId, to, actor, options.reason);
+    }
+    return prisma.$transaction((tx) => this.apply(tx, orderId, to, actor, options.reason));
+  }
+
+  async timeline(orderId: string) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      select: {
+        id: true,
+        orderNumber: true,
+        status: true,
+        statusEvents: {
+          include: { actor: { select: { id: true, name: true, role: true } } },
+          orderBy: { createdAt: 'asc' },
+        },
+      },
+    });
+
+    if (!order) {
+      throw new NotFoundError('Order not found');
+    }
+
+    return {
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      events: order.statusEvents.map((event) => ({
+        id: event.id,
+        fromStatus: event.fromStatus,
+        toStatus: event.toStatus,
+        reason: event.reason,
+        actorRole: event.actorRole,
+        actor: event.actor,
+        createdAt: event.createdAt,
+      })),
+    };
+  }
+
+  private async apply(
+    db: Prisma.TransactionClient,
+    orderId: string,
+    to: OrderStatus,
+    actor: StatusActor,
+    reason?: string
+  ) {
+    const order = await db.order.findUnique({
+      where: { id: orderId },
+      include: {
+        payment: true,
+        organization: { select: { requirePayment: true } },
+      },
+    });
+
+    if (!order) {
+      throw new NotFoundError('Order not found');
+    }
+
+    if (!canTransition(order.status, to)) {
+      throw new ConflictError(`Cannot move order from ${order.status} to ${to}`);
+    }
+
+    // Guard: paid orgs must collect payment before the pantry accepts
+    if (
+      to === 'ACCEPTED' &&
+      order.organization.requirePayment &&
+      order.total.greaterThan(0) &&
+      !isCaptured(order.payment?.status)
+    ) {
+      throw new BadRequestError('Order cannot be accepted until payment is completed');
+    }
+
+    const timestamp = STATUS_TIMESTAMPS[to];
+
+    // Conditional update so two concurrent transitions cannot both succeed
+    const { count } = await db.order.updateMany({
+      where: { id: orderId, status: order.status },
+      data: {
+        status: to,
+        ...(timestamp && { [timestamp]: new Date() }),
+        // Staff attribution; a claim may already have recorded who accepted
+        ...(to === 'ACCEPTED' && actor.userId && !order.acceptedById && { acceptedById: actor.userId }),
+        ...(to === 'DELIVERED' && actor.userId && { deliveredById: actor.userId }),
+      },
+    });
+
+    if (count === 0) {
+      throw new ConflictError('Order status was changed by someone else, please retry');
+    }
+
+    await db.orderStatusEvent.create({
+      data: {
+        orderId,
+        fromStatus: order.status,
+        toStatus: to,
+        reason,
+        actorId: actor.userId,
+        actorRole: actor.role,
+      },
+    });
+
+    return { from: order.status, to };
+  }
+}
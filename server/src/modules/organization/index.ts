@@ -5,7 +5,17 @@ import { Router, Response, Request } from 'express';
 import { prisma } from '../../config/index.js';
 import { NotFoundError, ConflictError, ForbiddenError } from '../../common/errors.js';
 import { validate, authenticate, requireRole } from '../../common/middleware/index.js';
-import { sendSuccess, sendCreated, sendNoContent } from '../../common/utils/index.js';
+import {
+  sendSuccess,
+  sendCreated,
+  sendNoContent,
+  timeOfDaySchema,
+  localDateSchema,
+  isValidTimeZone,
+  getZonedParts,
+  minutesOfDay,
+} from '../../common/utils/index.js';
+import { MediaService, imageUpload } from '../media/index.js';
 
 // ============================================
 // SCHEMAS
@@ -19,13 +29,135 @@ export const createOrgSchema = z.object({
   paymentProvider: z.enum(['razorpay', 'stripe', 'custom']).optional(),
 });
 
-export const updateOrgSchema = createOrgSchema.partial();
+// Order numbers are rendered from a format with these tokens:
+// {prefix}, {YYYY}, {YY}, {MM}, {DD}, {shift}, {seq} or {seq:N} (zero-padded)
+export const orderNumberSettingsSchema = z.object({
+  prefix: z.string().max(12).regex(/^[A-Za-z0-9-]*$/).default('ORD'),
+  format: z.string().min(1).max(40).default('{prefix}-{seq:5}'),
+  reset: z.enum(['none', 'daily', 'shift']).default('none'),
+  shifts: z.array(z.object({
+    code: z.string().min(1).max(4).regex(/^[A-Za-z0-9]+$/),
+    start: timeOfDaySchema,
+  })).max(6).default([]),
+}).superRefine((value, ctx) => {
+  const issue = (message: string) => ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['format'], message });
+
+  if (!/\{seq(:\d)?\}/.test(value.format)) {
+    issue('Format must contain {seq}');
+  }
+  if (value.reset !== 'none' && !(value.format.includes('{MM}') && value.format.includes('{DD}'))) {
+    issue('Daily and shift resets need {MM} and {DD} in the format');
+  }
+  if (value.reset === 'shift' && (!value.format.includes('{shift}') || value.shifts.length === 0)) {
+    issue('Shift resets need {shift} in the format and at least one shift');
+  }
+});
+
+export const orgSettingsSchema = z.object({
+  timezone: z.string().refine(isValidTimeZone, 'Unknown timezone').default('UTC'),
+  orderNumber: orderNumberSettingsSchema.default({}),
+  ordering: z.object({
+    // How long guests may still change an accepted order
+    amendmentWindowMinutes: z.number().int().min(0).max(60).default(2),
+  }).default({}),
+  // Opening hours in the org timezone; empty means always open
+  businessHours: z.array(z.object({
+    day: z.number().int().min(0).max(6), // 0 = Sunday
+    open: timeOfDaySchema,
+    close: timeOfDaySchema,
+  })).max(21).default([]),
+  holidays: z.array(localDateSchema).max(366).default([]), // YYYY-MM-DD in the org timezone
+  scheduling: z.object({
+    leadTimeMinutes: z.number().int().min(0).max(240).default(15), // Shown to the pantry this long before delivery
+    minAdvanceMinutes: z.number().int().min(0).max(1440).default(30),
+    maxAdvanceDays: z.number().int().min(1).max(60).default(7),
+  }).default({}),
+  kitchen: z.object({
+    parallelOrders: z.number().int().min(1).max(20).default(2), // Orders the pantry works on at once
+    defaultPrepMinutes: z.number().int().min(1).max(120).default(3), // For items with no prep time or history
+  }).default({}),
+  // Maximum minutes per lifecycle stage before an order is escalated
+  sla: z.object({
+    enabled: z.boolean().default(true),
+    acceptMinutes: z.number().int().min(1).max(1440).default(5), // placed -> accepted
+    readyMinutes: z.number().int().min(1).max(1440).default(15), // accepted -> ready
+    deliverMinutes: z.number().int().min(1).max(1440).default(10), // ready -> delivered
+  }).default({}),
+  ratings: z.object({
+    windowHours: z.number().int().min(1).max(720).default(48), // After delivery
+    lowRatingThreshold: z.number().int().min(1).max(5).default(2), // At or below is pushed to supervisors
+  }).default({}),
+  notifications: z.object({
+    webhooks: z.array(z.object({
+      url: z.string().url(),
+      format: z.enum(['json', 'slack']).default('json'),
+      events: z.array(z.string()).default([]), // Empty means every event
+    })).max(10).default([]),
+  }).default({}),
+});
+
+export type OrgSettings = z.infer<typeof orgSettingsSchema>;
+
+// Settings may name only the fields that change, e.g. { sla: { acceptMinutes: 10 } };
+// they are merged into the stored settings and validated as a whole
+export const updateOrgSchema = createOrgSchema.partial().extend({
+  settings: z.record(z.string(), z.unknown()).optional(),
+});
+
+// Settings are validated on write. Legacy rows are read section by section so
+// one bad section falls back to its defaults without resetting the others
+export function parseOrgSettings(settings: unknown): OrgSettings {
+  const stored = isPlainObject(settings) ? settings : {};
+  const parsed: Record<string, unknown> = {};
+
+  for (const [key, schema] of Object.entries(orgSettingsSchema.shape)) {
+    const section = schema.safeParse(stored[key]);
+    if (!section.success) {
+      console.error(`Invalid org settings section "${key}", using defaults:`, section.error.issues);
+    }
+    parsed[key] = section.success ? section.data : schema.parse(undefined);
+  }
+
+  return parsed as OrgSettings;
+}
+
+// Merges a partial update per section: fields of an object section are kept
+// unless named, while lists and plain values are replaced
+export function mergeOrgSettings(current: OrgSettings, changes: Record<string, unknown>): OrgSettings {
+  const merged: Record<string, unknown> = { ...current };
+
+  for (const [key, value] of Object.entries(changes)) {
+    const existing = merged[key];
+    merged[key] = isPlainObject(existing) && isPlainObject(value) ? { ...existing, ...value } : value;
+  }
+
+  return z.object({ settings: orgSettingsSchema }).parse({ settings: merged }).settings;
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+export function isWithinBusinessHours(settings: OrgSettings, date: Date) {
+  if (settings.businessHours.length === 0) return true;
+
+  const local = getZonedParts(date, settings.timezone);
+  const minutes = local.hour * 60 + local.minute;
+
+  return settings.businessHours.some((hours) =>
+    hours.day === local.weekday &&
+    minutesOfDay(hours.open) <= minutes &&
+    minutes < minutesOfDay(hours.close)
+  );
+}
 
 // ============================================
 // SERVICE
 // ============================================
 
 export class OrganizationService {
+  private mediaService = new MediaService();
+
   async create(data: z.infer<typeof createOrgSchema>) {
     const existing = await prisma.organization.findUnique({
       where: { slug: data.slug },
@@ -77,16 +209,56 @@ export class OrganizationService {
       }
     }
 
-    return prisma.organization.update({
+    const { settings, ...rest } = data;
+    const org = await this.findById(id);
+    const mergedSettings = settings && mergeOrgSettings(parseOrgSettings(org.settings), settings);
+
+    // An external URL replaces an uploaded logo
+    const replacesUpload = Boolean(data.logo && org.logoImageId && data.logo !== org.logo);
+
+    const updated = await prisma.organization.update({
       where: { id },
-      data,
+      data: {
+        ...rest,
+        ...(mergedSettings && { settings: mergedSettings }),
+        ...(replacesUpload && { logoImageId: null }),
+      },
     });
+
+    if (replacesUpload) {
+      await this.mediaService.remove(org.logoImageId);
+    }
+
+    return updated;
   }
 
   async delete(id: string) {
+    await this.mediaService.removeAll(id);
     await prisma.organization.delete({ where: { id } });
   }
 
+  async setLogo(id: string, file: Express.Multer.File | undefined) {
+    const org = await this.findById(id);
+    const image = await this.mediaService.upload(id, 'logos', file);
+
+    const updated = await prisma.organization.update({
+      where: { id },
+      data: { logo: image.url, logoImageId: image.id },
+      include: { logoImage: true },
+    });
+
+    await this.mediaService.remove(org.logoImageId);
+    return updated;
+  }
+
+  async removeLogo(id: string) {
+    const org = await this.findById(id);
+    const updated = await prisma.organization.update({ where: { id }, data: { logo: null, logoImageId: null } });
+
+    await this.mediaService.remove(org.logoImageId);
+    return updated;
+  }
+
   async getStats(id: string) {
     const [spaces, users, orders, revenue] = await Promise.all([
       prisma.space.count({ where: { organizationId: id } }),
@@ -141,6 +313,18 @@ export class OrganizationController {
     sendSuccess(res, org);
   };
 
+  setLogo = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const org = await this.orgService.setLogo(req.user.organizationId, req.file);
+    sendSuccess(res, org);
+  };
+
+  removeLogo = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const org = await this.orgService.removeLogo(req.user.organizationId);
+    sendSuccess(res, org);
+  };
+
   getStats = async (req: Request, res: Response) => {
     if (!req.user) throw new ForbiddenError();
     const stats = await this.orgService.getStats(req.user.organizationId);
@@ -163,6 +347,8 @@ export function organizationRoutes() {
   router.get('/current', authenticate, controller.getCurrent);
   router.get('/current/stats', authenticate, requireRole('ADMIN'), controller.getStats);
   router.patch('/current', authenticate, requireRole('ADMIN'), validate(updateOrgSchema), controller.update);
+  router.post('/current/logo', authenticate, requireRole('ADMIN'), imageUpload('logo'), controller.setLogo);
+  router.delete('/current/logo', authenticate, requireRole('ADMIN'), controller.removeLogo);
 
   // Super admin only
   router.post('/', authenticate, requireRole('SUPER_ADMIN'), validate(createOrgSchema), controller.create);
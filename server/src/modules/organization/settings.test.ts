@@ -0,0 +1,40 @@
+import { describe, it, expect, vi } from 'vitest';
+import { parseOrgSettings, mergeOrgSettings } from './index.js';
+
+vi.mock('../../config/index.js', () => ({ prisma: {} }));
+vi.mock('../media/index.js', () => ({ MediaService: class {}, imageUpload: {} }));
+
+describe('parseOrgSettings', () => {
+  it('fills defaults for missing settings', () => {
+    const settings = parseOrgSettings(null);
+
+    expect(settings.timezone).toBe('UTC');
+    expect(settings.orderNumber.format).toBe('{prefix}-{seq:5}');
+    expect(settings.sla.acceptMinutes).toBe(5);
+  });
+
+  it('keeps valid sections when another section is invalid', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const settings = parseOrgSettings({
+      timezone: 'Europe/Berlin',
+      orderNumber: { prefix: 'K', format: 'no-sequence' },
+      sla: { acceptMinutes: 10 },
+    });
+
+    expect(settings.timezone).toBe('Europe/Berlin');
+    expect(settings.sla.acceptMinutes).toBe(10);
+    expect(settings.orderNumber).toEqual(parseOrgSettings({}).orderNumber);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('orderNumber'), expect.anything());
+  });
+});
+
+describe('mergeOrgSettings', () => {
+  it('keeps unnamed fields of a section and replaces lists', () => {
+    const current = parseOrgSettings({ sla: { acceptMinutes: 10 }, holidays: ['2026-12-25'] });
+    const merged = mergeOrgSettings(current, { sla: { readyMinutes: 20 }, holidays: ['2026-12-31'] });
+
+    expect(merged.sla).toMatchObject({ acceptMinutes: 10, readyMinutes: 20 });
+    expect(merged.holidays).toEqual(['2026-12-31']);
+  });
+});
@@ -4,11 +4,14 @@ import { z } from 'zod';
 import { Router, Response, Request } from 'express';
 import Razorpay from 'razorpay';
 import crypto from 'crypto';
-import { Decimal } from '@prisma/client/runtime/library';
 import { prisma, config } from '../../config/index.js';
 import { NotFoundError, BadRequestError, ForbiddenError } from '../../common/errors.js';
 import { validate, authenticate, optionalAuth } from '../../common/middleware/index.js';
 import { sendSuccess } from '../../common/utils/index.js';
+import { OrderStatusService, SYSTEM_ACTOR } from '../order/status.js';
+import { publishOrderEvent } from '../order/events.js';
+import { KitchenQueueService } from '../order/queue.js';
+import { isCaptured, holdsMoney, applyRefund } from './refunds.js';
 
 // ============================================
 // PAYMENT PROVIDER INTERFACE
@@ -150,6 +153,9 @@ export const verifyPaymentSchema = z.object({
 // ============================================
 
 export class PaymentService {
+  private statusService = new OrderStatusService();
+  private queueService = new KitchenQueueService();
+
   async initiatePayment(orderId: string) {
     const order = await prisma.order.findUnique({
       where: { id: orderId },
@@ -163,8 +169,12 @@ export class PaymentService {
       throw new NotFoundError('Order not found');
     }
 
+    if (order.status === 'CANCELLED') {
+      throw new BadRequestError('Order has been cancelled');
+    }
+
     if (order.payment) {
-      if (order.payment.status === 'COMPLETED') {
+      if (isCaptured(order.payment.status)) {
         throw new BadRequestError('Order already paid');
       }
       // Return existing payment order
@@ -188,10 +198,7 @@ export class PaymentService {
         },
       });
 
-      await prisma.order.update({
-        where: { id: orderId },
-        data: { status: 'ACCEPTED' },
-      });
+      await this.acceptPaidOrder(order.id, order.organizationId);
 
       return {
         paymentId: payment.id,
@@ -268,10 +275,7 @@ export class PaymentService {
       },
     });
 
-    await prisma.order.update({
-      where: { id: data.orderId },
-      data: { status: 'ACCEPTED' },
-    });
+    await this.acceptPaidOrder(order.id, order.organizationId);
 
     return { success: true };
   }
@@ -282,27 +286,41 @@ export class PaymentService {
       include: { payment: true, organization: true },
     });
 
-    if (!order || !order.payment || order.payment.status !== 'COMPLETED') {
-      throw new BadRequestError('No completed payment found for this order');
+    if (!order || !holdsMoney(order.payment)) {
+      throw new BadRequestError('No captured payment found for this order');
     }
 
-    const provider = getPaymentProvider(order.organization.paymentProvider ?? undefined);
-    const refundResult = await provider.refund(order.payment.externalId!, amount);
+    const { refund, status, refundedAmount } = applyRefund(order.payment, amount);
 
-    const refundAmount = amount ?? order.payment.amount.toNumber();
-    const newRefundedAmount = (order.payment.refundedAmount?.toNumber() ?? 0) + refundAmount;
+    const provider = getPaymentProvider(order.organization.paymentProvider ?? undefined);
+    const refundResult = await provider.refund(order.payment.externalId!, refund.toNumber());
 
     await prisma.payment.update({
       where: { id: order.payment.id },
-      data: {
-        status: newRefundedAmount >= order.payment.amount.toNumber() ? 'REFUNDED' : 'PARTIALLY_REFUNDED',
-        refundedAmount: new Decimal(newRefundedAmount),
-        refundedAt: new Date(),
-      },
+      data: { status, refundedAmount, refundedAt: new Date() },
     });
 
     return { success: true, refundId: refundResult.id };
   }
+
+  // Paying auto-accepts the order, unless staff already moved it on. Pre-orders
+  // are accepted by the release job once they reach the pantry queue.
+  private async acceptPaidOrder(orderId: string, orgId: string) {
+    const order = await prisma.order.findUnique({ where: { id: orderId } });
+    if (order?.status !== 'PENDING') return;
+    if (order.releaseAt && !order.releasedAt) return;
+
+    await this.statusService.transition(orderId, 'ACCEPTED', SYSTEM_ACTOR, {
+      reason: 'Payment completed',
+    });
+    await publishOrderEvent(orgId, 'STATUS_UPDATE', {
+      order: await prisma.order.findUnique({
+        where: { id: orderId },
+        include: { items: { include: { item: true } }, space: true },
+      }),
+    });
+    this.queueService.refreshEtasSoon(orgId);
+  }
 }
 
 // ============================================
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { Decimal } from '@prisma/client/runtime/library';
+import { PaymentStatus } from '@prisma/client';
+import { isCaptured, holdsMoney, refundableAmount, applyRefund } from './refunds.js';
+
+function payment(overrides: Partial<{
+  provider: string;
+  status: PaymentStatus;
+  amount: number;
+  refundedAmount: number | null;
+  externalId: string | null;
+}> = {}) {
+  const { amount = 100, refundedAmount = null, ...rest } = overrides;
+  return {
+    provider: 'razorpay',
+    status: 'COMPLETED' as PaymentStatus,
+    externalId: 'pay_1',
+    ...rest,
+    amount: new Decimal(amount),
+    refundedAmount: refundedAmount === null ? null : new Decimal(refundedAmount),
+  };
+}
+
+describe('isCaptured', () => {
+  it('treats partially refunded payments as still captured', () => {
+    expect(isCaptured('COMPLETED')).toBe(true);
+    expect(isCaptured('PARTIALLY_REFUNDED')).toBe(true);
+    expect(isCaptured('PENDING')).toBe(false);
+    expect(isCaptured('REFUNDED')).toBe(false);
+    expect(isCaptured(undefined)).toBe(false);
+  });
+});
+
+describe('holdsMoney', () => {
+  it('ignores free and uncaptured payments', () => {
+    expect(holdsMoney(payment())).toBe(true);
+    expect(holdsMoney(payment({ provider: 'free', externalId: null }))).toBe(false);
+    expect(holdsMoney(payment({ externalId: null }))).toBe(false);
+    expect(holdsMoney(payment({ status: 'PENDING' }))).toBe(false);
+    expect(holdsMoney(null)).toBe(false);
+  });
+});
+
+describe('applyRefund', () => {
+  it('refunds amend, amend, cancel without returning more than was paid', () => {
+    const paid = payment({ amount: 100 });
+
+    // First amendment lowers the total from 100 to 80
+    const first = applyRefund(paid, 20);
+    expect(first.status).toBe('PARTIALLY_REFUNDED');
+    expect(first.refundedAmount.toNumber()).toBe(20);
+
+    // Second amendment lowers it to 50; the payment is still captured
+    const afterFirst = { ...paid, status: first.status, refundedAmount: first.refundedAmount };
+    expect(holdsMoney(afterFirst)).toBe(true);
+    const second = applyRefund(afterFirst, 30);
+    expect(second.status).toBe('PARTIALLY_REFUNDED');
+    expect(second.refundedAmount.toNumber()).toBe(50);
+
+    // Cancelling refunds only what is left
+    const afterSecond = { ...paid, status: second.status, refundedAmount: second.refundedAmount };
+    expect(refundableAmount(afterSecond).toNumber()).toBe(50);
+    const cancel = applyRefund(afterSecond);
+    expect(cancel.refund.toNumber()).toBe(50);
+    expect(cancel.status).toBe('REFUNDED');
+    expect(cancel.refundedAmount.toNumber()).toBe(100);
+
+    const afterCancel = { ...paid, status: cancel.status, refundedAmount: cancel.refundedAmount };
+    expect(refundableAmount(afterCancel).toNumber()).toBe(0);
+  });
+
+  it('refuses to refund more than is captured', () => {
+    expect(() => applyRefund(payment({ refundedAmount: 80 }), 30)).toThrow('Cannot refund 30.00 of 20.00');
+  });
+
+  it('has nothing to refund on free payments', () => {
+    expect(refundableAmount(payment({ provider: 'free', externalId: null })).toNumber()).toBe(0);
+    expect(() => applyRefund(payment({ provider: 'free', externalId: null }))).toThrow();
+  });
+});
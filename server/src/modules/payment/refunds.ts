@@ -0,0 +1,39 @@
+// Payment refunds - how much of a payment is captured and can still be refunded
+
+import { Payment, PaymentStatus } from '@prisma/client';
+import { Decimal } from '@prisma/client/runtime/library';
+import { BadRequestError } from '../../common/errors.js';
+
+type PaymentAmounts = Pick<Payment, 'provider' | 'status' | 'amount' | 'refundedAmount' | 'externalId'>;
+
+// A partial refund leaves the rest of the payment captured
+export function isCaptured(status: PaymentStatus | undefined) {
+  return status === 'COMPLETED' || status === 'PARTIALLY_REFUNDED';
+}
+
+// Free payments mark an order as settled without collecting any money
+export function holdsMoney(payment: PaymentAmounts | null | undefined): payment is PaymentAmounts {
+  return Boolean(payment && isCaptured(payment.status) && payment.provider !== 'free' && payment.externalId);
+}
+
+export function refundableAmount(payment: PaymentAmounts | null | undefined) {
+  if (!holdsMoney(payment)) return new Decimal(0);
+
+  const remaining = payment.amount.sub(payment.refundedAmount ?? 0);
+  return remaining.greaterThan(0) ? remaining : new Decimal(0);
+}
+
+// The payment fields after refunding `amount`, or everything still captured
+export function applyRefund(payment: PaymentAmounts, amount?: Decimal.Value) {
+  const refundable = refundableAmount(payment);
+  const refund = amount === undefined ? refundable : new Decimal(amount);
+
+  if (refund.lessThanOrEqualTo(0) || refund.greaterThan(refundable)) {
+    throw new BadRequestError(`Cannot refund ${refund.toFixed(2)} of ${refundable.toFixed(2)} captured`);
+  }
+
+  const refundedAmount = refund.add(payment.refundedAmount ?? 0);
+  const status: PaymentStatus = refundedAmount.greaterThanOrEqualTo(payment.amount) ? 'REFUNDED' : 'PARTIALLY_REFUNDED';
+
+  return { refund, status, refundedAmount };
+}
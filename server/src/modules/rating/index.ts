@@ -0,0 +1,323 @@
+// Rating module - guest feedback on delivered orders and quality aggregates
+
+import { z } from 'zod';
+import { Router, Response, Request } from 'express';
+import { Prisma } from '@prisma/client';
+import { prisma } from '../../config/index.js';
+import { NotFoundError, BadRequestError, ForbiddenError, ConflictError } from '../../common/errors.js';
+import { validate, authenticate, requireRole, optionalAuth } from '../../common/middleware/index.js';
+import { sendSuccess, sendCreated } from '../../common/utils/index.js';
+import { parseOrgSettings } from '../organization/index.js';
+import { publishOrderEvent } from '../order/events.js';
+import { NotificationService } from '../notification/index.js';
+
+// ============================================
+// SCHEMAS
+// ============================================
+
+export const createRatingSchema = z.object({
+  orderId: z.string().uuid(),
+  sessionId: z.string().uuid(), // Proves the guest placed the order
+  rating: z.number().int().min(1).max(5),
+  comment: z.string().max(1000).optional(),
+  items: z.array(z.object({
+    orderItemId: z.string().uuid(),
+    thumbsUp: z.boolean(),
+  })).max(50).default([]),
+});
+
+export const ratingSummaryQuerySchema = z
+  .object({
+    groupBy: z.enum(['item', 'space', 'staff']).default('item'),
+    interval: z.enum(['day', 'week', 'month']).default('week'),
+    from: z.coerce.date().optional(),
+    to: z.coerce.date().optional(),
+  })
+  .refine((query) => !query.from || !query.to || query.from <= query.to, {
+    message: '"from" must be before "to"',
+    path: ['from'],
+  });
+
+export const listRatingsQuerySchema = z.object({
+  maxRating: z.coerce.number().int().min(1).max(5).optional(), // e.g. 2 for follow-ups
+  spaceId: z.string().uuid().optional(),
+  limit: z.coerce.number().int().min(1).max(100).default(50),
+  offset: z.coerce.number().int().min(0).default(0),
+});
+
+// ============================================
+// SERVICE
+// ============================================
+
+export class RatingService {
+  private notificationService = new NotificationService();
+
+  async create(data: z.infer<typeof createRatingSchema>, userId?: string) {
+    const order = await prisma.order.findUnique({
+      where: { id: data.orderId },
+      include: {
+        items: { include: { item: { select: { id: true, name: true } } } },
+        session: true,
+        space: { select: { id: true, name: true } },
+        organization: { select: { settings: true } },
+        rating: { select: { id: true } },
+      },
+    });
+
+    if (!order) {
+      throw new NotFoundError('Order not found');
+    }
+
+    if (order.sessionId !== data.sessionId || (order.session.userId && order.session.userId !== userId)) {
+      throw new ForbiddenError('Only the guest who placed this order can rate it');
+    }
+
+    if (order.status !== 'DELIVERED' || !order.deliveredAt) {
+      throw new BadRequestError('Orders can be rated once they are delivered');
+    }
+
+    const settings = parseOrgSettings(order.organization.settings);
+    if (Date.now() > order.deliveredAt.getTime() + settings.ratings.windowHours * 60 * 60 * 1000) {
+      throw new BadRequestError('The rating window for this order has closed');
+    }
+
+    if (order.rating) {
+      throw new ConflictError('This order has already been rated');
+    }
+
+    for (const line of data.items) {
+      if (!order.items.some((orderItem) => orderItem.id === line.orderItemId)) {
+        throw new BadRequestError('Rated item is not part of this order');
+      }
+    }
+
+    let rating;
+    try {
+      rating = await prisma.orderRating.create({
+        data: {
+          rating: data.rating,
+          comment: data.comment,
+          orderId: order.id,
+          organizationId: order.organizationId,
+          spaceId: order.spaceId,
+          staffId: order.deliveredById ?? order.acceptedById,
+          userId,
+          items: {
+            create: data.items.map((line) => ({
+              orderItemId: line.orderItemId,
+              thumbsUp: line.thumbsUp,
+              itemId: order.items.find((orderItem) => orderItem.id === line.orderItemId)!.itemId,
+            })),
+          },
+        },
+        include: { items: true },
+      });
+    } catch (error) {
+      // Two submissions racing for the same order
+      if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2002') {
+        throw new ConflictError('This order has already been rated');
+      }
+      throw error;
+    }
+
+    if (rating.rating <= settings.ratings.lowRatingThreshold) {
+      const thumbsDown = order.items
+        .filter((orderItem) => rating.items.some((line) => line.orderItemId === orderItem.id && !line.thumbsUp))
+        .map((orderItem) => orderItem.item.name);
+
+      const lowRating = {
+        ratingId: rating.id,
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        space: order.space,
+        rating: rating.rating,
+        comment: rating.comment,
+        thumbsDown,
+      };
+
+      await publishOrderEvent(order.organizationId, 'LOW_RATING', { rating: lowRating });
+      this.notificationService.notify(order.organizationId, {
+        event: 'LOW_RATING',
+        title: `Order ${order.orderNumber} rated ${rating.rating}/5`,
+        message: [
+          order.space.name,
+          thumbsDown.length > 0 ? `Disliked: ${thumbsDown.join(', ')}` : null,
+          rating.comment ? `"${rating.comment}"` : null,
+        ].filter(Boolean).join(' - '),
+        data: lowRating,
+      });
+    }
+
+    return rating;
+  }
+
+  async findByOrder(orderId: string, sessionId: string) {
+    const rating = await prisma.orderRating.findFirst({
+      where: { orderId, order: { sessionId } },
+      include: { items: true },
+    });
+
+    if (!rating) {
+      throw new NotFoundError('Rating not found');
+    }
+
+    return rating;
+  }
+
+  async findByOrg(orgId: string, query: z.infer<typeof listRatingsQuerySchema>) {
+    const where: Prisma.OrderRatingWhereInput = {
+      organizationId: orgId,
+      ...(query.maxRating && { rating: { lte: query.maxRating } }),
+      ...(query.spaceId && { spaceId: query.spaceId }),
+    };
+
+    const [ratings, total] = await Promise.all([
+      prisma.orderRating.findMany({
+        where,
+        include: {
+          items: { include: { item: { select: { id: true, name: true } } } },
+          order: { select: { id: true, orderNumber: true } },
+          space: { select: { id: true, name: true } },
+          staff: { select: { id: true, name: true } },
+        },
+        orderBy: { createdAt: 'desc' },
+        take: query.limit,
+        skip: query.offset,
+      }),
+      prisma.orderRating.count({ where }),
+    ]);
+
+    return { ratings, total };
+  }
+
+  // Average rating per item, space or staff member in each period of the
+  // org's timezone. Items also report their thumbs up/down counts.
+  async summary(orgId: string, query: z.infer<typeof ratingSummaryQuerySchema>) {
+    const org = await prisma.organization.findUniqueOrThrow({ where: { id: orgId } });
+    const { timezone } = parseOrgSettings(org.settings);
+
+    const to = query.to ?? new Date();
+    const from = query.from ?? new Date(to.getTime() - 90 * 24 * 60 * 60 * 1000);
+    const period = Prisma.sql`date_trunc(${query.interval}, (r."createdAt" AT TIME ZONE 'UTC') AT TIME ZONE ${timezone})`;
+
+    const rows = query.groupBy === 'item'
+      ? await prisma.$queryRaw<SummaryRow[]>`
+          SELECT oi."itemId" AS "key",
+                 ${period} AS "period",
+                 COUNT(DISTINCT r."id")::int AS "count",
+                 AVG(r."rating")::float AS "average",
+                 COUNT(ir."id") FILTER (WHERE ir."thumbsUp")::int AS "thumbsUp",
+                 COUNT(ir."id") FILTER (WHERE NOT ir."thumbsUp")::int AS "thumbsDown"
+          FROM "OrderRating" r
+          JOIN "OrderItem" oi ON oi."orderId" = r."orderId"
+          LEFT JOIN "OrderItemRating" ir ON ir."orderItemId" = oi."id"
+          WHERE r."organizationId" = ${orgId}
+            AND r."createdAt" >= ${from} AND r."createdAt" <= ${to}
+          GROUP BY 1, 2
+          ORDER BY 2, 1
+        `
+      : await prisma.$queryRaw<SummaryRow[]>`
+          SELECT ${query.groupBy === 'space' ? Prisma.sql`r."spaceId"` : Prisma.sql`r."staffId"`} AS "key",
+                 ${period} AS "period",
+                 COUNT(*)::int AS "count",
+                 AVG(r."rating")::float AS "average",
+                 NULL::int AS "thumbsUp",
+                 NULL::int AS "thumbsDown"
+          FROM "OrderRating" r
+          WHERE r."organizationId" = ${orgId}
+            AND r."createdAt" >= ${from} AND r."createdAt" <= ${to}
+          GROUP BY 1, 2
+          ORDER BY 2, 1
+        `;
+
+    const labels = await this.labelsFor(query.groupBy, rows.map((row) => row.key));
+
+    return {
+      from,
+      to,
+      groupBy: query.groupBy,
+      interval: query.interval,
+      rows: rows.map((row) => ({
+        key: row.key,
+        label: row.key ? labels.get(row.key) ?? 'Unknown' : 'Unassigned',
+        period: row.period,
+        count: row.count,
+        average: Math.round(row.average * 100) / 100,
+        ...(query.groupBy === 'item' && { thumbsUp: row.thumbsUp, thumbsDown: row.thumbsDown }),
+      })),
+    };
+  }
+
+  private async labelsFor(groupBy: 'item' | 'space' | 'staff', keys: (string | null)[]) {
+    const ids = [...new Set(keys.filter((key): key is string => key !== null))];
+
+    const named = groupBy === 'item'
+      ? await prisma.item.findMany({ where: { id: { in: ids } }, select: { id: true, name: true } })
+      : groupBy === 'space'
+        ? await prisma.space.findMany({ where: { id: { in: ids } }, select: { id: true, name: true } })
+        : await prisma.user.findMany({ where: { id: { in: ids } }, select: { id: true, name: true } });
+
+    return new Map(named.map((entry) => [entry.id, entry.name ?? entry.id]));
+  }
+}
+
+interface SummaryRow {
+  key: string | null;
+  period: Date;
+  count: number;
+  average: number;
+  thumbsUp: number | null;
+  thumbsDown: number | null;
+}
+
+// ============================================
+// CONTROLLER
+// ============================================
+
+export class RatingController {
+  constructor(private ratingService = new RatingService()) { }
+
+  create = async (req: Request, res: Response) => {
+    const rating = await this.ratingService.create(req.body, req.user?.id);
+    sendCreated(res, rating);
+  };
+
+  getByOrder = async (req: Request, res: Response) => {
+    if (typeof req.query.sessionId !== 'string') throw new BadRequestError('sessionId is required');
+    const rating = await this.ratingService.findByOrder(req.params.orderId, req.query.sessionId);
+    sendSuccess(res, rating);
+  };
+
+  list = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const query = req.query as unknown as z.infer<typeof listRatingsQuerySchema>;
+    const result = await this.ratingService.findByOrg(req.user.organizationId, query);
+    sendSuccess(res, result.ratings, 200, { total: result.total });
+  };
+
+  summary = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const query = req.query as unknown as z.infer<typeof ratingSummaryQuerySchema>;
+    const summary = await this.ratingService.summary(req.user.organizationId, query);
+    sendSuccess(res, summary);
+  };
+}
+
+// ============================================
+// ROUTES
+// ============================================
+
+export function ratingRoutes() {
+  const router = Router();
+  const controller = new RatingController();
+
+  // Guests
+  router.post('/', optionalAuth, validate(createRatingSchema), controller.create);
+  router.get('/order/:orderId', controller.getByOrder);
+
+  // Admin only
+  router.get('/', authenticate, requireRole('ADMIN'), validate(listRatingsQuerySchema, 'query'), controller.list);
+  router.get('/summary', authenticate, requireRole('ADMIN'), validate(ratingSummaryQuerySchema, 'query'), controller.summary);
+
+  return router;
+}
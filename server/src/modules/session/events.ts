@@ -0,0 +1,11 @@
+// Realtime session events - everyone in a (group) session listens on these
+
+import { redis } from '../../config/index.js';
+
+export async function publishSessionEvent(
+  sessionId: string,
+  type: string,
+  payload: Record<string, unknown>
+) {
+  await redis.publish(`sessions:${sessionId}`, JSON.stringify({ type, ...payload }));
+}
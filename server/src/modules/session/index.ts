@@ -6,6 +6,12 @@ import { prisma, redis } from '../../config/index.js';
 import { NotFoundError, BadRequestError, ForbiddenError } from '../../common/errors.js';
 import { validate, authenticate, optionalAuth } from '../../common/middleware/index.js';
 import { sendSuccess, sendCreated } from '../../common/utils/index.js';
+import { FavouriteService } from '../favourite/index.js';
+import { parseItemOptions, resolveOptions } from '../inventory/options.js';
+import { locationForSpace, stockAtLocation } from '../inventory/stock.js';
+import { checkAvailability } from '../inventory/availability.js';
+import { MenuFilters, menuFiltersSchema, filterForDiet, dietaryConflicts } from '../inventory/dietary.js';
+import { parseOrgSettings } from '../organization/index.js';
 
 // ============================================
 // SCHEMAS
@@ -24,6 +30,7 @@ export const createSessionSchema = z.object({
 
 export class SessionService {
   private readonly SESSION_PREFIX = 'session:';
+  private favouriteService = new FavouriteService();
 
   async create(data: z.infer<typeof createSessionSchema>, userId?: string) {
     const space = await prisma.space.findUnique({
@@ -130,7 +137,7 @@ export class SessionService {
     });
   }
 
-  async getMenu(sessionId: string) {
+  async getMenu(sessionId: string, filters: MenuFilters = {}) {
     const session = await this.findById(sessionId);
 
     const categories = await prisma.category.findMany({
@@ -147,6 +154,61 @@ export class SessionService {
       orderBy: [{ sortOrder: 'asc' }, { name: 'asc' }],
     });
 
+    // Stock shown is what the pantry serving this space holds; items it has
+    // run out of are hidden even if another location still has some
+    const stock = await stockAtLocation(
+      prisma,
+      await locationForSpace(prisma, session.spaceId),
+      categories.flatMap((category) => category.items)
+    );
+
+    // Categories and items outside their schedule are hidden until it opens
+    const settings = parseOrgSettings(session.space.organization.settings);
+    const context = { timeZone: settings.timezone, holidays: settings.holidays };
+    const now = new Date();
+    const isOpen = (...schedules: unknown[]) => checkAvailability(schedules, now, context).available;
+
+    const filtering = Boolean(filters.excludeAllergens?.length || filters.dietary?.length);
+
+    // Allergen and dietary filters drop items, and option choices that add an
+    // excluded allergen; older items store plain choice lists, the menu
+    // always shows option groups
+    const menu = categories
+      .filter((category) => isOpen(category.availability))
+      .map((category) => ({
+        ...category,
+        items: category.items
+          .filter((item) => stock.get(item.id) !== 0 && isOpen(category.availability, item.availability))
+          .flatMap((item) => {
+            const options = filterForDiet(item, parseItemOptions(item.options), filters);
+            return options ? [{ ...item, options }] : [];
+          }),
+      }))
+      .filter((category) => !filtering || category.items.length > 0);
+    const onMenu = new Set(menu.flatMap((category) => category.items.map((item) => item.id)));
+
+    // Items that do not suit the signed-in user's dietary profile are flagged
+    const profile = session.userId
+      ? await prisma.user.findUnique({
+        where: { id: session.userId },
+        select: { avoidsAllergens: true, dietaryNeeds: true },
+      })
+      : null;
+
+    // Signed-in users get their favourites and regular orders up top. The
+    // options they picked can add allergens of their own.
+    const usuals = session.userId
+      ? (await this.favouriteService.usuals(session.userId, session.space.organizationId))
+        .filter((usual) => onMenu.has(usual.item.id))
+        .map((usual) => {
+          const picked = resolveOptions(usual.item.options, usual.options).allergens;
+          const allergens = [...new Set([...usual.item.allergens, ...picked])];
+          const conflicts = profile && dietaryConflicts({ allergens, dietaryLabels: usual.item.dietaryLabels }, profile);
+          return { ...usual, allergens, dietaryConflicts: conflicts };
+        })
+        .filter((usual) => !usual.allergens.some((allergen) => filters.excludeAllergens?.includes(allergen)))
+      : [];
+
     return {
       session: {
         id: session.id,
@@ -155,7 +217,15 @@ export class SessionService {
         requirePayment: session.space.organization.requirePayment,
         expiresAt: session.expiresAt,
       },
-      categories,
+      usuals,
+      categories: menu.map((category) => ({
+        ...category,
+        items: category.items.map((item) => ({
+          ...item,
+          stock: stock.get(item.id) ?? null,
+          dietaryConflicts: profile ? dietaryConflicts(item, profile) : null,
+        })),
+      })),
     };
   }
 }
@@ -183,7 +253,8 @@ export class SessionController {
   };
 
   getMenu = async (req: Request, res: Response) => {
-    const menu = await this.sessionService.getMenu(req.params.id);
+    const filters = req.query as unknown as z.infer<typeof menuFiltersSchema>;
+    const menu = await this.sessionService.getMenu(req.params.id, filters);
     sendSuccess(res, menu);
   };
 }
@@ -198,7 +269,7 @@ export function sessionRoutes() {
 
   router.post('/', optionalAuth, validate(createSessionSchema), controller.create);
   router.get('/:id', optionalAuth, controller.getById);
-  router.get('/:id/menu', controller.getMenu);
+  router.get('/:id/menu', validate(menuFiltersSchema, 'query'), controller.getMenu);
   router.post('/:id/close', optionalAuth, controller.close);
 
   return router;
@@ -0,0 +1,282 @@
+// SLA module - per-stage targets, breach escalation and breach-rate reporting
+
+import { z } from 'zod';
+import { Router, Response, Request } from 'express';
+import { Prisma } from '@prisma/client';
+import { prisma, redis } from '../../config/index.js';
+import { ForbiddenError } from '../../common/errors.js';
+import { validate, authenticate, requireRole } from '../../common/middleware/index.js';
+import { sendSuccess } from '../../common/utils/index.js';
+import { parseOrgSettings, OrgSettings } from '../organization/index.js';
+import { publishOrderEvent } from '../order/events.js';
+import { NotificationService } from '../notification/index.js';
+
+// ============================================
+// SCHEMAS
+// ============================================
+
+export const slaReportQuerySchema = z
+  .object({
+    from: z.coerce.date().optional(),
+    to: z.coerce.date().optional(),
+    groupBy: z.enum(['space', 'staff', 'hour']).default('space'),
+  })
+  .refine((query) => !query.from || !query.to || query.from <= query.to, {
+    message: '"from" must be before "to"',
+    path: ['from'],
+  });
+
+// ============================================
+// STAGES
+// ============================================
+
+export type SlaStage = 'ACCEPT' | 'READY' | 'DELIVER';
+
+const STAGE_LABELS: Record<SlaStage, string> = {
+  ACCEPT: 'waiting to be accepted',
+  READY: 'being prepared',
+  DELIVER: 'waiting for delivery',
+};
+
+// Escalation level 2 fires when a stage has taken twice its target
+const ESCALATION_LEVELS = [1, 2];
+
+function targetMinutes(sla: OrgSettings['sla'], stage: SlaStage) {
+  return { ACCEPT: sla.acceptMinutes, READY: sla.readyMinutes, DELIVER: sla.deliverMinutes }[stage];
+}
+
+// Like SQL GREATEST, which skips NULLs
+function latest(date: Date, other: Date | null) {
+  return other && other > date ? other : date;
+}
+
+// ============================================
+// SERVICE
+// ============================================
+
+export class SlaService {
+  private readonly BREACH_PREFIX = 'sla-breach:';
+  private notificationService = new NotificationService();
+
+  // Finds open orders that have overrun a stage target and escalates each
+  // breach once per level. Safe on every replica: Redis SET NX claims it.
+  async checkBreaches(now = new Date()) {
+    const orgs = await prisma.organization.findMany({
+      where: {
+        orders: { some: { status: { in: ['PENDING', 'ACCEPTED', 'PREPARING', 'READY'] } } },
+      },
+      select: { id: true, settings: true },
+    });
+
+    let escalated = 0;
+
+    for (const org of orgs) {
+      const { sla } = parseOrgSettings(org.settings);
+      if (!sla.enabled) continue;
+
+      for (const level of ESCALATION_LEVELS) {
+        const cutoff = (stage: SlaStage) => new Date(now.getTime() - targetMinutes(sla, stage) * level * 60 * 1000);
+
+        const overdue = await prisma.order.findMany({
+          where: {
+            organizationId: org.id,
+            OR: [
+              // Pre-orders start their clock when released to the pantry
+              {
+                status: 'PENDING',
+                OR: [
+                  { releaseAt: null, placedAt: { lt: cutoff('ACCEPT') } },
+                  { releasedAt: { lt: cutoff('ACCEPT') } },
+                ],
+              },
+              // Pre-orders accepted ahead of time start preparing when released
+              {
+                status: { in: ['ACCEPTED', 'PREPARING'] },
+                acceptedAt: { lt: cutoff('READY') },
+                OR: [{ releaseAt: null }, { releasedAt: { lt: cutoff('READY') } }],
+              },
+              { status: 'READY', readyAt: { lt: cutoff('DELIVER') } },
+            ],
+          },
+          include: { space: { select: { id: true, name: true } } },
+        });
+
+        for (const order of overdue) {
+          const stage: SlaStage = order.status === 'PENDING' ? 'ACCEPT' : order.status === 'READY' ? 'DELIVER' : 'READY';
+          const claimed = await redis.set(
+            `${this.BREACH_PREFIX}${order.id}:${stage}:${level}`,
+            now.toISOString(),
+            'EX', 24 * 60 * 60,
+            'NX'
+          );
+          if (!claimed) continue;
+
+          const startedAt = stage === 'ACCEPT'
+            ? order.releasedAt ?? order.placedAt
+            : stage === 'READY' ? latest(order.acceptedAt!, order.releasedAt) : order.readyAt!;
+          const waitingMinutes = Math.floor((now.getTime() - startedAt.getTime()) / 60000);
+          const breach = {
+            orderId: order.id,
+            orderNumber: order.orderNumber,
+            space: order.space,
+            stage,
+            level,
+            targetMinutes: targetMinutes(sla, stage),
+            waitingMinutes,
+          };
+
+          await publishOrderEvent(org.id, 'SLA_BREACH', { breach });
+          this.notificationService.notify(org.id, {
+            event: 'SLA_BREACH',
+            title: `${level > 1 ? 'Escalated: ' : ''}Order ${order.orderNumber} is overdue`,
+            message: `${order.space.name}: ${STAGE_LABELS[stage]} for ${waitingMinutes} min (target ${breach.targetMinutes} min)`,
+            data: breach,
+          });
+          escalated++;
+        }
+      }
+    }
+
+    return escalated;
+  }
+
+  // Breach rates per stage from the lifecycle timestamps on Order. Stages still
+  // running count against the target as of now.
+  async report(orgId: string, query: z.infer<typeof slaReportQuerySchema>, now = new Date()) {
+    const org = await prisma.organization.findUniqueOrThrow({ where: { id: orgId } });
+    const { sla, timezone } = parseOrgSettings(org.settings);
+
+    const to = query.to ?? now;
+    const from = query.from ?? new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    const groupKey = {
+      space: Prisma.sql`"spaceId"`,
+      staff: Prisma.sql`"staffId"`,
+      hour: Prisma.sql`EXTRACT(HOUR FROM ("startedAt" AT TIME ZONE 'UTC') AT TIME ZONE ${timezone})::int::text`,
+    }[query.groupBy];
+
+    // Staff are whoever moved the order out of the stage
+    const staff = (status: string) => Prisma.sql`(
+      SELECT e."actorId" FROM "OrderStatusEvent" e
+      WHERE e."orderId" = o."id" AND e."toStatus"::text = ${status}
+      ORDER BY e."createdAt" LIMIT 1
+    )`;
+
+    const rows = await prisma.$queryRaw<Array<{
+      key: string | null;
+      stage: SlaStage;
+      total: number;
+      breached: number;
+      avgMinutes: number;
+    }>>`
+      WITH orders AS (
+        SELECT o.* FROM "Order" o
+        WHERE o."organizationId" = ${orgId}
+          AND o."placedAt" >= ${from} AND o."placedAt" <= ${to}
+      ),
+      stages AS (
+        SELECT o."spaceId", 'ACCEPT' AS "stage", ${sla.acceptMinutes}::int AS "target",
+               COALESCE(o."releasedAt", o."placedAt") AS "startedAt",
+               COALESCE(o."acceptedAt", ${now}) AS "endedAt",
+               ${staff('ACCEPTED')} AS "staffId"
+        FROM orders o
+        WHERE o."acceptedAt" IS NOT NULL
+           OR (o."status" = 'PENDING' AND (o."releaseAt" IS NULL OR o."releasedAt" IS NOT NULL))
+        UNION ALL
+        SELECT o."spaceId", 'READY', ${sla.readyMinutes}::int,
+               GREATEST(o."acceptedAt", o."releasedAt"), COALESCE(o."readyAt", ${now}), ${staff('READY')}
+        FROM orders o
+        WHERE o."acceptedAt" IS NOT NULL
+          AND (o."releaseAt" IS NULL OR o."releasedAt" IS NOT NULL)
+          AND (o."readyAt" IS NOT NULL OR o."status" IN ('ACCEPTED', 'PREPARING'))
+        UNION ALL
+        SELECT o."spaceId", 'DELIVER', ${sla.deliverMinutes}::int,
+               o."readyAt", COALESCE(o."deliveredAt", ${now}), ${staff('DELIVERED')}
+        FROM orders o
+        WHERE o."readyAt" IS NOT NULL
+          AND (o."deliveredAt" IS NOT NULL OR o."status" = 'READY')
+      )
+      SELECT ${groupKey} AS "key",
+             "stage",
+             COUNT(*)::int AS "total",
+             COUNT(*) FILTER (WHERE EXTRACT(EPOCH FROM ("endedAt" - "startedAt")) > "target" * 60)::int AS "breached",
+             AVG(EXTRACT(EPOCH FROM ("endedAt" - "startedAt")) / 60)::float AS "avgMinutes"
+      FROM stages
+      GROUP BY 1, 2
+      ORDER BY 1, 2
+    `;
+
+    const labels = await this.labelsFor(query.groupBy, rows.map((row) => row.key));
+    const groups = new Map<string, {
+      key: string | null;
+      label: string;
+      stages: Partial<Record<SlaStage, { total: number; breached: number; breachRate: number; avgMinutes: number }>>;
+    }>();
+
+    for (const row of rows) {
+      const id = row.key ?? '';
+      if (!groups.has(id)) {
+        groups.set(id, { key: row.key, label: labels.get(id) ?? 'Unknown', stages: {} });
+      }
+      groups.get(id)!.stages[row.stage] = {
+        total: row.total,
+        breached: row.breached,
+        breachRate: row.total > 0 ? row.breached / row.total : 0,
+        avgMinutes: Math.round(row.avgMinutes * 10) / 10,
+      };
+    }
+
+    return {
+      from,
+      to,
+      groupBy: query.groupBy,
+      targets: { ACCEPT: sla.acceptMinutes, READY: sla.readyMinutes, DELIVER: sla.deliverMinutes },
+      rows: [...groups.values()],
+    };
+  }
+
+  private async labelsFor(groupBy: 'space' | 'staff' | 'hour', keys: (string | null)[]) {
+    const ids = [...new Set(keys.filter((key): key is string => key !== null))];
+
+    if (groupBy === 'hour') {
+      return new Map(ids.map((hour) => [hour, `${hour.padStart(2, '0')}:00`]));
+    }
+
+    if (groupBy === 'space') {
+      const spaces = await prisma.space.findMany({ where: { id: { in: ids } }, select: { id: true, name: true } });
+      return new Map(spaces.map((space) => [space.id, space.name]));
+    }
+
+    const users = await prisma.user.findMany({ where: { id: { in: ids } }, select: { id: true, name: true } });
+    // Transitions with no actor were made by the system (payments, jobs)
+    return new Map([['', 'System'], ...users.map((user) => [user.id, user.name ?? user.id] as [string, string])]);
+  }
+}
+
+// ============================================
+// CONTROLLER
+// ============================================
+
+export class SlaController {
+  constructor(private slaService = new SlaService()) { }
+
+  report = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const query = req.query as unknown as z.infer<typeof slaReportQuerySchema>;
+    const report = await this.slaService.report(req.user.organizationId, query);
+    sendSuccess(res, report);
+  };
+}
+
+// ============================================
+// ROUTES
+// ============================================
+
+export function slaRoutes() {
+  const router = Router();
+  const controller = new SlaController();
+
+  router.get('/report', authenticate, requireRole('ADMIN'), validate(slaReportQuerySchema, 'query'), controller.report);
+
+  return router;
+}
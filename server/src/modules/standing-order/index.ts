@@ -0,0 +1,351 @@
+// Standing order module - recurring orders per space, materialised as real orders
+
+import { z } from 'zod';
+import { Router, Response, Request } from 'express';
+import { StandingOrder } from '@prisma/client';
+import { prisma } from '../../config/index.js';
+import { NotFoundError, BadRequestError, ForbiddenError } from '../../common/errors.js';
+import { validate, authenticate, requireRole } from '../../common/middleware/index.js';
+import { sendSuccess, sendCreated, sendNoContent, getZonedParts, formatLocalDate } from '../../common/utils/index.js';
+import { OrderService, orderItemSchema } from '../order/index.js';
+import { publishOrderEvent } from '../order/events.js';
+import { parseOrgSettings, OrgSettings } from '../organization/index.js';
+import { recurrenceSchema, nextOccurrences, Recurrence } from './recurrence.js';
+
+// ============================================
+// SCHEMAS
+// ============================================
+
+export const createStandingOrderSchema = z.object({
+  name: z.string().min(1).max(100),
+  spaceId: z.string().uuid(),
+  items: z.array(orderItemSchema).min(1).max(50),
+  recurrence: recurrenceSchema,
+  notes: z.string().max(500).optional(),
+  chairNumber: z.number().int().positive().optional(),
+});
+
+export const updateStandingOrderSchema = createStandingOrderSchema.partial();
+
+// ============================================
+// SERVICE
+// ============================================
+
+export class StandingOrderService {
+  private orderService = new OrderService();
+
+  async create(orgId: string, userId: string, data: z.infer<typeof createStandingOrderSchema>) {
+    await this.assertBelongsToOrg(orgId, data.spaceId, data.items);
+
+    const org = await prisma.organization.findUniqueOrThrow({ where: { id: orgId } });
+    const settings = parseOrgSettings(org.settings);
+    const recurrence: Recurrence = {
+      ...data.recurrence,
+      startDate: data.recurrence.startDate ?? formatLocalDate(getZonedParts(new Date(), settings.timezone)),
+    };
+
+    return prisma.standingOrder.create({
+      data: {
+        ...data,
+        recurrence,
+        organizationId: orgId,
+        createdById: userId,
+        nextRunAt: this.nextRun(recurrence, settings, new Date()),
+      },
+    });
+  }
+
+  async findByOrg(orgId: string) {
+    return prisma.standingOrder.findMany({
+      where: { organizationId: orgId },
+      include: { space: { select: { id: true, name: true } } },
+      orderBy: [{ isPaused: 'asc' }, { nextRunAt: 'asc' }],
+    });
+  }
+
+  async findById(id: string, orgId: string) {
+    const standingOrder = await prisma.standingOrder.findUnique({
+      where: { id },
+      include: {
+        space: { select: { id: true, name: true } },
+        runs: { orderBy: { createdAt: 'desc' }, take: 20 },
+      },
+    });
+
+    if (!standingOrder || standingOrder.organizationId !== orgId) {
+      throw new NotFoundError('Standing order not found');
+    }
+
+    return standingOrder;
+  }
+
+  async update(id: string, orgId: string, data: z.infer<typeof updateStandingOrderSchema>) {
+    const existing = await this.findById(id, orgId);
+    await this.assertBelongsToOrg(orgId, data.spaceId ?? existing.spaceId, data.items ?? []);
+
+    let nextRunAt = existing.nextRunAt;
+    let recurrence: Recurrence | undefined;
+
+    if (data.recurrence) {
+      const settings = await this.settingsFor(orgId);
+      recurrence = {
+        ...data.recurrence,
+        startDate: data.recurrence.startDate ?? (existing.recurrence as Recurrence).startDate,
+      };
+      nextRunAt = this.nextRun(recurrence, settings, new Date());
+    }
+
+    return prisma.standingOrder.update({
+      where: { id },
+      data: { ...data, recurrence, nextRunAt },
+    });
+  }
+
+  async delete(id: string, orgId: string) {
+    await this.findById(id, orgId);
+    await prisma.standingOrder.delete({ where: { id } });
+  }
+
+  async pause(id: string, orgId: string) {
+    await this.findById(id, orgId);
+    return prisma.standingOrder.update({
+      where: { id },
+      data: { isPaused: true },
+    });
+  }
+
+  // Resuming skips anything missed while paused
+  async resume(id: string, orgId: string) {
+    const standingOrder = await this.findById(id, orgId);
+    const settings = await this.settingsFor(orgId);
+
+    return prisma.standingOrder.update({
+      where: { id },
+      data: {
+        isPaused: false,
+        nextRunAt: this.nextRun(standingOrder.recurrence as Recurrence, settings, new Date()),
+      },
+    });
+  }
+
+  async preview(id: string, orgId: string, count: number) {
+    const standingOrder = await this.findById(id, orgId);
+    const settings = await this.settingsFor(orgId);
+
+    return nextOccurrences(standingOrder.recurrence as Recurrence, {
+      timeZone: settings.timezone,
+      holidays: settings.holidays,
+      after: new Date(),
+      count,
+    });
+  }
+
+  // Turns due occurrences into scheduled orders through the normal order path.
+  // Orders are created far enough ahead to satisfy the org's pre-order notice.
+  async materializeDue(now = new Date()) {
+    const candidates = await prisma.standingOrder.findMany({
+      where: {
+        isPaused: false,
+        nextRunAt: { not: null, lte: new Date(now.getTime() + 24 * 60 * 60 * 1000) },
+      },
+      include: { organization: true },
+    });
+
+    let created = 0;
+
+    for (const standingOrder of candidates) {
+      const settings = parseOrgSettings(standingOrder.organization.settings);
+      const runAt = standingOrder.nextRunAt!;
+      const noticeMinutes = Math.max(settings.scheduling.leadTimeMinutes, settings.scheduling.minAdvanceMinutes) + 5;
+
+      if (runAt.getTime() - noticeMinutes * 60 * 1000 > now.getTime()) continue;
+
+      // An occurrence missed while the server was down can no longer be
+      // pre-ordered; skip it and continue from now rather than from it
+      const missed = runAt.getTime() < now.getTime() + settings.scheduling.minAdvanceMinutes * 60 * 1000;
+      const after = runAt > now ? runAt : now;
+
+      // Claim this occurrence; another replica may already have it
+      const { count } = await prisma.standingOrder.updateMany({
+        where: { id: standingOrder.id, nextRunAt: runAt, isPaused: false },
+        data: {
+          nextRunAt: this.nextRun(standingOrder.recurrence as Recurrence, settings, after),
+          lastRunAt: now,
+        },
+      });
+      if (count === 0) continue;
+
+      if (missed) {
+        await prisma.standingOrderRun.create({
+          data: { standingOrderId: standingOrder.id, scheduledFor: runAt, status: 'SKIPPED' },
+        });
+      } else if (await this.runOccurrence(standingOrder, runAt)) {
+        created++;
+      }
+    }
+
+    return created;
+  }
+
+  private async runOccurrence(standingOrder: StandingOrder, scheduledFor: Date) {
+    try {
+      // Standing orders have no guest; each occurrence gets its own session
+      const session = await prisma.session.create({
+        data: {
+          spaceId: standingOrder.spaceId,
+          userId: standingOrder.createdById,
+          guestName: standingOrder.name,
+          chairNumber: standingOrder.chairNumber,
+          expiresAt: new Date(scheduledFor.getTime() + 60 * 60 * 1000),
+        },
+      });
+
+      const order = await this.orderService.create(
+        {
+          sessionId: session.id,
+          items: standingOrder.items as z.infer<typeof orderItemSchema>[],
+          notes: standingOrder.notes ?? undefined,
+          chairNumber: standingOrder.chairNumber ?? undefined,
+          scheduledFor,
+        },
+        { userId: standingOrder.createdById ?? undefined, role: 'SYSTEM' }
+      );
+
+      await prisma.standingOrderRun.create({
+        data: {
+          standingOrderId: standingOrder.id,
+          scheduledFor,
+          status: 'CREATED',
+          orderId: order.id,
+        },
+      });
+
+      return true;
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+
+      const run = await prisma.standingOrderRun.create({
+        data: {
+          standingOrderId: standingOrder.id,
+          scheduledFor,
+          status: 'FAILED',
+          error: message,
+        },
+      });
+
+      await publishOrderEvent(standingOrder.organizationId, 'STANDING_ORDER_FAILED', {
+        standingOrder: { id: standingOrder.id, name: standingOrder.name, spaceId: standingOrder.spaceId },
+        run,
+      });
+
+      return false;
+    }
+  }
+
+  private nextRun(recurrence: Recurrence, settings: OrgSettings, after: Date) {
+    const [next] = nextOccurrences(recurrence, {
+      timeZone: settings.timezone,
+      holidays: settings.holidays,
+      after,
+      count: 1,
+    });
+    return next ?? null;
+  }
+
+  private async settingsFor(orgId: string) {
+    const org = await prisma.organization.findUniqueOrThrow({ where: { id: orgId } });
+    return parseOrgSettings(org.settings);
+  }
+
+  private async assertBelongsToOrg(orgId: string, spaceId: string, items: { itemId: string }[]) {
+    const space = await prisma.space.findUnique({ where: { id: spaceId } });
+    if (!space || space.organizationId !== orgId) {
+      throw new NotFoundError('Space not found');
+    }
+
+    const itemIds = [...new Set(items.map((item) => item.itemId))];
+    const found = await prisma.item.count({
+      where: { id: { in: itemIds }, category: { organizationId: orgId } },
+    });
+    if (found !== itemIds.length) {
+      throw new BadRequestError('One or more items were not found');
+    }
+  }
+}
+
+// ============================================
+// CONTROLLER
+// ============================================
+
+export class StandingOrderController {
+  constructor(private standingOrderService = new StandingOrderService()) { }
+
+  create = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const standingOrder = await this.standingOrderService.create(req.user.organizationId, req.user.id, req.body);
+    sendCreated(res, standingOrder);
+  };
+
+  list = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const standingOrders = await this.standingOrderService.findByOrg(req.user.organizationId);
+    sendSuccess(res, standingOrders);
+  };
+
+  getById = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const standingOrder = await this.standingOrderService.findById(req.params.id, req.user.organizationId);
+    sendSuccess(res, standingOrder);
+  };
+
+  update = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const standingOrder = await this.standingOrderService.update(req.params.id, req.user.organizationId, req.body);
+    sendSuccess(res, standingOrder);
+  };
+
+  delete = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    await this.standingOrderService.delete(req.params.id, req.user.organizationId);
+    sendNoContent(res);
+  };
+
+  pause = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const standingOrder = await this.standingOrderService.pause(req.params.id, req.user.organizationId);
+    sendSuccess(res, standingOrder);
+  };
+
+  resume = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const standingOrder = await this.standingOrderService.resume(req.params.id, req.user.organizationId);
+    sendSuccess(res, standingOrder);
+  };
+
+  preview = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const count = Math.min(Math.max(parseInt(req.query.count as string) || 10, 1), 50);
+    const occurrences = await this.standingOrderService.preview(req.params.id, req.user.organizationId, count);
+    sendSuccess(res, occurrences);
+  };
+}
+
+// ============================================
+// ROUTES
+// ============================================
+
+export function standingOrderRoutes() {
+  const router = Router();
+  const controller = new StandingOrderController();
+
+  router.get('/', authenticate, requireRole('ADMIN'), controller.list);
+  router.post('/', authenticate, requireRole('ADMIN'), validate(createStandingOrderSchema), controller.create);
+  router.get('/:id', authenticate, requireRole('ADMIN'), controller.getById);
+  router.get('/:id/preview', authenticate, requireRole('ADMIN'), controller.preview);
+  router.patch('/:id', authenticate, requireRole('ADMIN'), validate(updateStandingOrderSchema), controller.update);
+  router.delete('/:id', authenticate, requireRole('ADMIN'), controller.delete);
+  router.post('/:id/pause', authenticate, requireRole('ADMIN'), controller.pause);
+  router.post('/:id/resume', authenticate, requireRole('ADMIN'), controller.resume);
+
+  return router;
+}
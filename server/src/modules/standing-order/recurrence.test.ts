@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { nextOccurrences, recurrenceSchema } from './recurrence.js';
+
+// 2026-10-19 is a Monday
+function occurrences(
+  rule: Record<string, unknown>,
+  options: { after: string; count?: number; timeZone?: string; holidays?: string[] }
+) {
+  return nextOccurrences(recurrenceSchema.parse(rule), {
+    timeZone: options.timeZone ?? 'UTC',
+    holidays: options.holidays ?? [],
+    after: new Date(options.after),
+    count: options.count ?? 5,
+  }).map((date) => date.toISOString());
+}
+
+describe('nextOccurrences', () => {
+  it('runs on weekdays by default', () => {
+    expect(occurrences({ frequency: 'WEEKLY', time: '09:30' }, { after: '2026-10-16T10:00:00Z' })).toEqual([
+      '2026-10-19T09:30:00.000Z',
+      '2026-10-20T09:30:00.000Z',
+      '2026-10-21T09:30:00.000Z',
+      '2026-10-22T09:30:00.000Z',
+      '2026-10-23T09:30:00.000Z',
+    ]);
+  });
+
+  it('only returns times strictly after `after`', () => {
+    const [first] = occurrences({ frequency: 'DAILY', time: '09:30' }, { after: '2026-10-19T09:30:00Z' });
+    expect(first).toBe('2026-10-20T09:30:00.000Z');
+  });
+
+  it('counts weekly intervals from the Sunday on or before the start date', () => {
+    // Starts on a Wednesday: that week's Friday runs, the next week is skipped
+    const rule = { frequency: 'WEEKLY', interval: 2, byDay: ['MO', 'FR'], time: '12:00', startDate: '2026-10-21' };
+
+    expect(occurrences(rule, { after: '2026-10-18T00:00:00Z', count: 4 })).toEqual([
+      '2026-10-23T12:00:00.000Z',
+      '2026-11-02T12:00:00.000Z',
+      '2026-11-06T12:00:00.000Z',
+      '2026-11-16T12:00:00.000Z',
+    ]);
+  });
+
+  it('runs every other day with a daily interval of 2', () => {
+    const rule = { frequency: 'DAILY', interval: 2, time: '08:00', startDate: '2026-10-19' };
+
+    expect(occurrences(rule, { after: '2026-10-19T00:00:00Z', count: 3 })).toEqual([
+      '2026-10-19T08:00:00.000Z',
+      '2026-10-21T08:00:00.000Z',
+      '2026-10-23T08:00:00.000Z',
+    ]);
+  });
+
+  it('skips holidays unless told not to', () => {
+    const holidays = ['2026-10-20'];
+    const after = '2026-10-19T00:00:00Z';
+
+    expect(occurrences({ frequency: 'DAILY', time: '09:00' }, { after, holidays, count: 2 })).toEqual([
+      '2026-10-19T09:00:00.000Z',
+      '2026-10-21T09:00:00.000Z',
+    ]);
+    expect(occurrences({ frequency: 'DAILY', time: '09:00', skipHolidays: false }, { after, holidays, count: 2 })).toEqual([
+      '2026-10-19T09:00:00.000Z',
+      '2026-10-20T09:00:00.000Z',
+    ]);
+  });
+
+  it('stops after `until`', () => {
+    const rule = { frequency: 'DAILY', time: '09:30', until: '2026-10-21' };
+
+    expect(occurrences(rule, { after: '2026-10-18T12:00:00Z', count: 10 })).toEqual([
+      '2026-10-19T09:30:00.000Z',
+      '2026-10-20T09:30:00.000Z',
+      '2026-10-21T09:30:00.000Z',
+    ]);
+  });
+
+  it('keeps the local time across a DST change in the org timezone', () => {
+    // Berlin leaves summer time on 2026-10-25: UTC+2 before, UTC+1 after
+    const rule = { frequency: 'DAILY', time: '09:30' };
+
+    expect(occurrences(rule, { after: '2026-10-24T00:00:00Z', count: 3, timeZone: 'Europe/Berlin' })).toEqual([
+      '2026-10-24T07:30:00.000Z',
+      '2026-10-25T08:30:00.000Z',
+      '2026-10-26T08:30:00.000Z',
+    ]);
+  });
+});
@@ -0,0 +1,79 @@
+// Recurrence rules for standing orders - an RRULE-style subset
+// (FREQ, INTERVAL, BYDAY, UNTIL) evaluated in the organization's timezone
+
+import { z } from 'zod';
+import {
+  timeOfDaySchema,
+  localDateSchema,
+  getZonedParts,
+  zonedTimeToUtc,
+  formatLocalDate,
+  parseLocalDate,
+  addDays,
+} from '../../common/utils/index.js';
+
+export const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'] as const;
+
+export const recurrenceSchema = z.object({
+  frequency: z.enum(['DAILY', 'WEEKLY']),
+  interval: z.number().int().min(1).max(12).default(1), // Every N days or weeks
+  byDay: z.array(z.enum(WEEKDAY_CODES)).min(1).default(['MO', 'TU', 'WE', 'TH', 'FR']), // WEEKLY only
+  time: timeOfDaySchema, // Delivery time, e.g. "09:30"
+  skipHolidays: z.boolean().default(true),
+  startDate: localDateSchema.optional(), // Defaults to the day the standing order is created
+  until: localDateSchema.optional(),
+});
+
+export type Recurrence = z.infer<typeof recurrenceSchema>;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function dayNumber(date: { year: number; month: number; day: number }) {
+  return Math.floor(Date.UTC(date.year, date.month - 1, date.day) / DAY_MS);
+}
+
+function matchesRule(
+  rule: Recurrence,
+  start: { year: number; month: number; day: number; weekday: number },
+  date: { year: number; month: number; day: number; weekday: number },
+  holidays: string[]
+) {
+  const key = formatLocalDate(date);
+  const daysSinceStart = dayNumber(date) - dayNumber(start);
+
+  if (daysSinceStart < 0) return false;
+  if (rule.until && key > rule.until) return false;
+  if (rule.skipHolidays && holidays.includes(key)) return false;
+
+  if (rule.frequency === 'DAILY') {
+    return daysSinceStart % rule.interval === 0;
+  }
+
+  // Weeks are counted from the Sunday on or before the start date
+  const weeksSinceStart = Math.floor((daysSinceStart + start.weekday) / 7);
+  return weeksSinceStart % rule.interval === 0 && rule.byDay.includes(WEEKDAY_CODES[date.weekday]);
+}
+
+// Next `count` delivery times strictly after `after`. Scans at most two years ahead.
+export function nextOccurrences(
+  rule: Recurrence,
+  options: { timeZone: string; holidays: string[]; after: Date; count: number }
+) {
+  const occurrences: Date[] = [];
+  const today = getZonedParts(options.after, options.timeZone);
+  // addDays(.., 0) normalises the date and fills in its weekday
+  const start = addDays(rule.startDate ? parseLocalDate(rule.startDate) : today, 0);
+
+  for (let offset = 0; offset < 731 && occurrences.length < options.count; offset++) {
+    const date = addDays(today, offset);
+    if (rule.until && formatLocalDate(date) > rule.until) break;
+    if (!matchesRule(rule, start, date, options.holidays)) continue;
+
+    const at = zonedTimeToUtc(date, rule.time, options.timeZone);
+    if (at > options.after) {
+      occurrences.push(at);
+    }
+  }
+
+  return occurrences;
+}
@@ -0,0 +1,246 @@
+// Station module - pantry stations, the spaces they serve and the categories they fulfil
+
+import { z } from 'zod';
+import { Router, Response, Request } from 'express';
+import { Prisma } from '@prisma/client';
+import { prisma } from '../../config/index.js';
+import { NotFoundError, BadRequestError, ConflictError, ForbiddenError } from '../../common/errors.js';
+import { validate, authenticate, requireRole } from '../../common/middleware/index.js';
+import { sendSuccess, sendCreated, sendNoContent } from '../../common/utils/index.js';
+
+// ============================================
+// SCHEMAS
+// ============================================
+
+export const createStationSchema = z.object({
+  name: z.string().min(2).max(100),
+  isActive: z.boolean().default(true),
+  spaceIds: z.array(z.string().uuid()).max(500).default([]), // Empty = every space
+  categoryIds: z.array(z.string().uuid()).max(200).default([]), // Empty = every category
+});
+
+export const updateStationSchema = createStationSchema.partial();
+
+export const setStationStaffSchema = z.object({
+  userIds: z.array(z.string().uuid()).max(200),
+});
+
+// ============================================
+// SERVICE
+// ============================================
+
+const stationInclude = {
+  spaces: { select: { id: true, name: true } },
+  categories: { select: { id: true, name: true } },
+  staff: { select: { id: true, name: true, email: true, role: true } },
+} satisfies Prisma.PantryStationInclude;
+
+export class StationService {
+  async create(orgId: string, data: z.infer<typeof createStationSchema>) {
+    const { spaceIds, categoryIds, ...station } = data;
+    await this.assertBelongsToOrg(orgId, spaceIds, categoryIds);
+
+    const existing = await prisma.pantryStation.findUnique({
+      where: { organizationId_name: { organizationId: orgId, name: data.name } },
+    });
+    if (existing) {
+      throw new ConflictError('A station with this name already exists');
+    }
+
+    return prisma.pantryStation.create({
+      data: {
+        ...station,
+        organizationId: orgId,
+        spaces: { connect: spaceIds.map((id) => ({ id })) },
+        categories: { connect: categoryIds.map((id) => ({ id })) },
+      },
+      include: stationInclude,
+    });
+  }
+
+  async findByOrg(orgId: string, includeInactive = false) {
+    return prisma.pantryStation.findMany({
+      where: {
+        organizationId: orgId,
+        ...(includeInactive ? {} : { isActive: true }),
+      },
+      include: stationInclude,
+      orderBy: { name: 'asc' },
+    });
+  }
+
+  async findById(id: string, orgId: string) {
+    const station = await prisma.pantryStation.findUnique({
+      where: { id },
+      include: stationInclude,
+    });
+
+    if (!station || station.organizationId !== orgId) {
+      throw new NotFoundError('Station not found');
+    }
+
+    return station;
+  }
+
+  async update(id: string, orgId: string, data: z.infer<typeof updateStationSchema>) {
+    await this.findById(id, orgId);
+    const { spaceIds, categoryIds, ...station } = data;
+    await this.assertBelongsToOrg(orgId, spaceIds ?? [], categoryIds ?? []);
+
+    return prisma.pantryStation.update({
+      where: { id },
+      data: {
+        ...station,
+        ...(spaceIds && { spaces: { set: spaceIds.map((spaceId) => ({ id: spaceId })) } }),
+        ...(categoryIds && { categories: { set: categoryIds.map((categoryId) => ({ id: categoryId })) } }),
+      },
+      include: stationInclude,
+    });
+  }
+
+  async delete(id: string, orgId: string) {
+    await this.findById(id, orgId);
+    await prisma.pantryStation.delete({ where: { id } });
+  }
+
+  // Replaces the station's staff; users can only work at one station
+  async setStaff(id: string, orgId: string, userIds: string[]) {
+    await this.findById(id, orgId);
+
+    const users = await prisma.user.count({
+      where: { id: { in: userIds }, organizationId: orgId, role: { in: ['PANTRY', 'ADMIN'] } },
+    });
+    if (users !== new Set(userIds).size) {
+      throw new BadRequestError('Staff must be pantry or admin users of this organization');
+    }
+
+    await prisma.$transaction([
+      prisma.user.updateMany({
+        where: { stationId: id, id: { notIn: userIds } },
+        data: { stationId: null },
+      }),
+      prisma.user.updateMany({
+        where: { id: { in: userIds } },
+        data: { stationId: id },
+      }),
+    ]);
+
+    return this.findById(id, orgId);
+  }
+
+  // Picks a station for each ordered item. A station must serve the space and
+  // fulfil the item's category; among those, the one that can make the most of
+  // the order wins so orders are only split when they have to be.
+  // Items no station can make stay unrouted and are visible org-wide.
+  async route(db: Prisma.TransactionClient, orgId: string, spaceId: string, itemIds: string[]) {
+    const stations = await db.pantryStation.findMany({
+      where: { organizationId: orgId, isActive: true },
+      include: { spaces: { select: { id: true } }, categories: { select: { id: true } } },
+      orderBy: { name: 'asc' },
+    });
+
+    const routes = new Map<string, string | null>();
+    if (stations.length === 0) return routes;
+
+    const items = await db.item.findMany({
+      where: { id: { in: itemIds } },
+      select: { id: true, categoryId: true },
+    });
+
+    const serving = stations.filter(
+      (station) => station.spaces.length === 0 || station.spaces.some((space) => space.id === spaceId)
+    );
+    const canMake = (station: (typeof serving)[number], categoryId: string) =>
+      station.categories.length === 0 || station.categories.some((category) => category.id === categoryId);
+
+    const coverage = new Map(
+      serving.map((station) => [station.id, items.filter((item) => canMake(station, item.categoryId)).length])
+    );
+    const ranked = [...serving].sort((a, b) => coverage.get(b.id)! - coverage.get(a.id)!);
+
+    for (const item of items) {
+      routes.set(item.id, ranked.find((station) => canMake(station, item.categoryId))?.id ?? null);
+    }
+
+    return routes;
+  }
+
+  private async assertBelongsToOrg(orgId: string, spaceIds: string[], categoryIds: string[]) {
+    const [spaces, categories] = await Promise.all([
+      prisma.space.count({ where: { id: { in: spaceIds }, organizationId: orgId } }),
+      prisma.category.count({ where: { id: { in: categoryIds }, organizationId: orgId } }),
+    ]);
+
+    if (spaces !== new Set(spaceIds).size) {
+      throw new BadRequestError('One or more spaces were not found');
+    }
+    if (categories !== new Set(categoryIds).size) {
+      throw new BadRequestError('One or more categories were not found');
+    }
+  }
+}
+
+// ============================================
+// CONTROLLER
+// ============================================
+
+export class StationController {
+  constructor(private stationService = new StationService()) { }
+
+  create = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const station = await this.stationService.create(req.user.organizationId, req.body);
+    sendCreated(res, station);
+  };
+
+  list = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const includeInactive = req.query.includeInactive === 'true';
+    const stations = await this.stationService.findByOrg(req.user.organizationId, includeInactive);
+    sendSuccess(res, stations);
+  };
+
+  getById = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const station = await this.stationService.findById(req.params.id, req.user.organizationId);
+    sendSuccess(res, station);
+  };
+
+  update = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const station = await this.stationService.update(req.params.id, req.user.organizationId, req.body);
+    sendSuccess(res, station);
+  };
+
+  delete = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    await this.stationService.delete(req.params.id, req.user.organizationId);
+    sendNoContent(res);
+  };
+
+  setStaff = async (req: Request, res: Response) => {
+    if (!req.user) throw new ForbiddenError();
+    const station = await this.stationService.setStaff(req.params.id, req.user.organizationId, req.body.userIds);
+    sendSuccess(res, station);
+  };
+}
+
+// ============================================
+// ROUTES
+// ============================================
+
+export function stationRoutes() {
+  const router = Router();
+  const controller = new StationController();
+
+  router.get('/', authenticate, requireRole('ADMIN', 'PANTRY'), controller.list);
+  router.get('/:id', authenticate, requireRole('ADMIN', 'PANTRY'), controller.getById);
+
+  // Admin only
+  router.post('/', authenticate, requireRole('ADMIN'), validate(createStationSchema), controller.create);
+  router.patch('/:id', authenticate, requireRole('ADMIN'), validate(updateStationSchema), controller.update);
+  router.delete('/:id', authenticate, requireRole('ADMIN'), controller.delete);
+  router.put('/:id/staff', authenticate, requireRole('ADMIN'), validate(setStationStaffSchema), controller.setStaff);
+
+  return router;
+}